@@ -0,0 +1,42 @@
+/**
+ * Units to report the values of analog inputs.
+ */
+
+/**
+ * Units of the analog values.
+ * @type {object<string, string>}
+ */
+export const ANALOG_UNITS = {
+    PERCENT: 'percent',
+    RAW: 'raw',
+    VOLTS: 'volts'
+};
+
+/**
+ * Max value of ADC which is used when the firmware did not report its resolution.
+ * @type {number}
+ */
+export const DEFAULT_ADC_MAX = 1023;
+
+/**
+ * Reference voltage of ADC which is used until it was set.
+ * @type {number}
+ */
+export const DEFAULT_REFERENCE_VOLTAGE = 5;
+
+/**
+ * Convert a raw value of ADC to the unit.
+ * @param {number} raw - raw value of ADC
+ * @param {?number} adcMax - max value of ADC which the firmware reported
+ * @param {string} unit - unit in ANALOG_UNITS
+ * @param {number} [referenceVoltage] - reference voltage of ADC for volts
+ * @returns {number} value in the unit, percent for unknown units
+ */
+export const convertAnalogValue = (raw, adcMax, unit, referenceVoltage = DEFAULT_REFERENCE_VOLTAGE) => {
+    if (unit === ANALOG_UNITS.RAW) return raw;
+    const ratio = raw / (adcMax ? adcMax : DEFAULT_ADC_MAX);
+    if (unit === ANALOG_UNITS.VOLTS) {
+        return Math.round(ratio * referenceVoltage * 1000) / 1000;
+    }
+    return Math.round(ratio * 1000) / 10;
+};
@@ -5,9 +5,20 @@
 // import log from '../../util/log';
 
 import {EventEmitter} from 'events';
+import {Buffer} from 'buffer';
 import bindTransport from 'firmata-io';
 import SerialPort from '@serialport/stream';
 import WSABinding from 'web-serial-binding';
+import VirtualTransport from './virtual-transport';
+import {CONNECTION_ERRORS, ConnectionError, toOpenPortError, toRequestPortError} from './connection-error';
+import {BIT_ORDERS, ShiftRegisterChain, byteToBits} from './shift-register';
+import {DEFAULT_SERVO_CALIBRATION, clampServoAngle, servoValueOf} from './servo';
+import {interpolate} from './easing';
+import WriteQueue from './write-queue';
+import {TONE_FIRMWARE, noToneMessage, squareWaveInterval, toneMessage} from './tone';
+import {PixelStrip, pixelConfigMessage, pixelOffMessage, pixelSetMessage, pixelShowMessage} from './neo-pixel';
+import {SONAR_DATA, SONAR_FIRMWARE, SONAR_MAX_DISTANCE, decodeSonarData, sonarConfigMessage} from './sonar';
+import {SYSEX_ENCODINGS, decodeSysexPayload, encodeSysexPayload} from './sysex-blocks';
 
 const Firmata = bindTransport.Firmata;
 
@@ -21,9 +32,43 @@ const timeoutReject =
         (_, reject) =>
             setTimeout(() => reject(new Error(`timeout ${delay}ms`)), delay));
 
+/**
+ * Estimate the time to move the stepper by AccelStepper.
+ * It accelerates up to the speed and decelerates to stop, or moves at the constant speed without acceleration.
+ * @param {number} steps - steps to move
+ * @param {number} speed - max speed in steps per second
+ * @param {number} acceleration - acceleration in steps per second per second, 0 for constant speed
+ * @returns {number} time to move in milliseconds
+ */
+const stepperMoveTime = (steps, speed, acceleration) => {
+    if (steps === 0) return 0;
+    if (speed <= 0) return Infinity;
+    if (acceleration <= 0) return steps / speed * 1000;
+    const rampSteps = (speed * speed) / (2 * acceleration);
+    if (steps <= rampSteps * 2) return 2 * Math.sqrt(steps / acceleration) * 1000;
+    return ((2 * speed / acceleration) + ((steps - (rampSteps * 2)) / speed)) * 1000;
+};
+
+/**
+ * Returns a Promise which will resolve after the delay time passed.
+ * @param {number} delay - waiting time to resolve in milliseconds
+ * @returns {Promise} Promise which will resolve after the delay.
+ */
+const wait =
+    delay => new Promise(
+        resolve =>
+            setTimeout(resolve, delay));
+
 // eslint-disable-next-line prefer-const
 export let DEBUG = false;
 
+/**
+ * Command bytes of the sysex responses which were registered to Firmata to emit 'sysex-response-<command>'.
+ * Firmata keeps the handlers for all the boards, so that each command is registered once.
+ * @type {Set<number>}
+ */
+const sysexResponseCommands = new Set();
+
 const MODES = {
     INPUT: 0x00,
     OUTPUT: 0x01,
@@ -54,6 +99,14 @@ class ArduinoBoard extends EventEmitter{
         return 'RELEASED';
     }
 
+    /**
+     * Event name for reporting that this board has been reconnected after the connection was lost.
+     * @const {string}
+     */
+    static get RECONNECTED () {
+        return 'RECONNECTED';
+    }
+
     /**
      * Construct a Arduino board object.
      * @param {Runtime} runtime - the Scratch 3.0 runtime
@@ -77,6 +130,13 @@ class ArduinoBoard extends EventEmitter{
          */
         this.extensionId = null;
 
+        /**
+         * Number of this board which is shown to the user to select the board in the blocks.
+         * It is given by the connector when the board was added.
+         * @type {number}
+         */
+        this.number = 0;
+
         /**
          * State of this board
          * @type {string}
@@ -97,16 +157,54 @@ class ArduinoBoard extends EventEmitter{
         this.portInfo = null;
 
         /**
-         * shortest interval time between digital input readings
+         * Native port of Web Serial API which is used to reconnect the board.
+         * @type {?object}
+         */
+        this.nativePort = null;
+
+        /**
+         * Baud rate of the serial port.
          * @type {number}
          */
-        this.digitalReadInterval = 20;
+        this.baudRate = 57600;
+
+        /**
+         * Waiting time for the board to be ready after the port was opened in milliseconds.
+         * It waits forever when this is 0.
+         * @type {number}
+         */
+        this.readyWaitingTime = 0;
+
+        /**
+         * Whether to reconnect the serial port automatically when the connection was lost.
+         * @type {boolean}
+         */
+        this.autoReconnect = true;
 
         /**
-         * Waiting time to connect the board in milliseconds.
+         * Waiting times in milliseconds before each attempt to reconnect.
+         * It gives up to reconnect when all the attempts failed.
+         * @type {Array<number>}
+         */
+        this.reconnectingDelays = [500, 1000, 2000, 4000, 8000, 8000];
+
+        /**
+         * Waiting time for the reconnected board to be ready in milliseconds.
+         * @type {number}
+         */
+        this.reconnectingWaitingTime = 5000;
+
+        /**
+         * Virtual transport when this board is a virtual board, or null.
+         * @type {?VirtualTransport}
+         */
+        this.virtualTransport = null;
+
+        /**
+         * shortest interval time between digital input readings
          * @type {number}
          */
-        this.connectingWaitingTime = 1000;
+        this.digitalReadInterval = 20;
 
         /**
          * shortest interval time between analog input readings
@@ -120,6 +218,18 @@ class ArduinoBoard extends EventEmitter{
          */
         this.sendingInterval = 10;
 
+        /**
+         * Queue of the writes to the output pins which are sent in batches.
+         * @type {WriteQueue}
+         */
+        this.writeQueue = new WriteQueue(() => this.drainTransport());
+
+        /**
+         * Max waiting time for the transport to drain a batch of writes in milliseconds.
+         * @type {number}
+         */
+        this.drainWaitingTime = 1000;
+
         /**
          * Waiting time for response of digital input reading in milliseconds.
          * @type {number}
@@ -132,6 +242,180 @@ class ArduinoBoard extends EventEmitter{
          */
         this.updateAnalogInputWaitingTime = 100;
 
+        /**
+         * Waiting time for response of I2C reading in milliseconds.
+         * @type {number}
+         */
+        this.i2cReadWaitingTime = 100;
+
+        /**
+         * Waiting time for response of PING_READ in milliseconds.
+         * @type {number}
+         */
+        this.pingReadWaitingTime = 200;
+
+        /**
+         * Longest duration of the echo pulse for PING_READ in microseconds.
+         * The echo of an ultrasonic sensor is shorter than this in its range (about 5 m).
+         * @type {number}
+         */
+        this.pingEchoTimeout = 30000;
+
+        /**
+         * Waiting time for the first report of an ultrasonic sensor on FirmataExpress in milliseconds.
+         * @type {number}
+         */
+        this.sonarWaitingTime = 1000;
+
+        /**
+         * Whether to keep reporting the input pins which were read once.
+         * When it's true, the values are cached from the reports of the board
+         * and the readings resolve at once with the cached value.
+         * @type {boolean}
+         */
+        this.keepInputReporting = true;
+
+        /**
+         * Listeners for the digital pins which are kept reporting, keyed by the pin number.
+         * @type {Map<number, function>}
+         */
+        this.digitalInputSubscriptions = new Map();
+
+        /**
+         * Listeners for the analog pins which are kept reporting, keyed by the analog pin number.
+         * @type {Map<number, function>}
+         */
+        this.analogInputSubscriptions = new Map();
+
+        /**
+         * Stepper motors which were configured, keyed by the device number.
+         * Each has the last known position, the speed and acceleration which were set,
+         * and a function to finish the current move.
+         * @type {Map<number, {position: number, speed: number, acceleration: number, finishMove: ?function}>}
+         */
+        this.steppers = new Map();
+
+        /**
+         * Devices which were found on the OneWire buses, keyed by the pin number of the bus.
+         * Each device is the ROM code of 8 bytes.
+         * @type {Map<number, Array<Array<number>>>}
+         */
+        this.oneWireDevices = new Map();
+
+        /**
+         * Chains of shift registers which are used as extra outputs, keyed by the data pin.
+         * @type {Map<number, ShiftRegisterChain>}
+         */
+        this.shiftRegisters = new Map();
+
+        /**
+         * NeoPixel strips which were configured, keyed by the pin number of the data line.
+         * @type {Map<number, PixelStrip>}
+         */
+        this.pixelStrips = new Map();
+
+        /**
+         * Ultrasonic sensors which are pinged by FirmataExpress, keyed by the trigger pin.
+         * Each has the echo pin, the last reported distance in cm
+         * and a Promise which waits for the first report.
+         * @type {Map<number, {echoPin: number, distance: number, waiting: ?Promise}>}
+         */
+        this.sonars = new Map();
+
+        /**
+         * Firmata which reports the distances of the ultrasonic sensors to this board.
+         * @type {?Firmata}
+         */
+        this.sonarReporter = null;
+
+        /**
+         * Servos which were turned or configured, keyed by the pin number.
+         * Each has the calibration and the last commanded angle.
+         * @type {Map<number, {calibration: object, angle: ?number}>}
+         */
+        this.servos = new Map();
+
+        /**
+         * Ramps which are running, keyed by the pin number.
+         * Each has a function to stop the ramp and resolve its Promise.
+         * @type {Map<number, {cancel: function}>}
+         */
+        this.ramps = new Map();
+
+        /**
+         * Tones which are playing, keyed by the pin number.
+         * Each has a function to stop the tone and resolve its Promise.
+         * @type {Map<number, {cancel: function}>}
+         */
+        this.tones = new Map();
+
+        /**
+         * Interval of the writes in a ramp in milliseconds.
+         * @type {number}
+         */
+        this.rampInterval = 20;
+
+        /**
+         * States of the output pins to be set by resetOutputs(), keyed by the pin number.
+         * The state is 'off' (LOW, PWM 0 or servo detached), 'high' or 'keep'. 'off' is used when it's not set.
+         * @type {Map<number, string>}
+         */
+        this.safeStates = new Map();
+
+        /**
+         * Owners which set the mode of the pins, keyed by the pin number.
+         * The owner is an object which has 'id' to be compared and 'name' to be shown.
+         * 'conflict' is the previous owner when the pin was taken with a different mode.
+         * @type {Map<number, {mode: number, owner: object, conflict: ?object}>}
+         */
+        this.pinOwners = new Map();
+
+        /**
+         * Pins which have been set to OUTPUT, PWM or SERVO since the board was connected.
+         * resetOutputs() resets them apart from the owners, which are forgotten when the project starts
+         * and are not recorded for the blocks clicked in the workspace.
+         * @type {Set<number>}
+         */
+        this.usedOutputs = new Set();
+
+        /**
+         * Last conflict on the pins, keyed by the pin number.
+         * It's kept until the owners are cleared, even after the owner used the pin again without a conflict.
+         * @type {Map<number, {mode: number, owner: object, conflictMode: number, conflict: object}>}
+         */
+        this.pinConflicts = new Map();
+
+        /**
+         * Receive buffers of the serial ports which were configured, keyed by the port ID.
+         * @type {Map<number, Array<number>>}
+         */
+        this.serialBuffers = new Map();
+
+        /**
+         * Max size of the receive buffer for each serial port in bytes.
+         * The oldest bytes are dropped when it overflowed.
+         * @type {number}
+         */
+        this.serialBufferSize = 1024;
+
+        /**
+         * Waiting time for the response of a sysex command in milliseconds.
+         * @type {number}
+         */
+        this.sysexWaitingTime = 1000;
+
+        /**
+         * Waiting time for response of the stepper position in milliseconds.
+         * @type {number}
+         */
+        this.stepperPositionWaitingTime = 100;
+
+        /**
+         * Waiting time for the completion of a stepper move over its estimated time in milliseconds.
+         * @type {number}
+         */
+        this.stepperMoveMarginTime = 1000;
+
     }
 
     /**
@@ -147,6 +431,7 @@ class ArduinoBoard extends EventEmitter{
         firmata.once('close', () => {
             if (this.firmata !== firmata) return;
             if (this.state === 'disconnect') return;
+            if (this.startReconnecting()) return;
             this.releaseBoard();
         });
         firmata.once('disconnect', error => {
@@ -170,48 +455,126 @@ class ArduinoBoard extends EventEmitter{
 
     /**
      * Ask user to open serial port for firmata and return it.
+     * It rejects with ConnectionError when the user cancelled or the port could not be opened.
      * @param {object} options - serial port options
-     * @returns {SerialPort} opened serial port
-     */
-    async openSerialPort (options) {
-        let nativePort = null;
-        nativePort = await navigator.serial.requestPort(options);
-        // const permittedPorts = await navigator.serial.getPorts();
-        // if ((permittedPorts !== null) && (Array.isArray(permittedPorts)) && (permittedPorts.length > 0)) {
-        //     nativePort = permittedPorts[0];
-        // } else {
-        //     nativePort = await navigator.serial.requestPort(options);
-        // }
+     * @returns {Promise<SerialPort>} a Promise which resolves opened serial port
+     */
+    openSerialPort (options) {
+        return navigator.serial.requestPort(options)
+            .then(
+                nativePort => this.openNativePort(nativePort),
+                reason => Promise.reject(toRequestPortError(reason)));
+    }
+
+    /**
+     * Open the native port of Web Serial API for firmata.
+     * It rejects with ConnectionError when the port could not be opened.
+     * @param {object} nativePort - port of Web Serial API
+     * @returns {Promise<SerialPort>} a Promise which resolves opened serial port
+     */
+    openNativePort (nativePort) {
         SerialPort.Binding = WSABinding;
         const port = new SerialPort(nativePort, {
-            baudRate: 57600, // default baud rate for firmata
-            autoOpen: true
+            baudRate: this.baudRate,
+            autoOpen: false
         });
+        this.nativePort = nativePort;
         this.portInfo = port.path.getInfo();
-        return port;
+        return new Promise((resolve, reject) => {
+            port.open(error => {
+                if (error) {
+                    reject(toOpenPortError(error));
+                    return;
+                }
+                this.state = 'connect';
+                resolve(port);
+            });
+        });
+    }
+
+    /**
+     * Find the port which was permitted by the user and has the same device as the lost port.
+     * The lost port is preferred when it is still available, and the ports opened by other boards are skipped.
+     * @returns {Promise<?object>} a Promise which resolves the native port or null when it was not found
+     */
+    findPermittedPort () {
+        return navigator.serial.getPorts()
+            .then(permittedPorts => {
+                const available = permittedPorts.filter(aPort => !aPort.readable);
+                if (available.includes(this.nativePort)) return this.nativePort;
+                const found = available.find(aPort => {
+                    const info = aPort.getInfo();
+                    return (info.usbVendorId === this.portInfo.usbVendorId) &&
+                        (info.usbProductId === this.portInfo.usbProductId);
+                });
+                return found ? found : null;
+            });
+    }
+
+    /**
+     * Start Firmata on the transport and wait for the board to be ready.
+     * @param {object} transport - transport for Firmata like SerialPort
+     * @returns {Promise<ArduinoBoard>} a Promise which resolves this board when it was ready
+     */
+    startFirmata (transport) {
+        const firmata = new Firmata(transport, {reportVersionTimeout: 0});
+        this.setupFirmata(firmata);
+        return new Promise(resolve => {
+            firmata.once('ready', () => {
+                if (this.firmata !== firmata) return;
+                this.onBoarReady();
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Start Firmata on the port and wait for the handshake until the waiting time passed.
+     * The cause of the timeout is guessed by whether the board sent any data or not.
+     * @param {SerialPort} port - opened serial port
+     * @param {number} waitingTime - waiting time for the handshake in milliseconds, 0 to wait forever
+     * @returns {Promise<ArduinoBoard>} a Promise which resolves this board or rejects with ConnectionError
+     */
+    handshake (port, waitingTime) {
+        const starting = this.startFirmata(port);
+        if (waitingTime <= 0) return starting;
+        let received = false;
+        const onData = () => {
+            received = true;
+        };
+        port.on('data', onData);
+        const timeout = timeoutReject(waitingTime)
+            .catch(() => {
+                if (received) {
+                    return Promise.reject(new ConnectionError(
+                        CONNECTION_ERRORS.WRONG_BAUD_RATE,
+                        `received data which is not Firmata at ${this.baudRate} baud in ${waitingTime}ms`));
+                }
+                return Promise.reject(new ConnectionError(
+                    CONNECTION_ERRORS.NO_FIRMATA_RESPONSE,
+                    `no response from the board in ${waitingTime}ms`));
+            });
+        return Promise.race([starting, timeout])
+            .finally(() => {
+                port.removeListener('data', onData);
+            });
     }
 
     /**
      * Return connected Arduino board using WebSerial
-     * @param {object} options - serial port options
+     * @param {object} settings - serial settings
+     * @param {number} settings.baudRate - baud rate of the serial port
+     * @param {Array<{usbVendorId, usbProductId}>} settings.filters - USB filters for the port chooser
+     * @param {number} settings.readyTimeout - waiting time for the board to be ready in milliseconds, 0 to wait forever
      * @returns {Promise<ArduinoBoard>} a Promise which resolves a connected Arduino board or reject with reason
      */
-    connectSerial (options) {
+    connectSerial (settings) {
         if (this.firmata) return Promise.resolve(this); // already opened
         this.state = 'portRequesting';
-        const request = this.openSerialPort(options)
-            .then(port => {
-                const firmata = new Firmata(port, {reportVersionTimeout: 0});
-                this.setupFirmata(firmata);
-                return new Promise(resolve => {
-                    firmata.once('ready', () => {
-                        if (this.firmata !== firmata) return;
-                        this.onBoarReady();
-                        resolve(this);
-                    });
-                });
-            });
-        // return Promise.race([request, timeoutReject(this.connectingWaitingTime)])
+        this.baudRate = settings.baudRate;
+        this.readyWaitingTime = settings.readyTimeout;
+        const request = this.openSerialPort({filters: settings.filters})
+            .then(port => this.handshake(port, this.readyWaitingTime));
         return request
             .catch(reason => {
                 this.releaseBoard();
@@ -219,16 +582,28 @@ class ArduinoBoard extends EventEmitter{
             });
     }
 
+    /**
+     * Return connected virtual Arduino board which emulates an Arduino Uno without hardware.
+     * @returns {Promise<ArduinoBoard>} a Promise which resolves a connected virtual board or reject with reason
+     */
+    connectVirtual () {
+        if (this.firmata) return Promise.resolve(this); // already opened
+        this.state = 'portRequesting';
+        this.virtualTransport = new VirtualTransport();
+        this.portInfo = this.virtualTransport.getInfo();
+        return this.startFirmata(this.virtualTransport)
+            .catch(reason => {
+                this.releaseBoard();
+                return Promise.reject(reason);
+            });
+    }
+
     /**
      * Called when a board was ready.
      */
     onBoarReady () {
-        const firmInfo = this.firmata.firmware;
-        console.log(
-            `${firmInfo.name}` +
-            `-${String(firmInfo.version.major)}.${String(firmInfo.version.minor)}` +
-            ` on: ${JSON.stringify(this.portInfo)}`
-        );
+        const firmware = this.getFirmware();
+        console.log(`${firmware.name}-${firmware.version} on: ${JSON.stringify(this.portInfo)}`);
         this.firmata.i2cConfig();
         this.state = 'ready';
     }
@@ -249,22 +624,166 @@ class ArduinoBoard extends EventEmitter{
         return this.state === 'ready';
     }
 
+    /**
+     * Close the transport of the firmata and forget it.
+     * The moves of the steppers finish at the last known position because their completion never comes.
+     */
+    closeFirmata () {
+        if (!this.firmata) return;
+        this.cancelRamps();
+        this.stopTones();
+        this.writeQueue.clear();
+        this.steppers.forEach(stepper => {
+            if (stepper.finishMove) stepper.finishMove();
+        });
+        try {
+            if (this.firmata.transport && this.firmata.transport.isOpen) {
+                this.firmata.transport.close();
+            }
+            this.firmata.removeAllListeners();
+        } catch (error) {
+            console.error(error);
+        }
+        this.firmata = null;
+    }
+
+    /**
+     * Start reconnecting when the lost connection is able to be reconnected.
+     * The modes and the values of the pins are restored after the board was reconnected.
+     * @returns {boolean} true if it started reconnecting
+     */
+    startReconnecting () {
+        if (!this.autoReconnect || !this.nativePort || this.virtualTransport) return false;
+        if (!this.isReady() || !this.firmata) return false;
+        if (!(navigator.serial && navigator.serial.getPorts)) return false;
+        const pinStates = this.firmata.pins.map(pinState => ({
+            mode: pinState.mode,
+            value: pinState.value,
+            inputBias: pinState.inputBias
+        }));
+        const digitalInputs = Array.from(this.digitalInputSubscriptions.keys());
+        const analogInputs = Array.from(this.analogInputSubscriptions.keys());
+        this.digitalInputSubscriptions.clear();
+        this.analogInputSubscriptions.clear();
+        this.closeFirmata();
+        this.state = 'reconnecting';
+        console.log(`reconnecting to ${JSON.stringify(this.portInfo)}`);
+        this.reconnect(0)
+            .then(() => this.restorePins(pinStates, digitalInputs, analogInputs))
+            .then(() => {
+                this.emit(ArduinoBoard.RECONNECTED);
+            })
+            .catch(reason => {
+                if (this.state === 'disconnect') return; // disconnected by the user
+                this.handleDisconnectError(reason);
+            });
+        return true;
+    }
+
+    /**
+     * Try to reconnect the lost port with backoff.
+     * @param {number} attempt - index of the attempt in the reconnecting delays
+     * @returns {Promise<ArduinoBoard>} a Promise which resolves this board when it was reconnected
+     */
+    reconnect (attempt) {
+        if (attempt >= this.reconnectingDelays.length) {
+            return Promise.reject(new Error(`could not reconnect to ${JSON.stringify(this.portInfo)}`));
+        }
+        return wait(this.reconnectingDelays[attempt])
+            .then(() => {
+                if (this.state === 'disconnect') return Promise.reject(new Error('disconnected'));
+                return this.findPermittedPort();
+            })
+            .then(nativePort => {
+                if (!nativePort) return Promise.reject(new Error('port not found'));
+                return this.openNativePort(nativePort);
+            })
+            .then(port => {
+                if (this.state === 'disconnect') {
+                    port.close();
+                    return Promise.reject(new Error('disconnected'));
+                }
+                return this.handshake(port, this.reconnectingWaitingTime);
+            })
+            .catch(reason => {
+                if (this.state === 'disconnect') return Promise.reject(reason);
+                this.closeFirmata();
+                this.state = 'reconnecting';
+                return this.reconnect(attempt + 1);
+            });
+    }
+
+    /**
+     * Restore the modes and the values of the pins on the reconnected board.
+     * @param {Array<object>} pinStates - modes and values of the pins before the connection was lost
+     * @param {Array<number>} digitalInputs - digital pins which were reporting
+     * @param {Array<number>} analogInputs - analog pins which were reporting
+     * @returns {Promise} a Promise which resolves when all the messages were sent
+     */
+    restorePins (pinStates, digitalInputs, analogInputs) {
+        return pinStates.reduce((sending, pinState, pin) => sending.then(() => {
+            if (!this.pins[pin]) return;
+            this.pins[pin].inputBias = pinState.inputBias;
+            if (typeof pinState.value !== 'number') return;
+            switch (pinState.mode) {
+            case this.MODES.OUTPUT:
+                this.pinMode(pin, this.MODES.OUTPUT);
+                return this.digitalWrite(pin, pinState.value);
+            case this.MODES.PWM:
+                this.pinMode(pin, this.MODES.PWM);
+                return this.pwmWrite(pin, pinState.value);
+            case this.MODES.SERVO:
+                if (this.servos.has(pin)) {
+                    const calibration = this.servos.get(pin).calibration;
+                    this.firmata.servoConfig(pin, calibration.minPulse, calibration.maxPulse);
+                } else {
+                    this.pinMode(pin, this.MODES.SERVO);
+                }
+                return this.servoWrite(pin, pinState.value);
+            default:
+                return;
+            }
+        }), Promise.resolve())
+            .then(() => {
+                if (this.pixelStrips.size === 0) return;
+                this.pixelStrips.forEach(strip => strip.markUnsent());
+                this.firmata.sysexCommand(pixelConfigMessage(Array.from(this.pixelStrips.values())));
+                return this.pixelShow();
+            })
+            .then(() => {
+                this.sonars.forEach((sonar, triggerPin) => this.startSonar(triggerPin)
+                    .catch(() => {})); // The distance is kept until the next report.
+                digitalInputs.forEach(pin => this.subscribeDigitalInput(pin)
+                    .catch(() => {})); // The value is cached as 0 on timeout.
+                analogInputs.forEach(analogPin => this.subscribeAnalogInput(analogPin)
+                    .catch(() => {}));
+            });
+    }
+
     /**
      * Release resources of the board then emit released-event.
      */
     releaseBoard () {
         this.state = 'disconnect';
-        if (this.firmata) {
-            try {
-                if (this.firmata.transport && this.firmata.isOpen) {
-                    this.firmata.transport.close();
-                }
-                this.firmata.removeAllListeners();
-            } catch (error) {
-                console.error(error);
-            }
-            this.firmata = null;
+        this.closeFirmata();
+        if (this.virtualTransport) {
+            this.virtualTransport.close();
+            this.virtualTransport = null;
         }
+        this.digitalInputSubscriptions.clear();
+        this.analogInputSubscriptions.clear();
+        this.steppers.clear();
+        this.oneWireDevices.clear();
+        this.shiftRegisters.clear();
+        this.pixelStrips.clear();
+        this.sonars.clear();
+        this.sonarReporter = null;
+        this.servos.clear();
+        this.safeStates.clear();
+        this.pinOwners.clear();
+        this.usedOutputs.clear();
+        this.serialBuffers.clear();
+        this.nativePort = null;
         this.extensionId = null;
         this.emit(ArduinoBoard.RELEASED);
     }
@@ -294,6 +813,7 @@ class ArduinoBoard extends EventEmitter{
      */
     handleDisconnectError (error) {
         if (this.state === 'disconnect') return;
+        if (this.startReconnecting()) return;
         error = error ? error : 'Firmata was disconnected by device';
         console.error(error);
         this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTION_LOST_ERROR, {
@@ -346,6 +866,14 @@ class ArduinoBoard extends EventEmitter{
         return this.firmata.RESOLUTION;
     }
 
+    /**
+     * IDs of the serial ports for SerialFirmata.
+     * @types {object<string, number>}
+     */
+    get SERIAL_PORT_IDs () {
+        return this.firmata.SERIAL_PORT_IDs;
+    }
+
     getAllPinIndex () {
         if (!this.firmata) return [];
         return Object.keys(this.firmata.pins)
@@ -369,6 +897,15 @@ class ArduinoBoard extends EventEmitter{
     }
 
 
+    /**
+     * Return Array of analog pin index.
+     * @returns {Array.<number>} - index of analog pins.
+     */
+    getAnalogPinIndex () {
+        if (!this.firmata) return [];
+        return this.firmata.analogPins.map((_, index) => index);
+    }
+
     /**
      * Return Array of pin index for PWM mode excluding analog inputs.
      * @returns {Array.<number>} - index of pins for PWM mode.
@@ -407,33 +944,265 @@ class ArduinoBoard extends EventEmitter{
      * @returns {undefined}
      */
     pinMode (pin, mode) {
+        this.sendPendingWrites(pin);
+        if (mode === this.MODES.OUTPUT || mode === this.MODES.PWM || mode === this.MODES.SERVO) {
+            this.usedOutputs.add(pin);
+        }
+        if (mode !== this.MODES.INPUT && mode !== this.MODES.PULLUP) {
+            this.unsubscribeDigitalInput(pin);
+        }
+        if (mode !== this.MODES.ANALOG) {
+            const analogPin = this.firmata.analogPins.indexOf(pin);
+            if (analogPin >= 0) {
+                this.unsubscribeAnalogInput(analogPin);
+            }
+        }
         return this.firmata.pinMode(pin, mode);
     }
 
     /**
-     * Update pin value as a digital input when the last update was too old.
-     * @param {number} pin - pin number to read
-     * @returns {Promise<boolean>} a Promise which resolves boolean when the response was returned
+     * Send the writes for the pin which are waiting in the queue before changing its mode.
+     * Otherwise a value which was written in the former mode would reach the board after the mode change.
+     * @param {number} pin - pin number
      */
-    updateDigitalInput (pin) {
-        if (
-            typeof this.pins[pin].mode !== 'undefined' &&
-            this.pins[pin].mode !== this.firmata.MODES.INPUT &&
-            this.pins[pin].mode !== this.firmata.MODES.PULLUP
-        ) {
-            return Promise.resolve(this.pins[pin].value);
-        }
-        if (this.pins[pin].updating ||
-             (this.pins[pin].updateTime &&
-                ((Date.now() - this.pins[pin].updateTime) < this.digitalReadInterval))) {
-            return Promise.resolve(this.pins[pin].value);
+    sendPendingWrites (pin) {
+        this.writeQueue.sendNow([`mode-${pin}`, `digital-${pin >> 3}`, `analog-${pin}`]);
+    }
+
+    /**
+     * Record the owner who uses the pin in the mode.
+     * It's a conflict when another owner has used the pin in a different mode.
+     * @param {number} pin - pin number to use
+     * @param {number} mode - mode of the pin to use
+     * @param {object} owner - owner which has 'id' and 'name'
+     * @returns {?object} the previous owner when it conflicted, or null
+     */
+    claimPin (pin, mode, owner) {
+        const claimed = this.pinOwners.get(pin);
+        let conflict = null;
+        if (claimed && claimed.owner.id !== owner.id && claimed.mode !== mode) {
+            conflict = claimed.owner;
+            this.pinConflicts.set(pin, {mode: mode, owner: owner, conflictMode: claimed.mode, conflict: conflict});
         }
-        this.pins[pin].updating = true;
-        const request = new Promise(resolve => {
-            if (this.pins[pin].inputBias !== this.firmata.MODES.PULLUP) {
-                this.pins[pin].inputBias = this.firmata.MODES.INPUT;
-            }
-            this.firmata.pinMode(pin, this.pins[pin].inputBias);
+        this.pinOwners.set(pin, {mode: mode, owner: owner, conflict: conflict});
+        return conflict;
+    }
+
+    /**
+     * Whether the pin is a digital input or its mode is not set yet.
+     * @param {number} pin - pin number to check
+     * @returns {boolean} true if the pin is used as a digital input when it was read
+     */
+    isInputPin (pin) {
+        const mode = this.pins[pin].mode;
+        return (typeof mode === 'undefined') ||
+            mode === this.MODES.INPUT ||
+            mode === this.MODES.PULLUP;
+    }
+
+    /**
+     * Forget the owners and the conflicts of all the pins.
+     */
+    clearPinOwners () {
+        this.pinOwners.clear();
+        this.pinConflicts.clear();
+    }
+
+    /**
+     * Return the name of the pin mode.
+     * @param {number} mode - pin mode
+     * @returns {string} name of the mode in MODES, or empty for unknown modes
+     */
+    modeName (mode) {
+        const name = Object.keys(this.MODES).find(key => this.MODES[key] === mode);
+        return name ? name : '';
+    }
+
+    /**
+     * Return the name and the version of the firmware which was reported by the board.
+     * @returns {?{name: string, version: string}} the firmware, or null if it's not reported
+     */
+    getFirmware () {
+        if (!this.firmata || !this.firmata.firmware || !this.firmata.firmware.version) return null;
+        const firmInfo = this.firmata.firmware;
+        return {
+            name: firmInfo.name,
+            version: `${String(firmInfo.version.major)}.${String(firmInfo.version.minor)}`
+        };
+    }
+
+    /**
+     * Return the modes which the pin supports.
+     * @param {number} pin - pin number
+     * @returns {Array<number>} supported modes, empty for the pins which are not on the board
+     */
+    getSupportedModes (pin) {
+        const pinState = this.pins[pin];
+        if (!pinState || !pinState.supportedModes) return [];
+        return pinState.supportedModes;
+    }
+
+    /**
+     * Whether the pin supports the mode.
+     * @param {number} pin - pin number
+     * @param {number} mode - pin mode
+     * @returns {boolean} true if the firmware reported the mode for the pin
+     */
+    isModeSupported (pin, mode) {
+        return this.getSupportedModes(pin).includes(mode);
+    }
+
+    /**
+     * Set whether to keep reporting the input pins which were read once.
+     * All the reporting pins stop reporting when it was set to false.
+     * @param {boolean} keep - true to keep reporting
+     */
+    setKeepInputReporting (keep) {
+        this.keepInputReporting = keep;
+        if (keep) return;
+        Array.from(this.digitalInputSubscriptions.keys())
+            .forEach(pin => this.unsubscribeDigitalInput(pin));
+        Array.from(this.analogInputSubscriptions.keys())
+            .forEach(analogPin => this.unsubscribeAnalogInput(analogPin));
+    }
+
+    /**
+     * Wait for the first report of the pin which started reporting.
+     * @param {object} pinState - state of the pin in the pins
+     * @param {string} event - name of the event for the report
+     * @param {number} waitingTime - waiting time for the report in milliseconds
+     * @returns {Promise} a Promise which resolves when the first report was received
+     */
+    waitFirstReport (pinState, event, waitingTime) {
+        const firstReport = new Promise(resolve => {
+            this.firmata.once(event, resolve);
+        });
+        pinState.subscribing = Promise.race([firstReport, timeoutReject(waitingTime)])
+            .then(
+                () => {
+                    pinState.subscribing = null;
+                },
+                reason => {
+                    pinState.subscribing = null;
+                    pinState.value = 0;
+                    pinState.updateTime = Date.now();
+                    return Promise.reject(reason);
+                });
+        return pinState.subscribing;
+    }
+
+    /**
+     * Keep reporting the pin as a digital input and return the cached value.
+     * The first reading waits for the report from the board.
+     * This board emits 'digital-read-N' event with the value every time the pin N was reported.
+     * @param {number} pin - pin number to read
+     * @returns {Promise<number>} a Promise which resolves the value of the pin
+     */
+    subscribeDigitalInput (pin) {
+        const pinState = this.pins[pin];
+        if (!this.digitalInputSubscriptions.has(pin)) {
+            if (pinState.inputBias !== this.firmata.MODES.PULLUP) {
+                pinState.inputBias = this.firmata.MODES.INPUT;
+            }
+            const listener = value => {
+                pinState.updateTime = Date.now();
+                this.emit(`digital-read-${pin}`, value);
+            };
+            this.digitalInputSubscriptions.set(pin, listener);
+            this.firmata.on(`digital-read-${pin}`, listener);
+            this.waitFirstReport(pinState, `digital-read-${pin}`, this.updateDigitalInputWaitingTime);
+            this.sendPendingWrites(pin);
+            this.firmata.pinMode(pin, pinState.inputBias);
+            this.firmata.reportDigitalPin(pin, 1);
+        }
+        if (pinState.subscribing) {
+            return pinState.subscribing.then(() => pinState.value);
+        }
+        return Promise.resolve(pinState.value);
+    }
+
+    /**
+     * Stop reporting the pin as a digital input.
+     * The port of the pin keeps reporting while other pins in the port are subscribed.
+     * @param {number} pin - pin number to stop
+     */
+    unsubscribeDigitalInput (pin) {
+        const listener = this.digitalInputSubscriptions.get(pin);
+        if (!listener) return;
+        this.digitalInputSubscriptions.delete(pin);
+        this.firmata.removeListener(`digital-read-${pin}`, listener);
+        const port = pin >> 3;
+        const portInUse = Array.from(this.digitalInputSubscriptions.keys())
+            .some(other => (other >> 3) === port);
+        if (!portInUse) {
+            this.firmata.reportDigitalPin(pin, 0);
+        }
+    }
+
+    /**
+     * Keep reporting the pin as an analog input and return the cached value.
+     * The first reading waits for the report from the board.
+     * This board emits 'analog-read-N' event with the value every time the analog pin N was reported.
+     * @param {number} analogPin - analog pin number to read
+     * @returns {Promise<number>} a Promise which resolves the value of the pin
+     */
+    subscribeAnalogInput (analogPin) {
+        const pinState = this.pins[this.firmata.analogPins[analogPin]];
+        if (!this.analogInputSubscriptions.has(analogPin)) {
+            const listener = value => {
+                pinState.updateTime = Date.now();
+                this.emit(`analog-read-${analogPin}`, value);
+            };
+            this.analogInputSubscriptions.set(analogPin, listener);
+            this.firmata.on(`analog-read-${analogPin}`, listener);
+            this.waitFirstReport(pinState, `analog-read-${analogPin}`, this.updateAnalogInputWaitingTime);
+            this.sendPendingWrites(this.firmata.analogPins[analogPin]);
+            this.firmata.pinMode(analogPin, this.MODES.ANALOG);
+            this.firmata.reportAnalogPin(analogPin, 1);
+        }
+        if (pinState.subscribing) {
+            return pinState.subscribing.then(() => pinState.value);
+        }
+        return Promise.resolve(pinState.value);
+    }
+
+    /**
+     * Stop reporting the pin as an analog input.
+     * @param {number} analogPin - analog pin number to stop
+     */
+    unsubscribeAnalogInput (analogPin) {
+        const listener = this.analogInputSubscriptions.get(analogPin);
+        if (!listener) return;
+        this.analogInputSubscriptions.delete(analogPin);
+        this.firmata.removeListener(`analog-read-${analogPin}`, listener);
+        this.firmata.reportAnalogPin(analogPin, 0);
+    }
+
+    /**
+     * Update pin value as a digital input when the last update was too old.
+     * When keepInputReporting is true, the pin keeps reporting and this resolves the cached value.
+     * @param {number} pin - pin number to read
+     * @returns {Promise<boolean>} a Promise which resolves boolean when the response was returned
+     */
+    updateDigitalInput (pin) {
+        if (!this.isInputPin(pin)) {
+            return Promise.resolve(this.pins[pin].value);
+        }
+        if (this.keepInputReporting) {
+            return this.subscribeDigitalInput(pin);
+        }
+        if (this.pins[pin].updating ||
+             (this.pins[pin].updateTime &&
+                ((Date.now() - this.pins[pin].updateTime) < this.digitalReadInterval))) {
+            return Promise.resolve(this.pins[pin].value);
+        }
+        this.pins[pin].updating = true;
+        const request = new Promise(resolve => {
+            if (this.pins[pin].inputBias !== this.firmata.MODES.PULLUP) {
+                this.pins[pin].inputBias = this.firmata.MODES.INPUT;
+            }
+            this.sendPendingWrites(pin);
+            this.firmata.pinMode(pin, this.pins[pin].inputBias);
             this.firmata.reportDigitalPin(pin, 1);
             this.firmata.once(`digital-read-${pin}`,
                 value => {
@@ -455,24 +1224,26 @@ class ArduinoBoard extends EventEmitter{
 
     /**
      * Set input bias of the connector.
+     * The mode change is queued after the writes which were pushed before it.
      * @param {number} pin - number of the pin
      * @param {boolean} pullUp - input bias of the pin [none | pullUp]
-     * @returns {Promise} a Promise which resolves when the message was sent
+     * @returns {Promise} a Promise which resolves when the batch was sent
      */
     setInputBias (pin, pullUp) {
         this.pins[pin].inputBias = (pullUp ? this.MODES.PULLUP : this.MODES.INPUT);
-        return new Promise(resolve => {
-            this.pinMode(pin, this.pins[pin].inputBias);
-            setTimeout(() => resolve(), this.sendingInterval);
-        });
+        return this.writeQueue.push(`mode-${pin}`, () => this.pinMode(pin, this.pins[pin].inputBias));
     }
 
     /**
      * Update pin value as a analog input when the last update was too old.
+     * When keepInputReporting is true, the pin keeps reporting and this resolves the cached value.
      * @param {number} analogPin - pin number to read
      * @returns {Promise<number>} resolves analog value when the response was returned
      */
     updateAnalogInput (analogPin) {
+        if (this.keepInputReporting) {
+            return this.subscribeAnalogInput(analogPin);
+        }
         const pin = this.firmata.analogPins[analogPin];
         if (this.pins[pin].updating ||
              (this.pins[pin].updateTime &&
@@ -481,6 +1252,7 @@ class ArduinoBoard extends EventEmitter{
         }
         this.pins[pin].updating = true;
         const request = new Promise(resolve => {
+            this.sendPendingWrites(pin);
             this.firmata.pinMode(analogPin, this.MODES.ANALOG);
             this.firmata.reportAnalogPin(analogPin, 1);
             this.firmata.once(`analog-read-${analogPin}`,
@@ -502,45 +1274,1108 @@ class ArduinoBoard extends EventEmitter{
     }
 
     /**
-     * Asks the board to write a value to a digital pin
+     * Wait until the transport sent all the bytes which were written.
+     * An empty write is used as a marker because its callback is called after the preceding writes.
+     * @returns {Promise} a Promise which resolves when the transport drained or the waiting time passed
+     */
+    drainTransport () {
+        const transport = this.firmata ? this.firmata.transport : null;
+        if (!transport || !transport.isOpen) return Promise.resolve();
+        const drained = new Promise(resolve => {
+            transport.write(Buffer.alloc(0), () => resolve());
+        });
+        return Promise.race([drained, wait(this.drainWaitingTime)]);
+    }
+
+    /**
+     * Asks the board to write a value to a digital pin.
+     * The value is kept in the port at once and the port is sent in the next batch of writes.
      * @param {number} pin - The pin you want to write a value to.
      * @param {number} value - The value you want to write. Must be board.HIGH or board.LOW
-     * @param {boolean} enqueue - When true, the local state is updated but the command is not sent to the board
+     * @returns {Promise} a Promise which resolves when the batch was sent
+     */
+    digitalWrite (pin, value) {
+        const port = this.firmata.updateDigitalPort(pin, value);
+        return this.writeQueue.push(`digital-${port}`, () => this.firmata.writeDigitalPort(port));
+    }
+
+    /**
+     * Set PWM to the value on the pin.
+     * A write which is not sent yet for the pin is replaced with this value.
+     * @param {number} pin - pin number to set
+     * @param {number} value - PWM level
+     * @returns {Promise} a Promise which resolves when the batch was sent
+     */
+    pwmWrite (pin, value) {
+        this.pins[pin].value = value;
+        return this.writeQueue.push(`analog-${pin}`, () => this.firmata.pwmWrite(pin, value));
+    }
+
+    /**
+     * Asks the board to move a servo.
+     * A write which is not sent yet for the pin is replaced with this value.
+     * @param {number} pin - the pin the servo is connected to
+     * @param {number} value - the degrees to move the servo to.
+     * @returns {Promise} a Promise which resolves when the batch was sent
+     */
+    servoWrite (pin, value) {
+        this.pins[pin].value = value;
+        return this.writeQueue.push(`analog-${pin}`, () => this.firmata.servoWrite(pin, value));
+    }
+
+    /**
+     * Return the servo on the pin.
+     * @param {number} pin - pin number of the servo
+     * @returns {{calibration: object, angle: ?number}} calibration and the last angle of the servo
+     */
+    getServo (pin) {
+        if (!this.servos.has(pin)) {
+            this.servos.set(pin, {calibration: DEFAULT_SERVO_CALIBRATION, angle: null});
+        }
+        return this.servos.get(pin);
+    }
+
+    /**
+     * Attach the servo with the pulse widths and set the range of the angle.
+     * @param {number} pin - pin number of the servo
+     * @param {object} calibration - calibration which was made by makeServoCalibration()
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    digitalWrite (pin, value, enqueue) {
+    servoConfig (pin, calibration) {
         return new Promise(resolve => {
-            this.firmata.digitalWrite(pin, value, enqueue);
+            this.getServo(pin).calibration = calibration;
+            this.sendPendingWrites(pin);
+            this.usedOutputs.add(pin);
+            this.firmata.servoConfig(pin, calibration.minPulse, calibration.maxPulse);
             setTimeout(() => resolve(), this.sendingInterval);
         });
     }
 
     /**
-     * Set PWM to the value on the pin
-     * @param {number} pin - pin number to set
-     * @param {number} value - PWM level
+     * Turn the servo to the angle in its calibration.
+     * @param {number} pin - pin number of the servo
+     * @param {number} angle - angle in degrees, 0 is the center of the range
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    pwmWrite (pin, value) {
+    servoTurn (pin, angle) {
+        const servo = this.getServo(pin);
+        servo.angle = clampServoAngle(angle, servo.calibration);
+        if (this.pins[pin].mode !== this.MODES.SERVO) {
+            this.pinMode(pin, this.MODES.SERVO);
+        }
+        return this.servoWrite(pin, servoValueOf(servo.angle, servo.calibration));
+    }
+
+    /**
+     * Detach the servo to stop holding its position.
+     * The pin is set to LOW output because Firmata detaches a servo when the pin mode was changed.
+     * @param {number} pin - pin number of the servo
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    servoDetach (pin) {
+        this.cancelRamp(pin);
+        this.pinMode(pin, this.MODES.OUTPUT);
+        return this.digitalWrite(pin, this.LOW);
+    }
+
+    /**
+     * Change a value of the pin over time with the easing.
+     * A ramp which is running on the same pin is cancelled.
+     * Writes are sent every rampInterval and skipped while the value is not changed.
+     * @param {number} pin - pin number to write
+     * @param {number} from - value at the start
+     * @param {number} to - value at the end
+     * @param {number} duration - time to take in milliseconds
+     * @param {string} easing - name of the easing in EASINGS
+     * @param {function(number): number} toOutput - function to convert the value to the output to be compared
+     * @param {function(number)} write - function to write the value to the pin
+     * @returns {Promise} a Promise which resolves when the ramp was finished or cancelled
+     */
+    ramp (pin, from, to, duration, easing, toOutput, write) {
+        this.cancelRamp(pin);
+        return new Promise(resolve => {
+            const startTime = Date.now();
+            let lastOutput = null;
+            let timer = null;
+            const ramp = {
+                cancel: () => {
+                    clearTimeout(timer);
+                    if (this.ramps.get(pin) === ramp) this.ramps.delete(pin);
+                    resolve();
+                }
+            };
+            const step = () => {
+                const progress = (duration > 0) ? ((Date.now() - startTime) / duration) : 1;
+                const value = interpolate(from, to, progress, easing);
+                const output = toOutput(value);
+                if (output !== lastOutput) {
+                    lastOutput = output;
+                    write(value);
+                }
+                if (progress >= 1) {
+                    ramp.cancel();
+                    return;
+                }
+                timer = setTimeout(step, this.rampInterval);
+            };
+            this.ramps.set(pin, ramp);
+            step();
+        });
+    }
+
+    /**
+     * Stop the ramp which is running on the pin.
+     * @param {number} pin - pin number of the ramp
+     */
+    cancelRamp (pin) {
+        const running = this.ramps.get(pin);
+        if (running) running.cancel();
+    }
+
+    /**
+     * Stop all the ramps which are running.
+     */
+    cancelRamps () {
+        Array.from(this.ramps.values()).forEach(running => running.cancel());
+    }
+
+    /**
+     * Turn the servo to the angle over time.
+     * The servo jumps to the angle when it was never turned because its current angle is unknown.
+     * @param {number} pin - pin number of the servo
+     * @param {number} angle - angle in degrees to turn to
+     * @param {number} duration - time to take in milliseconds
+     * @param {string} easing - name of the easing in EASINGS
+     * @returns {Promise} a Promise which resolves when the servo reached the angle or it was cancelled
+     */
+    servoRamp (pin, angle, duration, easing) {
+        const servo = this.getServo(pin);
+        const target = clampServoAngle(angle, servo.calibration);
+        const from = (servo.angle === null) ? target : servo.angle;
+        return this.ramp(pin, from, target, duration, easing,
+            value => servoValueOf(value, servo.calibration),
+            value => this.servoTurn(pin, value));
+    }
+
+    /**
+     * Change the PWM value of the pin over time.
+     * It starts from 0 when the pin was not a PWM output.
+     * @param {number} pin - pin number to fade
+     * @param {number} value - PWM value to fade to
+     * @param {number} duration - time to take in milliseconds
+     * @param {string} easing - name of the easing in EASINGS
+     * @returns {Promise} a Promise which resolves when the PWM reached the value or it was cancelled
+     */
+    pwmRamp (pin, value, duration, easing) {
+        let from = 0;
+        if (this.pins[pin].mode === this.MODES.PWM) {
+            from = this.pins[pin].value;
+        } else {
+            this.pinMode(pin, this.MODES.PWM);
+        }
+        return this.ramp(pin, from, value, duration, easing,
+            current => Math.round(current),
+            current => this.pwmWrite(pin, Math.round(current)));
+    }
+
+    /**
+     * Whether the firmware plays tones by TONE_DATA sysex.
+     * @returns {boolean} true if the firmware supports the tone sysex
+     */
+    isToneSupported () {
+        const firmware = this.getFirmware();
+        return !!firmware && TONE_FIRMWARE.test(firmware.name);
+    }
+
+    /**
+     * Play a tone on the digital pin for the duration.
+     * The firmware plays it when it supports the tone sysex. Otherwise the pin is toggled by this host
+     * as a square wave which is bounded to a low frequency.
+     * @param {number} pin - pin number
+     * @param {number} frequency - frequency in Hz, 0 or less for silence
+     * @param {number} duration - duration in milliseconds
+     * @returns {Promise} a Promise which resolves when the tone finished or was stopped
+     */
+    playTone (pin, frequency, duration) {
+        this.stopTone(pin);
+        return new Promise(resolve => {
+            const firmata = this.firmata;
+            const bySysex = this.isToneSupported();
+            let timer = null;
+            let wave = null;
+            const tone = {
+                cancel: () => {
+                    clearTimeout(timer);
+                    clearInterval(wave);
+                    if (this.tones.get(pin) === tone) this.tones.delete(pin);
+                    if (firmata.transport && firmata.transport.isOpen) {
+                        if (bySysex) {
+                            firmata.sysexCommand(noToneMessage(pin));
+                        } else {
+                            firmata.digitalWrite(pin, this.LOW);
+                        }
+                    }
+                    resolve();
+                }
+            };
+            this.tones.set(pin, tone);
+            this.pinMode(pin, this.MODES.OUTPUT);
+            if (frequency > 0) {
+                if (bySysex) {
+                    firmata.sysexCommand(toneMessage(pin, frequency, duration));
+                } else {
+                    let level = this.LOW;
+                    wave = setInterval(() => {
+                        level = (level === this.LOW) ? this.HIGH : this.LOW;
+                        firmata.digitalWrite(pin, level);
+                    }, squareWaveInterval(frequency));
+                }
+            }
+            timer = setTimeout(() => tone.cancel(), Math.max(0, duration));
+        });
+    }
+
+    /**
+     * Stop the tone on the pin.
+     * @param {number} pin - pin number
+     */
+    stopTone (pin) {
+        const tone = this.tones.get(pin);
+        if (tone) tone.cancel();
+    }
+
+    /**
+     * Stop all the tones.
+     */
+    stopTones () {
+        Array.from(this.tones.values()).forEach(tone => tone.cancel());
+    }
+
+    /**
+     * Set the state of the output pin to be set by resetOutputs().
+     * @param {number} pin - pin number
+     * @param {string} state - 'off', 'high' or 'keep'
+     */
+    setSafeState (pin, state) {
+        this.safeStates.set(pin, state);
+    }
+
+    /**
+     * Put the output pins which have been used since the connection into their safe states.
+     * Ramps are stopped before that, then the steppers are stopped,
+     * the shift registers are cleared and the NeoPixel strips are turned off.
+     * @returns {Promise} a Promise which resolves when all the messages were sent
+     */
+    resetOutputs () {
+        this.cancelRamps();
+        this.stopTones();
+        const devices = [];
+        // The pins of the shift registers are left as they were cleared.
+        const devicePins = new Set();
+        this.steppers.forEach((stepper, deviceNum) => devices.push(this.stepperStop(deviceNum)));
+        this.shiftRegisters.forEach(chain => {
+            [chain.dataPin, chain.clockPin, chain.latchPin].forEach(pin => devicePins.add(pin));
+            chain.clear();
+            devices.push(this.shiftOut(chain.dataPin, chain.clockPin, chain.latchPin, chain.bytesToShift()));
+        });
+        if (this.pixelStrips.size > 0) {
+            // The firmware turns off all the strips by one message.
+            this.firmata.sysexCommand(pixelOffMessage());
+            this.pixelStrips.forEach(strip => strip.markOff());
+        }
+        return Promise.all(devices.concat(Array.from(this.usedOutputs).map(pin => {
+            const state = this.safeStates.get(pin) || 'off';
+            const mode = this.pins[pin].mode;
+            if (state === 'keep' || devicePins.has(pin)) return Promise.resolve();
+            if (mode !== this.MODES.OUTPUT && mode !== this.MODES.PWM && mode !== this.MODES.SERVO) {
+                return Promise.resolve();
+            }
+            if (state === 'high') {
+                if (mode !== this.MODES.OUTPUT) this.pinMode(pin, this.MODES.OUTPUT);
+                return this.digitalWrite(pin, this.HIGH);
+            }
+            if (mode === this.MODES.SERVO) return this.servoDetach(pin);
+            if (mode === this.MODES.PWM) return this.pwmWrite(pin, 0);
+            return this.digitalWrite(pin, this.LOW);
+        })));
+    }
+
+    /**
+     * Shift out bytes to a shift register like 74HC595.
+     * Firmata has no firmware for SHIFT mode, so the bits are clocked out by digital messages.
+     * The latch pin goes LOW while shifting and HIGH to update the outputs after all the bytes.
+     * @param {number} dataPin - pin number of the serial data
+     * @param {number} clockPin - pin number of the shift clock
+     * @param {?number} latchPin - pin number of the storage clock, or null not to latch
+     * @param {Array<number>} data - bytes to shift out
+     * @param {string} [bitOrder] - order of the bits in BIT_ORDERS, MSB first by default
+     * @returns {Promise} a Promise which resolves when the messages were sent
+     */
+    shiftOut (dataPin, clockPin, latchPin, data, bitOrder = BIT_ORDERS.MSB_FIRST) {
+        const pins = [dataPin, clockPin];
+        if (latchPin !== null) pins.push(latchPin);
+        const missing = pins.find(pin => !this.pins[pin]);
+        if (typeof missing !== 'undefined') {
+            return Promise.reject(new Error(`pin ${missing} does not exist`));
+        }
         return new Promise(resolve => {
-            this.firmata.pwmWrite(pin, value);
+            pins.forEach(pin => {
+                if (this.pins[pin].mode !== this.MODES.OUTPUT) {
+                    this.pinMode(pin, this.MODES.OUTPUT);
+                }
+            });
+            if (latchPin !== null) this.firmata.digitalWrite(latchPin, this.LOW);
+            this.firmata.digitalWrite(clockPin, this.LOW);
+            data.forEach(byte => {
+                byteToBits(byte, bitOrder).forEach(bit => {
+                    this.firmata.digitalWrite(dataPin, bit ? this.HIGH : this.LOW);
+                    this.firmata.digitalWrite(clockPin, this.HIGH);
+                    this.firmata.digitalWrite(clockPin, this.LOW);
+                });
+            });
+            if (latchPin !== null) this.firmata.digitalWrite(latchPin, this.HIGH);
             setTimeout(() => resolve(), this.sendingInterval);
         });
     }
 
     /**
-     * Asks the board to move a servo
-     * @param {number} pin - the pin the servo is connected to
-     * @param {number} value - the degrees to move the servo to.
+     * Configure a chain of shift registers to use their outputs as extra digital outputs.
+     * All the outputs are cleared to LOW.
+     * @param {number} dataPin - pin number of the serial data
+     * @param {number} clockPin - pin number of the shift clock
+     * @param {?number} latchPin - pin number of the storage clock, or null if it's not connected
+     * @param {number} length - number of the registers in the chain
+     * @returns {Promise} a Promise which resolves when the outputs were cleared
+     */
+    shiftRegisterConfig (dataPin, clockPin, latchPin, length) {
+        const chain = new ShiftRegisterChain(dataPin, clockPin, latchPin, length);
+        this.shiftRegisters.set(dataPin, chain);
+        return this.shiftOut(dataPin, clockPin, latchPin, chain.bytesToShift());
+    }
+
+    /**
+     * Set level of an output in the chain of shift registers.
+     * @param {number} dataPin - data pin of the chain
+     * @param {number} output - index of the output in the chain
+     * @param {number} value - level to set
+     * @returns {Promise} a Promise which resolves when the outputs were updated
+     */
+    shiftRegisterWrite (dataPin, output, value) {
+        const chain = this.shiftRegisters.get(dataPin);
+        if (!chain) {
+            return Promise.reject(new Error(`no shift register is configured on data pin ${dataPin}`));
+        }
+        if (!chain.setOutput(output, value)) {
+            return Promise.reject(new Error(`output ${output} is out of the shift registers`));
+        }
+        return this.shiftOut(chain.dataPin, chain.clockPin, chain.latchPin, chain.bytesToShift());
+    }
+
+    /**
+     * Configure a NeoPixel strip on the pin.
+     * All the strips are sent in one message, so the strip replaces the former one on the same pin.
+     * @param {number} pin - pin number of the data line
+     * @param {number} length - number of the pixels
+     * @param {number} colorOrder - color order in COLOR_ORDERS
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    pixelConfig (pin, length, colorOrder) {
+        return new Promise(resolve => {
+            this.pixelStrips.set(pin, new PixelStrip(pin, length, colorOrder));
+            let offset = 0;
+            this.pixelStrips.forEach(strip => {
+                strip.offset = offset;
+                offset += strip.length;
+                strip.markUnsent();
+            });
+            this.firmata.sysexCommand(pixelConfigMessage(Array.from(this.pixelStrips.values())));
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Return the NeoPixel strip on the pin.
+     * @param {number} pin - pin number of the data line
+     * @returns {?PixelStrip} the strip, or undefined if it was not configured
+     */
+    getPixelStrip (pin) {
+        return this.pixelStrips.get(pin);
+    }
+
+    /**
+     * Send the pixels which were changed after the last show then show them on all the strips.
+     * @returns {Promise} a Promise which resolves when the messages were sent
+     */
+    pixelShow () {
+        return new Promise(resolve => {
+            this.pixelStrips.forEach(strip => {
+                strip.changedPixels().forEach(index => {
+                    this.firmata.sysexCommand(pixelSetMessage(strip.offset + index, strip.pixels[index]));
+                    strip.markSent(index);
+                });
+            });
+            this.firmata.sysexCommand(pixelShowMessage());
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Whether the pin supports PING_READ of PingFirmata.
+     * @param {number} pin - pin number to check
+     * @returns {boolean} true if the pin supports PING_READ
+     */
+    isPingReadSupported (pin) {
+        const pinState = this.pins[pin];
+        return !!pinState && pinState.supportedModes.includes(this.MODES.PING_READ);
+    }
+
+    /**
+     * Send a trigger pulse and measure the duration of the echo pulse on the same pin by PING_READ.
+     * The pin must support PING_READ which is offered by PingFirmata.
+     * PingFirmata triggers and listens the echo on one pin, so the trigger and the echo
+     * of a HC-SR04 module have to be connected together to the pin.
+     * Readings for a pin while another reading is in progress share the same result.
+     * @param {number} pin - pin number which the sensor is connected
+     * @returns {Promise<number>} a Promise which resolves the duration in microseconds, 0 when no echo returned
+     */
+    pingRead (pin) {
+        if (!this.isPingReadSupported(pin)) {
+            return Promise.reject(new Error(`PING_READ is not supported on pin ${pin}, upload PingFirmata`));
+        }
+        const pinState = this.pins[pin];
+        if (pinState.pinging) return pinState.pinging;
+        this.unsubscribeDigitalInput(pin);
+        let listener;
+        const request = new Promise(resolve => {
+            listener = duration => resolve(duration);
+            this.firmata.pingRead({
+                pin: pin,
+                value: this.HIGH,
+                pulseOut: 5,
+                timeout: this.pingEchoTimeout
+            }, listener);
+        });
+        pinState.pinging = Promise.race([request, timeoutReject(this.pingReadWaitingTime)])
+            .catch(reason => {
+                if (this.firmata) {
+                    this.firmata.removeListener(`ping-read-${pin}`, listener);
+                }
+                return Promise.reject(reason);
+            })
+            .finally(() => {
+                pinState.pinging = null;
+            });
+        return pinState.pinging;
+    }
+
+    /**
+     * Whether the firmware measures the distance with separate trigger and echo pins.
+     * @returns {boolean} true if the firmware supports the sonar sysex of FirmataExpress
+     */
+    isSonarSupported () {
+        const firmware = this.getFirmware();
+        return !!firmware && SONAR_FIRMWARE.test(firmware.name);
+    }
+
+    /**
+     * Measure the distance by a HC-SR04 module which has separate trigger and echo pins.
+     * The sensor is configured at the first reading, then the firmware keeps pinging it
+     * and this resolves the last reported distance.
+     * It needs FirmataExpress because StandardFirmata and PingFirmata have no way to use two pins for a sensor.
+     * @param {number} triggerPin - pin number of the trigger
+     * @param {number} echoPin - pin number of the echo
+     * @returns {Promise<number>} a Promise which resolves the distance in cm, 0 when no echo returned
+     */
+    sonarRead (triggerPin, echoPin) {
+        if (!this.isSonarSupported()) {
+            return Promise.reject(new Error('separate trigger and echo pins are not supported, upload FirmataExpress'));
+        }
+        let sonar = this.sonars.get(triggerPin);
+        if (sonar && sonar.echoPin !== echoPin) {
+            return Promise.reject(new Error(`trigger pin ${triggerPin} is used with echo pin ${sonar.echoPin}`));
+        }
+        if (!sonar) {
+            sonar = {echoPin: echoPin, distance: 0, waiting: null};
+            this.sonars.set(triggerPin, sonar);
+            this.startSonar(triggerPin)
+                .catch(() => {}); // The reading below handles the failure.
+        }
+        if (sonar.waiting) return sonar.waiting.then(() => sonar.distance);
+        return Promise.resolve(sonar.distance);
+    }
+
+    /**
+     * Configure the sensor in the sonars on the firmware and wait for its first report.
+     * @param {number} triggerPin - trigger pin of the sensor
+     * @returns {Promise} a Promise which resolves when the first report was received
+     */
+    startSonar (triggerPin) {
+        const sonar = this.sonars.get(triggerPin);
+        if (this.sonarReporter !== this.firmata) {
+            const removeHandler = this.onSysexResponse(SONAR_DATA, SYSEX_ENCODINGS.RAW, data => {
+                const report = decodeSonarData(data);
+                const reported = this.sonars.get(report.triggerPin);
+                if (!reported) return;
+                reported.distance = report.distance;
+                this.emit(`sonar-data-${report.triggerPin}`, report.distance);
+            });
+            if (!removeHandler) return Promise.reject(new Error('SONAR_DATA is used by Firmata'));
+            this.sonarReporter = this.firmata;
+        }
+        this.unsubscribeDigitalInput(triggerPin);
+        this.unsubscribeDigitalInput(sonar.echoPin);
+        let listener;
+        const firstReport = new Promise(resolve => {
+            listener = resolve;
+            this.once(`sonar-data-${triggerPin}`, listener);
+        });
+        sonar.waiting = Promise.race([firstReport, timeoutReject(this.sonarWaitingTime)])
+            .catch(reason => {
+                this.removeListener(`sonar-data-${triggerPin}`, listener);
+                return Promise.reject(reason);
+            })
+            .finally(() => {
+                sonar.waiting = null;
+            });
+        this.firmata.sysexCommand(sonarConfigMessage(triggerPin, sonar.echoPin, SONAR_MAX_DISTANCE));
+        return sonar.waiting;
+    }
+
+    /**
+     * Configure a stepper motor of AccelStepperFirmata in ConfigurableFirmata.
+     * The pins are [step, direction] for 'driver', [motor1, motor2] for 'twoWire'
+     * and [motor1, motor2, motor3, motor4] for 'fourWire'.
+     * @param {number} deviceNum - device number of the stepper (0-9)
+     * @param {string} type - type of the interface [driver | twoWire | fourWire]
+     * @param {Array<number>} pins - pins which the stepper is connected
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    stepperConfig (deviceNum, type, pins) {
+        const unsupported = pins.find(pin => !this.isModeSupported(pin, this.MODES.STEPPER));
+        if (typeof unsupported !== 'undefined') {
+            return Promise.reject(new Error(
+                `STEPPER is not supported on pin ${unsupported}, upload ConfigurableFirmata with AccelStepperFirmata`));
+        }
+        const STEPPER = this.firmata.STEPPER;
+        const options = {deviceNum: deviceNum};
+        if (type === 'driver') {
+            if (pins.length < 2) return Promise.reject(new Error('driver stepper needs step and direction pins'));
+            options.type = STEPPER.TYPE.DRIVER;
+            options.stepPin = pins[0];
+            options.directionPin = pins[1];
+        } else if (type === 'twoWire') {
+            if (pins.length < 2) return Promise.reject(new Error('2-wire stepper needs 2 pins'));
+            options.type = STEPPER.TYPE.TWO_WIRE;
+            options.motorPin1 = pins[0];
+            options.motorPin2 = pins[1];
+        } else {
+            if (pins.length < 4) return Promise.reject(new Error('4-wire stepper needs 4 pins'));
+            options.type = STEPPER.TYPE.FOUR_WIRE;
+            options.motorPin1 = pins[0];
+            options.motorPin2 = pins[1];
+            options.motorPin3 = pins[2];
+            options.motorPin4 = pins[3];
+        }
+        const previous = this.steppers.get(deviceNum);
+        if (previous && previous.finishMove) previous.finishMove();
+        // AccelStepper starts with the max speed of 1 step/s and no acceleration.
+        this.steppers.set(deviceNum, {position: 0, speed: 1, acceleration: 0, finishMove: null});
+        return new Promise(resolve => {
+            this.firmata.accelStepperConfig(options);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Return the stepper which was configured.
+     * @param {number} deviceNum - device number of the stepper
+     * @returns {{position: number, speed: number, acceleration: number, finishMove: ?function}} the stepper
+     */
+    getStepper (deviceNum) {
+        const stepper = this.steppers.get(deviceNum);
+        if (!stepper) throw new Error(`stepper ${deviceNum} is not configured`);
+        return stepper;
+    }
+
+    /**
+     * Set the speed of the stepper.
+     * It is the max speed when the acceleration is set.
+     * @param {number} deviceNum - device number of the stepper
+     * @param {number} speed - speed in steps per second
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    stepperSpeed (deviceNum, speed) {
+        return new Promise(resolve => {
+            this.getStepper(deviceNum).speed = speed;
+            this.firmata.accelStepperSpeed(deviceNum, speed);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Set the acceleration of the stepper.
+     * @param {number} deviceNum - device number of the stepper
+     * @param {number} acceleration - acceleration in steps per second per second, 0 to move at constant speed
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    stepperAcceleration (deviceNum, acceleration) {
+        return new Promise(resolve => {
+            this.getStepper(deviceNum).acceleration = acceleration;
+            this.firmata.accelStepperAcceleration(deviceNum, acceleration);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Move the stepper by the steps from the current position.
+     * A move which is not completed yet finishes when the next move was started or the connection was closed.
+     * It is rejected when the completion did not come in the time estimated from the speed and acceleration,
+     * as the firmware without AccelStepperFirmata never reports it.
+     * @param {number} deviceNum - device number of the stepper
+     * @param {number} steps - steps to move, negative to move backward
+     * @returns {Promise<number>} a Promise which resolves the position when the move was completed
+     */
+    stepperStep (deviceNum, steps) {
+        return new Promise((resolve, reject) => {
+            const stepper = this.getStepper(deviceNum);
+            if (stepper.finishMove) stepper.finishMove();
+            const firmata = this.firmata;
+            const event = `stepper-done-${deviceNum}`;
+            let timer = null;
+            const finish = position => {
+                clearTimeout(timer);
+                firmata.removeListener(event, finish);
+                if (stepper.finishMove === finish) stepper.finishMove = null;
+                if (typeof position === 'number') stepper.position = position;
+                resolve(stepper.position);
+            };
+            const moveTime = stepperMoveTime(Math.abs(steps), stepper.speed, stepper.acceleration);
+            if (!isFinite(moveTime)) throw new Error(`stepper ${deviceNum} never completes the move at speed 0`);
+            // Longer delay than 32-bit overflows in setTimeout().
+            const waitingTime = Math.min(Math.ceil(moveTime) + this.stepperMoveMarginTime, 0x7FFFFFFF);
+            timer = setTimeout(() => {
+                firmata.removeListener(event, finish);
+                if (stepper.finishMove === finish) stepper.finishMove = null;
+                reject(new Error(`stepper ${deviceNum} did not complete the move in ${waitingTime}ms`));
+            }, waitingTime);
+            stepper.finishMove = finish;
+            firmata.on(event, finish);
+            firmata.accelStepperStep(deviceNum, steps);
+        });
+    }
+
+    /**
+     * Stop the stepper immediately.
+     * The move in progress finishes at the position where it stopped.
+     * @param {number} deviceNum - device number of the stepper
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    stepperStop (deviceNum) {
+        return new Promise(resolve => {
+            const stepper = this.getStepper(deviceNum);
+            this.firmata.accelStepperStop(deviceNum);
+            if (stepper.finishMove) stepper.finishMove();
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Read the current position of the stepper.
+     * @param {number} deviceNum - device number of the stepper
+     * @returns {Promise<number>} a Promise which resolves the position in steps
+     */
+    stepperPosition (deviceNum) {
+        let listener;
+        const request = new Promise(resolve => {
+            const stepper = this.getStepper(deviceNum);
+            listener = position => {
+                stepper.position = position;
+                resolve(position);
+            };
+            this.firmata.accelStepperReportPosition(deviceNum, listener);
+        });
+        return Promise.race([request, timeoutReject(this.stepperPositionWaitingTime)])
+            .catch(reason => {
+                if (this.firmata && listener) {
+                    this.firmata.removeListener(`stepper-position-${deviceNum}`, listener);
+                }
+                return Promise.reject(reason);
+            });
+    }
+
+    /**
+     * Configure the pin as the controller of a OneWire bus.
+     * It needs ConfigurableFirmata with OneWireFirmata on the board.
+     * @param {number} pin - pin number of the bus
+     * @param {boolean} enableParasiticPower - true to power the devices through the data line
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    oneWireConfig (pin, enableParasiticPower) {
+        return new Promise(resolve => {
+            this.unsubscribeDigitalInput(pin);
+            this.firmata.sendOneWireConfig(pin, enableParasiticPower);
+            if (!this.oneWireDevices.has(pin)) this.oneWireDevices.set(pin, []);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Search devices on the OneWire bus.
+     * The bus is configured when it was not yet.
+     * @param {number} pin - pin number of the bus
+     * @returns {Promise<Array<Array<number>>>} a Promise which resolves ROM codes of the found devices
+     */
+    oneWireSearch (pin) {
+        const configured = this.oneWireDevices.has(pin) ? Promise.resolve() : this.oneWireConfig(pin, false);
+        return configured
+            .then(() => new Promise((resolve, reject) => {
+                this.firmata.sendOneWireSearch(pin, (error, devices) => {
+                    if (error) {
+                        reject(error);
+                        return;
+                    }
+                    this.oneWireDevices.set(pin, devices);
+                    resolve(devices);
+                });
+            }));
+    }
+
+    /**
+     * Return the devices which were found on the OneWire bus last time.
+     * @param {number} pin - pin number of the bus
+     * @returns {Array<Array<number>>} ROM codes of the devices
+     */
+    getOneWireDevices (pin) {
+        const devices = this.oneWireDevices.get(pin);
+        return devices ? devices : [];
+    }
+
+    /**
+     * Reset all the devices on the OneWire bus.
+     * @param {number} pin - pin number of the bus
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    oneWireReset (pin) {
+        return new Promise(resolve => {
+            this.firmata.sendOneWireReset(pin);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Write bytes to the device on the OneWire bus.
+     * @param {number} pin - pin number of the bus
+     * @param {Array<number>} device - ROM code of the device
+     * @param {Array<number>} data - bytes to write
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    servoWrite (...args) {
+    oneWireWrite (pin, device, data) {
         return new Promise(resolve => {
-            this.firmata.servoWrite(...args);
+            this.firmata.sendOneWireWrite(pin, device, data);
             setTimeout(() => resolve(), this.sendingInterval);
         });
     }
 
+    /**
+     * Read bytes from the device on the OneWire bus.
+     * @param {number} pin - pin number of the bus
+     * @param {Array<number>} device - ROM code of the device
+     * @param {number} length - number of bytes to read
+     * @returns {Promise<Array<number>>} a Promise which resolves read bytes
+     */
+    oneWireRead (pin, device, length) {
+        return new Promise((resolve, reject) => {
+            this.firmata.sendOneWireRead(pin, device, length, (error, data) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(data);
+            });
+        });
+    }
+
+    /**
+     * Write bytes to the device on the OneWire bus then read bytes from it.
+     * @param {number} pin - pin number of the bus
+     * @param {Array<number>} device - ROM code of the device
+     * @param {Array<number>} data - bytes to write
+     * @param {number} length - number of bytes to read
+     * @returns {Promise<Array<number>>} a Promise which resolves read bytes
+     */
+    oneWireWriteAndRead (pin, device, data, length) {
+        return new Promise((resolve, reject) => {
+            this.firmata.sendOneWireWriteAndRead(pin, device, data, length, (error, read) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(read);
+            });
+        });
+    }
+
+    /**
+     * Configure the serial port of the board and start receiving into its buffer.
+     * It needs ConfigurableFirmata with SerialFirmata on the board.
+     * This board emits 'serial-data-N' event with the received bytes of the port N.
+     * @param {number} portId - ID of the port in firmata.SERIAL_PORT_IDs
+     * @param {number} baud - baud rate of the port
+     * @param {number} [rxPin] - RX pin for software serial
+     * @param {number} [txPin] - TX pin for software serial
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    serialConfig (portId, baud, rxPin, txPin) {
+        return new Promise(resolve => {
+            this.firmata.serialConfig({portId: portId, baud: baud, rxPin: rxPin, txPin: txPin});
+            if (!this.serialBuffers.has(portId)) {
+                this.serialBuffers.set(portId, []);
+                this.firmata.serialRead(portId, data => {
+                    const buffer = this.serialBuffers.get(portId);
+                    if (!buffer) return;
+                    buffer.push(...data);
+                    if (buffer.length > this.serialBufferSize) {
+                        buffer.splice(0, buffer.length - this.serialBufferSize);
+                    }
+                    this.emit(`serial-data-${portId}`, data);
+                });
+            }
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Return the receive buffer of the serial port.
+     * @param {number} portId - ID of the port
+     * @returns {Array<number>} the buffer, or empty array when the port is not configured
+     */
+    getSerialBuffer (portId) {
+        const buffer = this.serialBuffers.get(portId);
+        return buffer ? buffer : [];
+    }
+
+    /**
+     * Write bytes to the serial port.
+     * @param {number} portId - ID of the port
+     * @param {Array<number>} data - bytes to write
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    serialWrite (portId, data) {
+        return new Promise(resolve => {
+            this.firmata.serialWrite(portId, data);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Take bytes from the head of the receive buffer of the serial port.
+     * @param {number} portId - ID of the port
+     * @param {number} length - max number of bytes to take
+     * @returns {Array<number>} bytes which were taken
+     */
+    serialRead (portId, length) {
+        const buffer = this.serialBuffers.get(portId);
+        if (!buffer) return [];
+        return buffer.splice(0, length);
+    }
+
+    /**
+     * Take a line from the head of the receive buffer of the serial port.
+     * The line feed at the end is taken but not included in the result.
+     * @param {number} portId - ID of the port
+     * @returns {?Array<number>} bytes of the line, or null when no line was received
+     */
+    serialReadLine (portId) {
+        const buffer = this.serialBuffers.get(portId);
+        if (!buffer) return null;
+        const end = buffer.indexOf(0x0A);
+        if (end < 0) return null;
+        return buffer.splice(0, end + 1).slice(0, end);
+    }
+
+    /**
+     * Discard all the bytes in the receive buffer of the serial port.
+     * @param {number} portId - ID of the port
+     */
+    serialClearBuffer (portId) {
+        const buffer = this.serialBuffers.get(portId);
+        if (buffer) buffer.length = 0;
+    }
+
+    /**
+     * Write bytes to an I2C device.
+     * @param {number} address - address of the I2C device
+     * @param {?number} register - register to write, or null to write the data only
+     * @param {Array<number>} data - bytes to write
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    i2cWrite (address, register, data) {
+        return new Promise(resolve => {
+            if (register === null) {
+                this.firmata.i2cWrite(address, data);
+            } else {
+                this.firmata.i2cWrite(address, register, data);
+            }
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Read bytes from an I2C device once.
+     * @param {number} address - address of the I2C device
+     * @param {?number} register - register to read from, or null to read without register
+     * @param {number} length - number of bytes to read
+     * @returns {Promise<Array<number>>} a Promise which resolves read bytes when the response was returned
+     */
+    i2cReadOnce (address, register, length) {
+        let listener;
+        const request = new Promise(resolve => {
+            listener = data => resolve(data);
+            if (register === null) {
+                this.firmata.i2cReadOnce(address, length, listener);
+            } else {
+                this.firmata.i2cReadOnce(address, register, length, listener);
+            }
+        });
+        return Promise.race([request, timeoutReject(this.i2cReadWaitingTime)])
+            .catch(reason => {
+                if (this.firmata) {
+                    this.firmata.removeListener(`I2C-reply-${address}-${register === null ? 0 : register}`, listener);
+                }
+                return Promise.reject(reason);
+            });
+    }
+
+    /**
+     * Start continuous reading from an I2C device.
+     * The listener will be called with read bytes every time the board reports them
+     * until i2cStop() is called for the address.
+     * @param {number} address - address of the I2C device
+     * @param {?number} register - register to read from, or null to read without register
+     * @param {number} length - number of bytes to read
+     * @param {function(Array<number>)} listener - function to be called with read bytes
+     * @returns {Promise<Array<number>>} a Promise which resolves the first read bytes
+     */
+    i2cRead (address, register, length, listener) {
+        const request = new Promise(resolve => {
+            let first = true;
+            const onData = data => {
+                if (first) {
+                    first = false;
+                    resolve(data);
+                }
+                listener(data);
+            };
+            if (register === null) {
+                this.firmata.i2cRead(address, length, onData);
+            } else {
+                this.firmata.i2cRead(address, register, length, onData);
+            }
+        });
+        return Promise.race([request, timeoutReject(this.i2cReadWaitingTime)]);
+    }
+
+    /**
+     * Stop continuous reading from an I2C device.
+     * @param {number} address - address of the I2C device
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    i2cStop (address) {
+        return new Promise(resolve => {
+            this.firmata.i2cStop(address);
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Send a sysex command with the payload.
+     * @param {number} command - sysex command byte (0x00-0x7F)
+     * @param {Array<number>} data - bytes of the payload
+     * @param {string} encoding - encoding of the payload in SYSEX_ENCODINGS
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    sysexSend (command, data, encoding) {
+        return new Promise(resolve => {
+            this.firmata.sysexCommand([command & 0x7F].concat(encodeSysexPayload(data, encoding)));
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
+    /**
+     * Let the firmata emit 'sysex-response-<command>' with the payload as received when the response was received.
+     * @param {number} command - sysex command byte of the response
+     * @returns {boolean} true if the response is able to be listened, false for the commands used by Firmata
+     */
+    listenSysexResponse (command) {
+        if (sysexResponseCommands.has(command)) return true;
+        if (Firmata.SYSEX_RESPONSE[command]) {
+            console.log(`sysex response 0x${command.toString(16)} is used by Firmata`);
+            return false;
+        }
+        // Firmata calls the handler with the firmata which received the response.
+        Firmata.SYSEX_RESPONSE[command] = firmata =>
+            firmata.emit(`sysex-response-${command}`, firmata.buffer.slice(2, -1));
+        sysexResponseCommands.add(command);
+        return true;
+    }
+
+    /**
+     * Register a handler to be called with the payload every time the sysex response was received.
+     * Responses which are not in the encoding are ignored.
+     * @param {number} command - sysex command byte of the response
+     * @param {string} encoding - encoding of the payload in SYSEX_ENCODINGS
+     * @param {function(Array<number>)} handler - function to be called with the decoded payload
+     * @returns {?function} a function to remove the handler, or null if the command is used by Firmata
+     */
+    onSysexResponse (command, encoding, handler) {
+        if (!this.listenSysexResponse(command)) return null;
+        const firmata = this.firmata;
+        const listener = data => {
+            let payload;
+            try {
+                payload = decodeSysexPayload(data, encoding);
+            } catch (error) {
+                console.log(`sysex response 0x${command.toString(16)} was ignored: ${error.message}`);
+                return;
+            }
+            handler(payload);
+        };
+        firmata.on(`sysex-response-${command}`, listener);
+        return () => firmata.removeListener(`sysex-response-${command}`, listener);
+    }
+
+    /**
+     * Send a sysex command and wait for its response.
+     * @param {number} command - sysex command byte to send
+     * @param {Array<number>} data - bytes of the payload
+     * @param {number} responseCommand - sysex command byte of the response
+     * @param {number} timeout - waiting time for the response in milliseconds
+     * @param {string} encoding - encoding of the payload in SYSEX_ENCODINGS
+     * @param {string} responseEncoding - encoding of the payload of the response in SYSEX_ENCODINGS
+     * @returns {Promise<Array<number>>} a Promise which resolves the decoded payload of the response
+     */
+    sysexRequest (command, data, responseCommand, timeout, encoding, responseEncoding) {
+        let removeHandler = null;
+        const request = new Promise((resolve, reject) => {
+            removeHandler = this.onSysexResponse(responseCommand, SYSEX_ENCODINGS.RAW, received => {
+                try {
+                    resolve(decodeSysexPayload(received, responseEncoding));
+                } catch (error) {
+                    reject(new Error(`response 0x${responseCommand.toString(16)} is malformed: ${error.message}`));
+                }
+            });
+            if (!removeHandler) {
+                reject(new Error(`response 0x${responseCommand.toString(16)} is reserved`));
+                return;
+            }
+            this.firmata.sysexCommand([command & 0x7F].concat(encodeSysexPayload(data, encoding)));
+        });
+        return Promise.race([request, timeoutReject(timeout)])
+            .finally(() => {
+                if (removeHandler) removeHandler();
+            });
+    }
+
 }
 
 export default ArduinoBoard;
@@ -1,5 +1,51 @@
 import {EventEmitter} from 'events';
 import ArduinoBoard from './arduino-board';
+import {CONNECTION_ERRORS, ConnectionError} from './connection-error';
+
+/**
+ * Default settings for the serial connection.
+ * - baudRate: baud rate of the serial port, 57600 is the default of StandardFirmata
+ * - filters: USB filters for the port chooser, like [{usbVendorId: 0x2341, usbProductId: 0x0043}]
+ * - readyTimeout: waiting time for the board to be ready in milliseconds, 0 to wait forever
+ * @type {{baudRate: number, filters: Array<{usbVendorId, usbProductId}>, readyTimeout: number}}
+ */
+export const DEFAULT_SERIAL_SETTINGS = {
+    baudRate: 57600,
+    filters: [],
+    readyTimeout: 10000
+};
+
+/**
+ * Return valid settings for the serial connection which are taken from the settings.
+ * Invalid or missing values are replaced with the defaults.
+ * @param {object} settings - settings to be validated
+ * @returns {{baudRate: number, filters: Array<{usbVendorId, usbProductId}>, readyTimeout: number}} valid settings
+ */
+export const validateSerialSettings = settings => {
+    const valid = {
+        baudRate: DEFAULT_SERIAL_SETTINGS.baudRate,
+        filters: [],
+        readyTimeout: DEFAULT_SERIAL_SETTINGS.readyTimeout
+    };
+    if (!settings) return valid;
+    const baudRate = Number(settings.baudRate);
+    if (Number.isInteger(baudRate) && baudRate > 0) {
+        valid.baudRate = baudRate;
+    }
+    if (Array.isArray(settings.filters)) {
+        valid.filters = settings.filters
+            .filter(filter => filter && Number.isInteger(filter.usbVendorId))
+            .map(filter => {
+                if (!Number.isInteger(filter.usbProductId)) return {usbVendorId: filter.usbVendorId};
+                return {usbVendorId: filter.usbVendorId, usbProductId: filter.usbProductId};
+            });
+    }
+    const readyTimeout = Number(settings.readyTimeout);
+    if (Number.isFinite(readyTimeout) && readyTimeout >= 0) {
+        valid.readyTimeout = readyTimeout;
+    }
+    return valid;
+};
 
 /**
  * Manager object which serves Arduino boards.
@@ -22,6 +68,22 @@ export class ArduinoConnector extends EventEmitter {
         return 'BOARD_ADDED';
     }
 
+    /**
+     * Event name for reporting that a board reconnected after the connection was lost.
+     * @const {string}
+     */
+    static get BOARD_RECONNECTED () {
+        return 'BOARD_RECONNECTED';
+    }
+
+    /**
+     * Event name for reporting that the serial settings changed.
+     * @const {string}
+     */
+    static get SERIAL_SETTINGS_CHANGED () {
+        return 'SERIAL_SETTINGS_CHANGED';
+    }
+
     /**
      * Constructor of this instance.
      * @param {Runtime} runtime - Scratch runtime object
@@ -42,15 +104,33 @@ export class ArduinoConnector extends EventEmitter {
         this.boards = [];
 
         /**
-         * Settings for WebSerial
+         * Settings for WebSerial which are used to connect a new board.
+         * @type {{baudRate: number, filters: Array<{usbVendorId, usbProductId}>, readyTimeout: number}}
          */
-        this.serialPortOptions = {
-            // filters: [
-            //     {usbVendorId: 0x04D8, usbProductId: 0xE83A}, // Licensed for AkaDako
-            //     {usbVendorId: 0x04D8, usbProductId: 0x000A}, // Dev board
-            //     {usbVendorId: 0x04D9, usbProductId: 0xB534} // Use in the future
-            // ]
-        };
+        this.serialSettings = validateSerialSettings(DEFAULT_SERIAL_SETTINGS);
+    }
+
+    /**
+     * Return a copy of the current serial settings.
+     * @returns {{baudRate: number, filters: Array<{usbVendorId, usbProductId}>, readyTimeout: number}} the settings
+     */
+    getSerialSettings () {
+        return validateSerialSettings(this.serialSettings);
+    }
+
+    /**
+     * Change the serial settings which are used for the boards to be connected after this.
+     * The values which are not given in the settings are kept.
+     * @param {object} settings - settings to be changed
+     * @param {number} [settings.baudRate] - baud rate of the serial port
+     * @param {Array<{usbVendorId, usbProductId}>} [settings.filters] - USB filters for the port chooser
+     * @param {number} [settings.readyTimeout] - waiting time for the board to be ready in milliseconds
+     * @returns {{baudRate: number, filters: Array<{usbVendorId, usbProductId}>, readyTimeout: number}} new settings
+     */
+    setSerialSettings (settings) {
+        this.serialSettings = validateSerialSettings(Object.assign({}, this.serialSettings, settings));
+        this.emit(ArduinoConnector.SERIAL_SETTINGS_CHANGED, this.getSerialSettings());
+        return this.getSerialSettings();
     }
 
     /**
@@ -67,11 +147,26 @@ export class ArduinoConnector extends EventEmitter {
                     (filter.usbProductId === aBoard.portInfo.usbProductId)))));
     }
 
+    /**
+     * Return the board which has the number.
+     * @param {number} number - number of the board
+     * @returns {ArduinoBoard?} the board or undefined if it was not found
+     */
+    findBoardByNumber (number) {
+        return this.boards.find(aBoard => aBoard.number === number);
+    }
+
     /**
      * Add a board to the boards holder.
+     * The board is numbered with the smallest number which is not used by the other boards.
      * @param {ArduinoBoard} newBoard the board to be added
      */
     addBoard (newBoard) {
+        let number = 1;
+        while (this.findBoardByNumber(number)) {
+            number++;
+        }
+        newBoard.number = number;
         this.boards.push(newBoard);
         this.emit(ArduinoConnector.BOARD_ADDED, newBoard);
     }
@@ -84,7 +179,7 @@ export class ArduinoConnector extends EventEmitter {
         const indexOfRemoval = this.boards.indexOf(removal);
         if (indexOfRemoval < 0) return; // not found
         this.boards.splice(indexOfRemoval, 1);
-        this.emit(ArduinoConnector.BOARD_ADDED, removal);
+        this.emit(ArduinoConnector.BOARD_REMOVED, removal);
     }
 
     /**
@@ -103,22 +198,46 @@ export class ArduinoConnector extends EventEmitter {
 
     connectSerial (extensionId) {
         if (!('serial' in navigator)) {
-            return Promise.reject(new Error('This browser does not support Web Serial API.'));
+            return Promise.reject(new ConnectionError(
+                CONNECTION_ERRORS.UNSUPPORTED_BROWSER,
+                'This browser does not support Web Serial API.'));
         }
         const newBoard = new ArduinoBoard(this.runtime);
         newBoard.extensionId = extensionId;
-        return newBoard.connectSerial(this.serialPortOptions)
-            .then(connected => {
-                this.addBoard(connected);
-                connected.once(ArduinoBoard.RELEASED, () => {
-                    this.removeBoard(connected);
-                    this.runtime.emit(this.runtime.constructor.PERIPHERAL_DISCONNECTED, {
-                        name: connected.name,
-                        path: connected.portInfo
-                    });
-                });
-                return connected;
+        return newBoard.connectSerial(this.getSerialSettings())
+            .then(connected => this.holdConnectedBoard(connected));
+    }
+
+    /**
+     * Connect a virtual Arduino board which works without hardware.
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<ArduinoBoard>} a Promise which resolves a connected virtual board or reject with reason
+     */
+    connectVirtual (extensionId) {
+        const newBoard = new ArduinoBoard(this.runtime);
+        newBoard.extensionId = extensionId;
+        return newBoard.connectVirtual()
+            .then(connected => this.holdConnectedBoard(connected));
+    }
+
+    /**
+     * Add the connected board and remove it when it was released.
+     * @param {ArduinoBoard} connected - the connected board
+     * @returns {ArduinoBoard} the connected board
+     */
+    holdConnectedBoard (connected) {
+        this.addBoard(connected);
+        const onReconnected = () => this.emit(ArduinoConnector.BOARD_RECONNECTED, connected);
+        connected.on(ArduinoBoard.RECONNECTED, onReconnected);
+        connected.once(ArduinoBoard.RELEASED, () => {
+            connected.removeListener(ArduinoBoard.RECONNECTED, onReconnected);
+            this.removeBoard(connected);
+            this.runtime.emit(this.runtime.constructor.PERIPHERAL_DISCONNECTED, {
+                name: connected.name,
+                path: connected.portInfo
             });
+        });
+        return connected;
     }
 
 }
@@ -0,0 +1,62 @@
+/**
+ * Errors on connecting a board.
+ */
+
+/**
+ * Causes of the failures on connecting a board.
+ * @type {object<string, string>}
+ */
+export const CONNECTION_ERRORS = {
+    UNSUPPORTED_BROWSER: 'UNSUPPORTED_BROWSER',
+    USER_CANCELLED: 'USER_CANCELLED',
+    PORT_BUSY: 'PORT_BUSY',
+    NO_FIRMATA_RESPONSE: 'NO_FIRMATA_RESPONSE',
+    WRONG_BAUD_RATE: 'WRONG_BAUD_RATE'
+};
+
+/**
+ * Error which tells the cause of the failure on connecting a board.
+ */
+export class ConnectionError extends Error {
+
+    /**
+     * Construct an error of the connection.
+     * @param {string} code - cause of the failure in CONNECTION_ERRORS
+     * @param {string} message - detail of the error for the developers
+     */
+    constructor (code, message) {
+        super(message);
+        this.name = 'ConnectionError';
+
+        /**
+         * Cause of the failure in CONNECTION_ERRORS.
+         * @type {string}
+         */
+        this.code = code;
+    }
+}
+
+/**
+ * Convert the reason of the rejection on requesting a port of Web Serial API to a ConnectionError.
+ * @param {Error} reason - reason of the rejection
+ * @returns {Error} ConnectionError for the known causes, or the reason itself
+ */
+export const toRequestPortError = reason => {
+    if (reason instanceof ConnectionError) return reason;
+    if (reason && reason.name === 'NotFoundError') {
+        return new ConnectionError(CONNECTION_ERRORS.USER_CANCELLED, reason.message);
+    }
+    return reason;
+};
+
+/**
+ * Convert the reason of the failure on opening a port to a ConnectionError.
+ * Web Serial API fails to open a port which is opened by another application or another tab.
+ * @param {Error} reason - reason of the failure
+ * @returns {ConnectionError} the error
+ */
+export const toOpenPortError = reason => {
+    if (reason instanceof ConnectionError) return reason;
+    const message = reason ? `${reason.message || reason}` : 'fail to open port';
+    return new ConnectionError(CONNECTION_ERRORS.PORT_BUSY, message);
+};
@@ -0,0 +1,28 @@
+/**
+ * Easing functions for the motions which run over time.
+ */
+
+/**
+ * Easing functions which convert the progress of time (0...1) to the progress of the value (0...1).
+ * @type {object<string, function(number): number>}
+ */
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => ((t < 0.5) ? (2 * t * t) : (-1 + ((4 - (2 * t)) * t)))
+};
+
+/**
+ * Interpolate between the values with the easing.
+ * @param {number} from - value at the start
+ * @param {number} to - value at the end
+ * @param {number} progress - progress of time in 0...1
+ * @param {string} easing - name of the easing in EASINGS, linear is used for unknown names
+ * @returns {number} the value at the progress
+ */
+export const interpolate = (from, to, progress, easing) => {
+    const ease = EASINGS[easing] || EASINGS.linear;
+    const t = Math.min(1, Math.max(0, progress));
+    return from + ((to - from) * ease(t));
+};
@@ -4,7 +4,21 @@ import Cast from '../../util/cast';
 import log from '../../util/log';
 import translations from './translations.json';
 import blockIcon from './block-icon.png';
-import {ArduinoConnector, getArduinoConnector} from './arduino-connector';
+import {ArduinoConnector, getArduinoConnector, validateSerialSettings} from './arduino-connector';
+import {ProjectSettings} from './project-settings';
+import {SENSOR_DRIVERS, findSensorDriver} from './sensor-drivers/index';
+import {CONNECTION_ERRORS} from './connection-error';
+import {DS18B20_FAMILY, isValidCRC, readDS18B20Temperature} from './one-wire';
+import {BIT_ORDERS} from './shift-register';
+import {makeServoCalibration} from './servo';
+import {ANALOG_UNITS, DEFAULT_REFERENCE_VOLTAGE, convertAnalogValue} from './analog-units';
+import {noteToFrequency} from './tone';
+import {COLOR_ORDERS, hsvToColor, packColor} from './neo-pixel';
+import {SONAR_MAX_DISTANCE} from './sonar';
+import {
+    SYSEX_ENCODINGS, SYSEX_VALUE_TYPES, decodeSysexValue, loadSysexBlocks, sysexBlockTextOf, sysexPayloadOf
+} from './sysex-blocks';
+import sysexDeclaration from './sysex-blocks.json';
 
 /**
  * Formatter which is used for translation.
@@ -29,6 +43,115 @@ const setupTranslations = () => {
 
 const EXTENSION_ID = 'xcxArduino';
 
+/**
+ * Key of the local storage to save the serial settings in the browser.
+ * @type {string}
+ */
+const SERIAL_SETTINGS_STORAGE_KEY = `${EXTENSION_ID}.serialSettings`;
+
+/**
+ * Parse a text to an array of bytes.
+ * The text is a sequence of numbers separated by spaces or commas, like '0x3C 12,255'.
+ * @param {string} text - text to parse
+ * @returns {Array<number>} array of bytes
+ */
+const parseByteList = text => Cast.toString(text)
+    .split(/[\s,]+/)
+    .filter(item => item !== '')
+    .map(item => Cast.toNumber(item) & 0xFF);
+
+/**
+ * Parse a text to an array of pin numbers.
+ * The text is a sequence of numbers separated by spaces or commas, like '8 10 9 11'.
+ * @param {string} text - text to parse
+ * @returns {Array<number>} array of pin numbers
+ */
+const parsePinList = text => Cast.toString(text)
+    .split(/[\s,]+/)
+    .filter(item => item !== '')
+    .map(item => Math.max(0, Math.round(Cast.toNumber(item))));
+
+/**
+ * Parse a text to an address or a register number of I2C.
+ * @param {string} text - text to parse like '0x3C' or '60'
+ * @returns {?number} the number, or null if the text is empty
+ */
+const parseI2CNumber = text => {
+    if (Cast.toString(text).trim() === '') return null;
+    return Math.max(0, Math.round(Cast.toNumber(text)));
+};
+
+/**
+ * Return the sysex encoding which is selected in the menu.
+ * @param {string} value - value of the menu
+ * @returns {string} the encoding in SYSEX_ENCODINGS, two-byte for an unknown value
+ */
+const sysexEncodingOf = value => (Object.values(SYSEX_ENCODINGS).includes(value) ? value : SYSEX_ENCODINGS.TWO_BYTE);
+
+/**
+ * Parse a text to a USB vendor ID or product ID.
+ * @param {string} text - text to parse like '0x2341' or '9025'
+ * @returns {?number} the ID, or null if the text is empty
+ */
+const parseUSBId = text => {
+    if (Cast.toString(text).trim() === '') return null;
+    return Math.round(Cast.toNumber(text)) & 0xFFFF;
+};
+
+/**
+ * Encode a text to bytes in UTF-8.
+ * @param {string} text - text to encode
+ * @returns {Array<number>} array of bytes
+ */
+const encodeText = text => Array.from(new TextEncoder().encode(Cast.toString(text)));
+
+/**
+ * Decode bytes in UTF-8 to a text.
+ * @param {Array<number>} bytes - bytes to decode
+ * @returns {string} the text
+ */
+const decodeText = bytes => new TextDecoder().decode(new Uint8Array(bytes));
+
+/**
+ * Bytes which are added at the end of a text to send through a serial port, keyed by the line ending.
+ * @type {object<string, Array<number>>}
+ */
+const LINE_ENDINGS = {
+    none: [],
+    lf: [0x0A],
+    crlf: [0x0D, 0x0A]
+};
+
+/**
+ * Speed of sound in the air in cm per microsecond.
+ * @type {number}
+ */
+const SOUND_SPEED = 0.0343;
+
+/**
+ * Convert a distance in cm to the unit of the distance blocks.
+ * @param {number} cm - distance in cm
+ * @param {string} unit - unit of the block [cm | inch]
+ * @returns {number} the distance in the unit rounded to 0.1
+ */
+const distanceInUnit = (cm, unit) => {
+    const distance = (unit === 'inch') ? cm / 2.54 : cm;
+    return Math.round(distance * 10) / 10;
+};
+
+/**
+ * Return the distance which the distance blocks report for a measurement in cm.
+ * No echo (0), a longer distance than the range of HC-SR04 and a failed measurement (null)
+ * are all reported as the max range, so that the scripts see them as nothing in front of the sensor.
+ * @param {?number} cm - measured distance in cm, 0 for no echo, or null when it was not measured
+ * @param {string} unit - unit of the block [cm | inch]
+ * @returns {number} the distance in the unit rounded to 0.1
+ */
+const reportedDistance = (cm, unit) => {
+    if (!cm || cm > SONAR_MAX_DISTANCE) return distanceInUnit(SONAR_MAX_DISTANCE, unit);
+    return distanceInUnit(cm, unit);
+};
+
 /**
  * URL to get this extension as a module.
  * When it was loaded as a module, 'extensionURL' will be replaced a URL which is retrieved from.
@@ -113,6 +236,128 @@ class ArduinoBlocks {
         this.boardConnector = getArduinoConnector(runtime);
         this.boardConnector.addListener(ArduinoConnector.BOARD_ADDED, () => this.updateBoard());
         this.boardConnector.addListener(ArduinoConnector.BOARD_REMOVED, () => this.updateBoard());
+        this.boardConnector.addListener(ArduinoConnector.BOARD_RECONNECTED,
+            reconnected => this.onBoardReconnected(reconnected));
+
+        /**
+         * Readable message of the last failure on connecting a board, or empty when it succeeded.
+         * @type {string}
+         */
+        this.connectionErrorMessage = '';
+
+        /**
+         * I2C addresses of the enabled sensors keyed by the driver ID.
+         * The address is null to use the default of the driver.
+         * @type {object<string, ?number>}
+         */
+        this.enabledSensors = {};
+
+        /**
+         * Numbers of the boards which the enabled sensors are connected, keyed by the driver ID.
+         * @type {object<string, string>}
+         */
+        this.sensorBoards = {};
+
+        /**
+         * Drivers of the sensors keyed by the driver ID.
+         * Each has the driver and a Promise which resolves when the sensor was initialized.
+         * @type {object<string, {driver: SensorDriver, ready: Promise}>}
+         */
+        this.sensors = {};
+
+        /**
+         * Readings of DS18B20 in progress keyed by the board, pin and index of the probe.
+         * @type {object<string, Promise<number>>}
+         */
+        this.ds18b20Readings = {};
+
+        /**
+         * Units of the analog inputs keyed by the board and pin number. Percent is used when it's not set.
+         * @type {object<string, string>}
+         */
+        this.analogUnits = {};
+
+        /**
+         * Reference voltages of ADC keyed by the board number.
+         * @type {object<string, number>}
+         */
+        this.referenceVoltages = {};
+
+        /**
+         * Time in milliseconds which a digital input must be stable to start the hats.
+         * @type {number}
+         */
+        this.debounceTime = 20;
+
+        /**
+         * Width of hysteresis in % of the analog level for the threshold hats.
+         * @type {number}
+         */
+        this.hysteresis = 5;
+
+        /**
+         * Listeners on the boards for the pins and the serial ports which are watched by the hats,
+         * keyed by the board and pin number (or port ID).
+         * @type {{digital: Map<string, object>, analog: Map<string, object>, serial: Map<string, object>}}
+         */
+        this.hatListeners = {digital: new Map(), analog: new Map(), serial: new Map()};
+
+        /**
+         * Latest levels (%) of the analog pins which are watched by the hats, keyed by the board and pin number.
+         * @type {object<string, number>}
+         */
+        this.analogLevels = {};
+
+        /**
+         * States of the threshold hats keyed by the ID of the hat block.
+         * A hat is armed to start when the level is on the other side of the threshold.
+         * @type {Map<string, {direction: string, threshold: number, armed: boolean}>}
+         */
+        this.thresholdStates = new Map();
+
+        /**
+         * IDs of the threshold hats which crossed the threshold and are waiting for their threads.
+         * @type {Set<string>}
+         */
+        this.thresholdCrossings = new Set();
+
+        /**
+         * Settings which are saved in the project.
+         * @type {ProjectSettings}
+         */
+        this.projectSettings = new ProjectSettings(runtime, EXTENSION_ID);
+        this.projectSettings.load();
+
+        this.loadSerialSettings();
+        this.runtime.on('PROJECT_LOADED', () => {
+            this.projectSettings.load();
+            this.loadSerialSettings();
+        });
+        this.runtime.on('PROJECT_START', () => {
+            this.boardConnector.boards.forEach(board => board.clearPinOwners());
+            this.updateHatListeners();
+        });
+        this.runtime.on('PROJECT_CHANGED', () => this.updateHatListeners());
+        this.runtime.on('PROJECT_STOP_ALL', () => this.stopOutputs());
+
+        // Define block functions for the reporters of the sensor drivers.
+        SENSOR_DRIVERS.forEach(Driver => {
+            Driver.getBlocks(formatMessage).forEach(blockInfo => {
+                this[blockInfo.opcode] = args => this.readSensor(Driver, blockInfo.reading, args);
+            });
+        });
+
+        /**
+         * Custom blocks which were declared in sysex-blocks.json.
+         * @type {Array<object>}
+         */
+        const sysexLoaded = loadSysexBlocks(sysexDeclaration);
+        sysexLoaded.errors.forEach(error => log.warn(`sysex block was skipped: ${error.message}`));
+        this.sysexBlocks = sysexLoaded.blocks;
+        // Define block functions for the custom sysex blocks.
+        this.sysexBlocks.forEach(block => {
+            this[block.opcode] = args => this.runSysexBlock(block, args);
+        });
 
         // register to call scan()/connect()
         this.runtime.registerPeripheralExtension(EXTENSION_ID, this);
@@ -128,10 +373,306 @@ class ArduinoBlocks {
      * Update connected board
      */
     updateBoard () {
-        if (this.board && this.board.isConnected()) return;
-        const prev = this.board;
-        this.board = this.boardConnector.findBoard();
-        if (prev === this.board) return;
+        if (!(this.board && this.board.isConnected())) {
+            this.board = this.boardConnector.findBoard();
+        }
+        Object.keys(this.sensors).forEach(id => {
+            if (!this.sensors[id].driver.board.isConnected()) {
+                delete this.sensors[id];
+            }
+        });
+        this.updateHatListeners();
+    }
+
+    /**
+     * Called when the board was reconnected after the connection was lost.
+     * The sensors on the board are initialized again because the board may have been reset.
+     * @param {ArduinoBoard} reconnected - the reconnected board
+     */
+    onBoardReconnected (reconnected) {
+        Object.keys(this.sensors).forEach(id => {
+            if (this.sensors[id].driver.board === reconnected) {
+                delete this.sensors[id];
+            }
+        });
+        this.updateBoard();
+        this.notifyConnected(reconnected);
+    }
+
+    /**
+     * Return the board which is selected by the argument of the block.
+     * @param {object} args - the block's arguments.
+     * @param {string} [args.BOARD] - number of the board, or the current board is used when it's not given
+     * @returns {?ArduinoBoard} the board if it's ready, or null
+     */
+    boardOf (args) {
+        let board = this.board;
+        if (args && (typeof args.BOARD !== 'undefined') && (Cast.toString(args.BOARD).trim() !== '')) {
+            board = this.boardConnector.findBoardByNumber(parseInt(Cast.toNumber(args.BOARD), 10));
+        }
+        if (board && board.isReady()) return board;
+        return null;
+    }
+
+    /**
+     * Return pins which are selected in the hats of the opcode in the project.
+     * @param {string} opcode - opcode of the hat
+     * @param {string} [field] - name of the field which selects the pin
+     * @returns {Map<string, {board: ArduinoBoard, pin: number}>} pins of the hats keyed by board and pin number
+     */
+    findHatPins (opcode, field = 'PIN') {
+        const pins = new Map();
+        this.runtime.allScriptsByOpcodeDo(`${EXTENSION_ID}_${opcode}`, (script, target) => {
+            const hat = target.blocks.getBlock(script.blockId);
+            const board = this.boardOf({BOARD: hat.fields.BOARD ? hat.fields.BOARD.value : ''});
+            if (!board) return;
+            const pin = parseInt(hat.fields[field].value, 10);
+            if (isNaN(pin)) return;
+            pins.set(`${board.number}:${pin}`, {board: board, pin: pin});
+        });
+        return pins;
+    }
+
+    /**
+     * Watch the pins which are used in the hats and stop watching the pins which are not used.
+     */
+    updateHatListeners () {
+        [
+            {type: 'digital', opcode: 'whenDigitalLevelChanged', watch: this.watchDigitalPin.bind(this)},
+            {type: 'analog', opcode: 'whenAnalogThreshold', watch: this.watchAnalogPin.bind(this)},
+            {type: 'serial', opcode: 'whenSerialLineReceived', field: 'PORT', watch: this.watchSerialPort.bind(this)}
+        ].forEach(({type, opcode, field, watch}) => {
+            const hatPins = this.findHatPins(opcode, field);
+            const listeners = this.hatListeners[type];
+            listeners.forEach(({board, event, listener}, key) => {
+                if (hatPins.has(key)) return;
+                board.removeListener(event, listener);
+                listeners.delete(key);
+                delete this.analogLevels[key];
+            });
+            hatPins.forEach(({board, pin}, key) => {
+                if (listeners.has(key)) return;
+                watch(board, pin);
+            });
+        });
+    }
+
+    /**
+     * Start the hats when the level of the digital pin was changed and kept for the debounce time.
+     * @param {ArduinoBoard} board - board to watch
+     * @param {number} pin - pin number to watch
+     */
+    watchDigitalPin (board, pin) {
+        const pinState = board.pins[pin];
+        if (!pinState) return;
+        const key = `${board.number}:${pin}`;
+        let stableLevel = pinState.value;
+        let timer = null;
+        const listener = value => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (typeof stableLevel === 'undefined') {
+                stableLevel = value;
+                return;
+            }
+            if (value === stableLevel) return;
+            timer = setTimeout(() => {
+                timer = null;
+                const watching = this.hatListeners.digital.get(key);
+                if (!watching || watching.listener !== listener) return;
+                stableLevel = value;
+                this.runtime.startHats(
+                    `${EXTENSION_ID}_whenDigitalLevelChanged`,
+                    {BOARD: String(board.number), PIN: String(pin), LEVEL: String(value)});
+            }, this.debounceTime);
+        };
+        const event = `digital-read-${pin}`;
+        this.hatListeners.digital.set(key, {board: board, pin: pin, event: event, listener: listener});
+        board.on(event, listener);
+        if (typeof pinState.mode === 'undefined' ||
+            pinState.mode === board.MODES.INPUT ||
+            pinState.mode === board.MODES.PULLUP) {
+            board.subscribeDigitalInput(pin)
+                .catch(reason => {
+                    console.log(`digitalRead(${pin}) was rejected by ${reason}`);
+                });
+        }
+    }
+
+    /**
+     * Check the threshold hats every time the analog pin was reported,
+     * and start the hats only when the level crossed their thresholds.
+     * @param {ArduinoBoard} board - board to watch
+     * @param {number} analogPin - analog pin number to watch
+     */
+    watchAnalogPin (board, analogPin) {
+        if (!board.getAnalogPinIndex().includes(analogPin)) return;
+        const key = `${board.number}:${analogPin}`;
+        const listener = value => {
+            const level = this.analogLevel(value, board);
+            this.analogLevels[key] = level;
+            this.checkThresholds(board, analogPin, level);
+        };
+        const event = `analog-read-${analogPin}`;
+        this.hatListeners.analog.set(key, {board: board, pin: analogPin, event: event, listener: listener});
+        board.on(event, listener);
+        board.subscribeAnalogInput(analogPin)
+            .catch(reason => {
+                console.log(`analogRead(${analogPin}) was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Return the threshold hats of the analog pin in the project.
+     * The threshold is read from the number in the hat.
+     * @param {ArduinoBoard} board - board of the pin
+     * @param {number} analogPin - analog pin number
+     * @returns {Array<{blockId: string, direction: string, threshold: number}>} the hats
+     */
+    findThresholdHats (board, analogPin) {
+        const hats = [];
+        this.runtime.allScriptsByOpcodeDo(`${EXTENSION_ID}_whenAnalogThreshold`, (script, target) => {
+            const hat = target.blocks.getBlock(script.blockId);
+            if (this.boardOf({BOARD: hat.fields.BOARD.value}) !== board) return;
+            if (parseInt(hat.fields.PIN.value, 10) !== analogPin) return;
+            const input = hat.inputs && hat.inputs.VALUE;
+            const valueBlock = input ? target.blocks.getBlock(input.block) : null;
+            if (!valueBlock || !valueBlock.fields || !valueBlock.fields.NUM) return;
+            hats.push({
+                blockId: script.blockId,
+                direction: hat.fields.DIRECTION.value,
+                threshold: Cast.toNumber(valueBlock.fields.NUM.value)
+            });
+        });
+        return hats;
+    }
+
+    /**
+     * Update the state of the threshold hat with the level and return whether it crossed the threshold.
+     * It must go back across the threshold beyond the hysteresis before it crosses again.
+     * The first level only arms the hat, so the threshold which was already crossed does not count.
+     * @param {string} blockId - ID of the hat block
+     * @param {number} level - level of the pin in %
+     * @param {string} direction - direction of crossing [above | below]
+     * @param {number} threshold - threshold level in %
+     * @returns {boolean} true if the level crossed the threshold
+     */
+    updateThresholdState (blockId, level, direction, threshold) {
+        const rising = (direction !== 'below');
+        const state = this.thresholdStates.get(blockId);
+        if (!state || state.direction !== direction || state.threshold !== threshold) {
+            this.thresholdStates.set(blockId, {
+                direction: direction,
+                threshold: threshold,
+                armed: rising ? (level <= threshold) : (level >= threshold)
+            });
+            return false;
+        }
+        if (state.armed) {
+            if (rising ? (level > threshold) : (level < threshold)) {
+                state.armed = false;
+                return true;
+            }
+            return false;
+        }
+        if (rising ? (level < (threshold - this.hysteresis)) : (level > (threshold + this.hysteresis))) {
+            state.armed = true;
+        }
+        return false;
+    }
+
+    /**
+     * Check the threshold hats of the analog pin with the reported level and start the crossed hats.
+     * The crossing is dropped for a hat whose script is still running, so it does not start late.
+     * @param {ArduinoBoard} board - board of the pin
+     * @param {number} analogPin - analog pin number
+     * @param {number} level - level of the pin in %
+     */
+    checkThresholds (board, analogPin, level) {
+        const crossed = this.findThresholdHats(board, analogPin)
+            .filter(hat => this.updateThresholdState(hat.blockId, level, hat.direction, hat.threshold))
+            .map(hat => hat.blockId);
+        if (crossed.length === 0) return;
+        crossed.forEach(blockId => this.thresholdCrossings.add(blockId));
+        const started = this.runtime.startHats(
+            `${EXTENSION_ID}_whenAnalogThreshold`,
+            {BOARD: String(board.number), PIN: String(analogPin)}) || [];
+        const startedBlocks = started.map(thread => thread.topBlock);
+        crossed.forEach(blockId => {
+            if (!startedBlocks.includes(blockId)) this.thresholdCrossings.delete(blockId);
+        });
+    }
+
+    /**
+     * Start the hats when a line feed was received on the serial port.
+     * The port must be started by the block to receive data.
+     * @param {ArduinoBoard} board - board to watch
+     * @param {number} portId - ID of the serial port to watch
+     */
+    watchSerialPort (board, portId) {
+        const key = `${board.number}:${portId}`;
+        const listener = data => {
+            if (!data.includes(0x0A)) return;
+            this.runtime.startHats(
+                `${EXTENSION_ID}_whenSerialLineReceived`,
+                {BOARD: String(board.number), PORT: String(portId)});
+        };
+        const event = `serial-data-${portId}`;
+        this.hatListeners.serial.set(key, {board: board, pin: portId, event: event, listener: listener});
+        board.on(event, listener);
+    }
+
+    /**
+     * Whether to put the outputs into the safe states when the project was stopped.
+     * It's saved in the project settings and enabled by default.
+     * @returns {boolean} true if it's enabled
+     */
+    isSafeStopEnabled () {
+        return this.projectSettings.get('safeStop') !== false;
+    }
+
+    /**
+     * Stop the ramps and put the outputs which have been used since the connection into the safe states.
+     */
+    stopOutputs () {
+        this.boardConnector.boards.forEach(board => {
+            if (!board.isReady()) return;
+            if (!this.isSafeStopEnabled()) {
+                board.cancelRamps();
+                board.stopTones();
+                return;
+            }
+            board.resetOutputs()
+                .catch(reason => {
+                    console.log(`resetOutputs() was rejected by ${reason}`);
+                });
+        });
+    }
+
+    /**
+     * Enable or disable to put the outputs into the safe states when the project was stopped.
+     * The setting is saved in the project settings.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.STATE - 'on' to enable or 'off' to disable
+     */
+    setSafeStop (args) {
+        this.projectSettings.set('safeStop', args.STATE !== 'off');
+    }
+
+    /**
+     * Set the state of the output pin to be set when the project was stopped.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.STATE - state of the pin [off | high | keep]
+     */
+    setSafeState (args) {
+        const board = this.boardOf(args);
+        if (!board) return;
+        if (args.PIN === '') return;
+        board.setSafeState(parseInt(Cast.toNumber(args.PIN), 10), args.STATE);
     }
 
     /**
@@ -165,30 +706,195 @@ class ArduinoBlocks {
     connectBoard () {
         if (this.board && this.board.isConnected()) return; // Already connected
         return this.boardConnector.connectedBoard(EXTENSION_ID)
+            .then(connectedBoard => this.notifyConnected(connectedBoard))
+            .catch(reason => this.notifyConnectionError(reason));
+    }
+
+    /**
+     * Notify the runtime that the board was connected.
+     * @param {ArduinoBoard} connectedBoard - the connected board
+     * @returns {string} message of the connection
+     */
+    notifyConnected (connectedBoard) {
+        this.connectionErrorMessage = '';
+        this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
+            name: connectedBoard.name,
+            path: connectedBoard.portInfo
+        });
+        return `connected to ${JSON.stringify(connectedBoard.portInfo)}`;
+    }
+
+    /**
+     * Load the serial settings which were saved in the project or in the browser.
+     * The settings in the project are preferred, and the last settings in the browser are used
+     * for the projects which have no valid settings.
+     */
+    loadSerialSettings () {
+        let saved = this.projectSettings.get('serialSettings');
+        if (!saved || typeof saved !== 'object') {
+            try {
+                saved = JSON.parse(window.localStorage.getItem(SERIAL_SETTINGS_STORAGE_KEY));
+            } catch (error) {
+                console.log(`could not load serial settings: ${error}`);
+            }
+        }
+        if (!saved) return;
+        this.boardConnector.setSerialSettings(validateSerialSettings(saved));
+    }
+
+    /**
+     * Change the serial settings and save them in the project and in the browser.
+     * @param {object} settings - settings to be changed
+     * @returns {object} the new settings
+     */
+    changeSerialSettings (settings) {
+        const changed = this.boardConnector.setSerialSettings(settings);
+        this.projectSettings.set('serialSettings', changed);
+        try {
+            window.localStorage.setItem(SERIAL_SETTINGS_STORAGE_KEY, JSON.stringify(changed));
+        } catch (error) {
+            console.log(`could not save serial settings: ${error}`);
+        }
+        return changed;
+    }
+
+    /**
+     * Set baud rate of the serial port for the boards to be connected.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BAUD - baud rate
+     * @returns {string} result of this command
+     */
+    setSerialBaudRate (args) {
+        const baudRate = Math.round(Cast.toNumber(args.BAUD));
+        if (baudRate <= 0) return 'invalid baud rate';
+        this.changeSerialSettings({baudRate: baudRate});
+    }
+
+    /**
+     * Set USB filter to choose the serial port of the boards to be connected.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.VID - USB vendor ID, or empty to show all ports
+     * @param {string} args.PID - USB product ID, or empty to accept any product of the vendor
+     */
+    setSerialFilter (args) {
+        const usbVendorId = parseUSBId(args.VID);
+        const usbProductId = parseUSBId(args.PID);
+        if (usbVendorId === null) {
+            this.changeSerialSettings({filters: []});
+            return;
+        }
+        const filter = {usbVendorId: usbVendorId};
+        if (usbProductId !== null) filter.usbProductId = usbProductId;
+        this.changeSerialSettings({filters: [filter]});
+    }
+
+    /**
+     * Set waiting time for the board to be ready after the port was opened.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.TIME - waiting time in seconds, 0 to wait forever
+     */
+    setReadyTimeout (args) {
+        const time = Math.max(0, Cast.toNumber(args.TIME));
+        this.changeSerialSettings({readyTimeout: Math.round(time * 1000)});
+    }
+
+    /**
+     * Return the current serial settings.
+     * @returns {string} the settings in JSON
+     */
+    serialSettings () {
+        return JSON.stringify(this.boardConnector.getSerialSettings());
+    }
+
+    /**
+     * Return a readable message for the failure on connecting a board.
+     * @param {Error} reason - reason of the failure
+     * @returns {string} message for the user
+     */
+    getConnectionErrorMessage (reason) {
+        switch (reason && reason.code) {
+        case CONNECTION_ERRORS.UNSUPPORTED_BROWSER:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.unsupportedBrowser',
+                default: 'This browser can not use serial ports. Use Chrome or Edge on a computer.',
+                description: 'message when the browser does not support Web Serial API'
+            });
+        case CONNECTION_ERRORS.USER_CANCELLED:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.userCancelled',
+                default: 'No port was selected.',
+                description: 'message when the user cancelled to select a port'
+            });
+        case CONNECTION_ERRORS.PORT_BUSY:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.portBusy',
+                default: 'The port is used by another application or tab. Close it and try again.',
+                description: 'message when the port could not be opened'
+            });
+        case CONNECTION_ERRORS.NO_FIRMATA_RESPONSE:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.noFirmataResponse',
+                default: 'The board did not respond. Upload StandardFirmata to the board.',
+                description: 'message when the board did not send anything'
+            });
+        case CONNECTION_ERRORS.WRONG_BAUD_RATE:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.wrongBaudRate',
+                default: 'The board did not respond as Firmata. Check the baud rate or upload StandardFirmata.',
+                description: 'message when the board sent data which is not Firmata'
+            });
+        default:
+            return formatMessage({
+                id: 'xcxArduino.connectionError.unknown',
+                default: 'Could not connect the board.',
+                description: 'message when the connection failed by unknown reason'
+            });
+        }
+    }
+
+    /**
+     * Notify the runtime that the connection failed and keep the message for the reporter.
+     * @param {Error} reason - reason of the failure
+     * @returns {string} readable message of the failure
+     */
+    notifyConnectionError (reason) {
+        console.log(reason ? reason : `fail to connect Arduino Board`);
+        this.connectionErrorMessage = this.getConnectionErrorMessage(reason);
+        this.runtime.emit(this.runtime.constructor.PERIPHERAL_REQUEST_ERROR, {
+            message: this.connectionErrorMessage,
+            extensionId: EXTENSION_ID
+        });
+        return this.connectionErrorMessage;
+    }
+
+    /**
+     * Return the readable message of the last failure on connecting a board.
+     * @returns {string} the message, or empty when the last connection succeeded
+     */
+    connectionError () {
+        return this.connectionErrorMessage;
+    }
+
+    /**
+     * Connect one more Arduino board in addition to the connected boards.
+     * @returns {Promise<string>} a Promise which resolves the result of this command
+     */
+    connectAnotherBoard () {
+        return this.boardConnector.connectSerial(EXTENSION_ID)
             .then(connectedBoard => {
-                this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
-                    name: connectedBoard.name,
-                    path: connectedBoard.portInfo
-                });
-                return `connected to ${JSON.stringify(connectedBoard.portInfo)}`;
+                this.notifyConnected(connectedBoard);
+                return `connected board ${connectedBoard.number}`;
             })
-            .catch(reason => {
-                if (reason) {
-                    console.log(reason);
-                } else {
-                    console.log(`fail to connect Arduino Board`);
-                }
-                return;
-            });
+            .catch(reason => this.notifyConnectionError(reason));
     }
 
     /**
-     * Disconnect from the current connected board.
+     * Disconnect from all the connected boards.
      * @returns {undefined}
      */
     disconnectBoard () {
-        if (!this.board) return;
-        return this.board.disconnect();
+        this.boardConnector.boards.slice()
+            .forEach(aBoard => aBoard.disconnect());
     }
 
     /**
@@ -204,17 +910,41 @@ class ArduinoBlocks {
             showStatusButton: true,
             blocks: [
                 {
-                    opcode: 'a0',
+                    opcode: 'analogInput',
                     blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'xcxArduino.A0',
-                        default: 'A0',
-                        description: 'Arduino Analog Input 0'
+                        id: 'xcxArduino.analogInput',
+                        default: 'A[PIN] of board [BOARD]',
+                        description: 'value of the analog input of the pin'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'analogPinIndexMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                // Blocks for A0-A5 are hidden but kept to load the projects which use them.
+                {
+                    opcode: 'a0',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.A0',
+                        default: 'A0',
+                        description: 'Arduino Analog Input 0'
                     })
                 },
                 {
                     opcode: 'a1',
                     blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
                     text: formatMessage({
                         id: 'xcxArduino.A1',
                         default: 'A1',
@@ -224,6 +954,7 @@ class ArduinoBlocks {
                 {
                     opcode: 'a2',
                     blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
                     text: formatMessage({
                         id: 'xcxArduino.A2',
                         default: 'A2',
@@ -233,6 +964,7 @@ class ArduinoBlocks {
                 {
                     opcode: 'a3',
                     blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
                     text: formatMessage({
                         id: 'xcxArduino.A3',
                         default: 'A3',
@@ -242,6 +974,7 @@ class ArduinoBlocks {
                 {
                     opcode: 'a4',
                     blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
                     text: formatMessage({
                         id: 'xcxArduino.A4',
                         default: 'A4',
@@ -251,12 +984,59 @@ class ArduinoBlocks {
                 {
                     opcode: 'a5',
                     blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
                     text: formatMessage({
                         id: 'xcxArduino.A5',
                         default: 'A5',
                         description: 'Arduino Analog Input 5'
                     })
                 },
+                {
+                    opcode: 'setAnalogUnit',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setAnalogUnit',
+                        default: 'set unit of A[PIN] of board [BOARD] to [UNIT]',
+                        description: 'set unit to report the analog input of the pin'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'analogPinIndexMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        UNIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'analogUnitMenu',
+                            defaultValue: ANALOG_UNITS.PERCENT
+                        }
+                    }
+                },
+                {
+                    opcode: 'setReferenceVoltage',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setReferenceVoltage',
+                        default: 'set analog reference of board [BOARD] to [VOLTS] V',
+                        description: 'set reference voltage of ADC on the board'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        VOLTS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: DEFAULT_REFERENCE_VOLTAGE
+                        }
+                    }
+                },
                 '---',
                 {
                     opcode: 'getDigitalLevel',
@@ -264,13 +1044,18 @@ class ArduinoBlocks {
                     disableMonitor: true,
                     text: formatMessage({
                         id: 'xcxArduino.getDigitalLevel',
-                        default: 'D[PIN]',
+                        default: 'D[PIN] of board [BOARD]',
                         description: 'Arduino Digital Input value of the pin'
                     }),
                     arguments: {
                         PIN: {
                             type: ArgumentType.STRING,
                             menu: 'digitalPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
                         }
                     }
                 },
@@ -279,7 +1064,7 @@ class ArduinoBlocks {
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
                         id: 'xcxArduino.setInputBias',
-                        default: 'Set D[PIN] input bias [BIAS] ',
+                        default: 'Set D[PIN] of board [BOARD] input bias [BIAS]',
                         description: 'Set the Arduino pin to Digital Input pullup/none'
                     }),
                     arguments: {
@@ -287,6 +1072,11 @@ class ArduinoBlocks {
                             type: ArgumentType.STRING,
                             menu: 'digitalPinIndexMenu'
                         },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
                         BIAS: {
                             type: ArgumentType.STRING,
                             menu: 'inputBiasMenu'
@@ -298,7 +1088,7 @@ class ArduinoBlocks {
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
                         id: 'xcxArduino.setDigitalLevel',
-                        default: 'Set D[PIN] to [LEVEL]',
+                        default: 'Set D[PIN] of board [BOARD] to [LEVEL]',
                         description: 'Set the Arduino pin to Digital Output'
                     }),
                     arguments: {
@@ -306,6 +1096,11 @@ class ArduinoBlocks {
                             type: ArgumentType.STRING,
                             menu: 'digitalPinIndexMenu'
                         },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
                         LEVEL: {
                             type: ArgumentType.STRING,
                             menu: 'digitalLevelMenu'
@@ -317,7 +1112,7 @@ class ArduinoBlocks {
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
                         id: 'xcxArduino.setAnalogLevel',
-                        default: 'PWM [PIN] set duty cycle [LEVEL] %',
+                        default: 'PWM [PIN] of board [BOARD] set duty cycle [LEVEL] %',
                         description: 'set analog level of the pin'
                     }),
                     arguments: {
@@ -325,18 +1120,56 @@ class ArduinoBlocks {
                             type: ArgumentType.STRING,
                             menu: 'pwmPinIndexMenu'
                         },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
                         LEVEL: {
                             type: ArgumentType.NUMBER,
                             defaultValue: 100
                         }
                     }
                 },
+                {
+                    opcode: 'fadeAnalogLevel',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.fadeAnalogLevel',
+                        default: 'fade PWM [PIN] of board [BOARD] to [LEVEL] % over [SECS] seconds [EASING]',
+                        description: 'change PWM level of the pin over the time'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'pwmPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '100'
+                        },
+                        SECS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        EASING: {
+                            type: ArgumentType.STRING,
+                            menu: 'easingMenu',
+                            defaultValue: 'easeInOut'
+                        }
+                    }
+                },
                 {
                     opcode: 'servoTurn',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
                         id: 'xcxArduino.servoTurn',
-                        default: 'Servo [PIN] turn [ANGLE] degrees',
+                        default: 'Servo [PIN] of board [BOARD] turn [ANGLE] degrees',
                         description: 'turn servo motor'
                     }),
                     arguments: {
@@ -344,294 +1177,3607 @@ class ArduinoBlocks {
                             type: ArgumentType.STRING,
                             menu: 'servoPinIndexMenu'
                         },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
                         ANGLE: {
                             type: ArgumentType.ANGLE
                         }
                     }
-                }
-            ],
-            menus: {
-                digitalPinIndexMenu: {
-                    acceptReporters: true,
-                    items: 'getDigitalPinIndexMenu'
                 },
-                pwmPinIndexMenu: {
-                    acceptReporters: true,
-                    items: 'getPWMPinIndexMenu'
+                {
+                    opcode: 'servoTurnOver',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.servoTurnOver',
+                        default: 'turn servo [PIN] of board [BOARD] to [ANGLE] degrees over [SECS] seconds [EASING]',
+                        description: 'turn servo motor over the time'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'servoPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        ANGLE: {
+                            type: ArgumentType.ANGLE
+                        },
+                        SECS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        EASING: {
+                            type: ArgumentType.STRING,
+                            menu: 'easingMenu',
+                            defaultValue: 'easeInOut'
+                        }
+                    }
                 },
-                servoPinIndexMenu: {
-                    acceptReporters: true,
-                    items: 'getServoPinIndexMenu'
+                {
+                    opcode: 'servoConfig',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.servoConfig',
+                        default: 'configure servo [PIN] of board [BOARD] min [MIN] max [MAX] μs range [RANGE] degrees',
+                        description: 'set pulse widths and range of the servo motor'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'servoPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        MIN: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 544
+                        },
+                        MAX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 2400
+                        },
+                        RANGE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 180
+                        }
+                    }
                 },
-                digitalLevelMenu: {
-                    acceptReporters: true,
-                    items: 'getDigitalLevelMenu'
+                {
+                    opcode: 'servoAngle',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxArduino.servoAngle',
+                        default: 'servo [PIN] of board [BOARD] angle',
+                        description: 'last angle which the servo motor was turned to'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'servoPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
                 },
-                inputBiasMenu: {
-                    acceptReporters: false,
-                    items: 'getInputBiasMenu'
-                }
-            }
-        };
-    }
-
-    /**
-     * Returns menu items to set digital level.
-     * @returns {Array<object>} menu items
-     */
-    getDigitalLevelMenu () {
-        return [
-            {
-                text: formatMessage({
-                    id: 'xcxArduino.digitalValueMenu.Low',
-                    default: '0',
-                    description: 'label for low value in digital output menu for Arduino extension'
-                }),
-                value: '0'
-            },
-            {
-                text: formatMessage({
-                    id: 'xcxArduino.digitalValueMenu.High',
-                    default: '1',
-                    description: 'label for high value in digital output menu for Arduino extension'
-                }),
-                value: '1'}
-        ];
-    }
-
-    /**
-     * Returns menu items to set input bias.
-     * @returns {Array<object>} menu items
-     */
-    getInputBiasMenu () {
-        return [
-            {
-                text: formatMessage({
-                    id: 'xcxArduino.inputBiasMenu.none',
-                    default: 'none',
-                    description: 'label for none in input bias menu for xcxArduino'
-                }),
-                value: 'none'
-            },
-            {
-                text: formatMessage({
-                    id: 'xcxArduino.inputBiasMenu.pullUp',
-                    default: 'pull up',
-                    description: 'label for pull up in input bias menu for xcxArduino'
-                }),
-                value: 'pullUp'
-            }
-        ];
-    }
-
-    /**
-     * Returns menu items to set digital pin.
-     * @returns {Array<object>} menu items
-     */
-    getDigitalPinIndexMenu () {
-        if (!this.isConnected()) return [''];
-        const menu = this.board.getDigitalPinIndex()
-            .map(value => ({value: value.toString(10), text: value.toString(10)}));
-        if (menu.length === 0) menu.push(''); // Avoid to break menu
-        return menu;
-    }
-
-    /**
-     * Returns menu items to set pwm pin.
-     * @returns {Array<object>} menu items
-     */
-    getPWMPinIndexMenu () {
-        if (!this.isConnected()) return [''];
-        const menu = this.board.getPWMPinIndex()
-            .map(value => ({value: value.toString(10), text: value.toString(10)}));
-        if (menu.length === 0) menu.push(''); // Avoid to break menu
-        return menu;
-    }
-
-    /**
-     * Returns menu items to set servo pin.
-     * @returns {Array<object>} menu items
-     */
-    getServoPinIndexMenu () {
-        if (!this.isConnected()) return [''];
-        const menu = this.board.getServoPinIndex()
-            .map(value => ({value: value.toString(10), text: value.toString(10)}));
-        if (menu.length === 0) menu.push(''); // Avoid to break menu
-        return menu;
-    }
-
-    /**
-     * The level of the pin as analog input.
-     * @param {number} analogPin - pin number of the connector
-     * @returns {Promise} - resolves analog level(%)
-     */
-    getAnalogLevel (analogPin) {
-        if (!this.isConnected()) return Promise.resolve(0);
-        return this.board.updateAnalogInput(analogPin)
-            .then(raw => Math.round((raw / 1023) * 1000) / 10)
-            .catch(reason => {
-                console.log(`analogRead(${analogPin}) was rejected by ${reason}`);
-                return 0;
-            });
-    }
-
-    /**
-     * The level of the pin as analog input.
-     * @returns {Promise} - resolves analog level(%)
-     */
-    a0 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(0);
-    }
-
-    /**
-     * The level of the pin as analog input.
-     * @returns {Promise} - resolves analog level(%)
-     */
-    a1 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(1);
-    }
-
-    /**
+                {
+                    opcode: 'servoDetach',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.servoDetach',
+                        default: 'detach servo [PIN] of board [BOARD]',
+                        description: 'stop driving the servo motor'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'servoPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'playTone',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.playTone',
+                        default: 'play tone [FREQ] Hz on D[PIN] of board [BOARD] for [SECS] seconds',
+                        description: 'play a tone on the digital pin'
+                    }),
+                    arguments: {
+                        FREQ: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 440
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '8'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        SECS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.5
+                        }
+                    }
+                },
+                {
+                    opcode: 'playNote',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.playNote',
+                        default: 'play note [NOTE] on D[PIN] of board [BOARD] for [SECS] seconds',
+                        description: 'play a note on the digital pin'
+                    }),
+                    arguments: {
+                        NOTE: {
+                            type: ArgumentType.NOTE,
+                            defaultValue: 60
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '8'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        SECS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0.5
+                        }
+                    }
+                },
+                {
+                    opcode: 'stopTone',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.stopTone',
+                        default: 'stop tone on D[PIN] of board [BOARD]',
+                        description: 'stop the tone on the digital pin'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '8'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getDistance',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.getDistance',
+                        default: 'distance on D[PIN] of board [BOARD] in [UNIT]',
+                        description: 'distance measured by the ultrasonic sensor on the pin'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        UNIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'distanceUnitMenu',
+                            defaultValue: 'cm'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getSonarDistance',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.getSonarDistance',
+                        default: 'distance by trigger D[TRIGGER] echo D[ECHO] of board [BOARD] in [UNIT]',
+                        description: 'distance measured by the ultrasonic sensor with separate trigger and echo ' +
+                            'pins, which needs FirmataExpress'
+                    }),
+                    arguments: {
+                        TRIGGER: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu'
+                        },
+                        ECHO: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        UNIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'distanceUnitMenu',
+                            defaultValue: 'cm'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getDS18B20Temperature',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.getDS18B20Temperature',
+                        default: 'temperature of DS18B20 #[N] on D[PIN] of board [BOARD] (°C)',
+                        description: 'temperature measured by DS18B20 on the OneWire bus'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'stepperConfig',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.stepperConfig',
+                        default: 'stepper [ID] of board [BOARD] type [TYPE] pins [PINS]',
+                        description: 'configure the stepper motor'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperIdMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        TYPE: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperTypeMenu',
+                            defaultValue: 'fourWire'
+                        },
+                        PINS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '8 10 9 11'
+                        }
+                    }
+                },
+                {
+                    opcode: 'stepperMove',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.stepperMove',
+                        default: 'stepper [ID] of board [BOARD] move [STEPS] steps at [SPEED] steps/s',
+                        description: 'move the stepper motor and wait until it stops'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperIdMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        STEPS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 200
+                        },
+                        SPEED: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 400
+                        }
+                    }
+                },
+                {
+                    opcode: 'stepperSetAcceleration',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.stepperSetAcceleration',
+                        default: 'stepper [ID] of board [BOARD] set acceleration [ACCEL] steps/s²',
+                        description: 'set acceleration of the stepper motor'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperIdMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        ACCEL: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    }
+                },
+                {
+                    opcode: 'stepperStop',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.stepperStop',
+                        default: 'stop stepper [ID] of board [BOARD]',
+                        description: 'stop the stepper motor'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperIdMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'stepperPosition',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.stepperPosition',
+                        default: 'position of stepper [ID] of board [BOARD]',
+                        description: 'current position of the stepper motor in steps'
+                    }),
+                    arguments: {
+                        ID: {
+                            type: ArgumentType.STRING,
+                            menu: 'stepperIdMenu',
+                            defaultValue: '0'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'shiftOut',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.shiftOut',
+                        default: 'shift out [DATA] [ORDER] data D[DPIN] clock D[CPIN] latch D[LPIN] of board [BOARD]',
+                        description: 'shift out bytes to the shift register'
+                    }),
+                    arguments: {
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0xFF'
+                        },
+                        ORDER: {
+                            type: ArgumentType.STRING,
+                            menu: 'bitOrderMenu',
+                            defaultValue: 'msb'
+                        },
+                        DPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '11'
+                        },
+                        CPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '12'
+                        },
+                        LPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '8'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'shiftRegisterConfig',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.shiftRegisterConfig',
+                        default: 'use [COUNT] 74HC595 on data D[DPIN] clock D[CPIN] latch D[LPIN] of board [BOARD]',
+                        description: 'use the chain of shift registers as extra digital outputs'
+                    }),
+                    arguments: {
+                        COUNT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        DPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '11'
+                        },
+                        CPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '12'
+                        },
+                        LPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '8'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'shiftRegisterWrite',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.shiftRegisterWrite',
+                        default: 'set output [OUTPUT] of 74HC595 on data D[DPIN] of board [BOARD] to [LEVEL]',
+                        description: 'set level of the output in the chain of shift registers'
+                    }),
+                    arguments: {
+                        OUTPUT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        DPIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '11'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalLevelMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'neoPixelConfig',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelConfig',
+                        default: 'NeoPixel on D[PIN] of board [BOARD] length [LENGTH] order [ORDER]',
+                        description: 'configure the NeoPixel strip on the pin'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '6'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 8
+                        },
+                        ORDER: {
+                            type: ArgumentType.STRING,
+                            menu: 'colorOrderMenu',
+                            defaultValue: 'GRB'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelSetRGB',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelSetRGB',
+                        default: 'set NeoPixel [INDEX] on D[PIN] of board [BOARD] to R [R] G [G] B [B]',
+                        description: 'set RGB color of the pixel in the NeoPixel strip'
+                    }),
+                    arguments: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '6'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        R: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 255
+                        },
+                        G: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        B: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelSetHSV',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelSetHSV',
+                        default: 'set NeoPixel [INDEX] on D[PIN] of board [BOARD] to H [H] S [S] V [V]',
+                        description: 'set HSV color of the pixel in the NeoPixel strip'
+                    }),
+                    arguments: {
+                        INDEX: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '6'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        H: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        S: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        },
+                        V: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelFill',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelFill',
+                        default: 'fill NeoPixels [START] to [END] on D[PIN] of board [BOARD] with [COLOR]',
+                        description: 'set color of the pixels in the range of the NeoPixel strip'
+                    }),
+                    arguments: {
+                        START: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        },
+                        END: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 7
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '6'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        COLOR: {
+                            type: ArgumentType.COLOR
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelShift',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelShift',
+                        default: '[MODE] NeoPixels on D[PIN] of board [BOARD] by [AMOUNT]',
+                        description: 'shift or rotate the colors of the NeoPixel strip'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'pixelShiftMenu',
+                            defaultValue: 'shift'
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '6'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        AMOUNT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelShow',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.neoPixelShow',
+                        default: 'show NeoPixels of board [BOARD]',
+                        description: 'send the changed pixels and show them on the NeoPixel strips'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'whenDigitalLevelChanged',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxArduino.whenDigitalLevelChanged',
+                        default: 'when D[PIN] of board [BOARD] becomes [LEVEL]',
+                        description: 'when the digital input of the pin was changed to the level'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexFieldMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardFieldMenu',
+                            defaultValue: '1'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalLevelFieldMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenAnalogThreshold',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxArduino.whenAnalogThreshold',
+                        default: 'when A[PIN] of board [BOARD] [DIRECTION] [VALUE] %',
+                        description: 'when the analog input of the pin crossed the threshold'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'analogPinIndexFieldMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardFieldMenu',
+                            defaultValue: '1'
+                        },
+                        DIRECTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'thresholdDirectionMenu',
+                            defaultValue: 'above'
+                        },
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                },
+                {
+                    opcode: 'setDebounceTime',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setDebounceTime',
+                        default: 'set debounce time [TIME] ms',
+                        description: 'set debounce time for the digital input hats'
+                    }),
+                    arguments: {
+                        TIME: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        }
+                    }
+                },
+                {
+                    opcode: 'setHysteresis',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setHysteresis',
+                        default: 'set analog hysteresis [VALUE] %',
+                        description: 'set hysteresis for the analog threshold hats'
+                    }),
+                    arguments: {
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'i2cWrite',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.i2cWrite',
+                        default: 'I2C write [DATA] to address [ADDR] register [REG] of board [BOARD]',
+                        description: 'write bytes to the I2C device'
+                    }),
+                    arguments: {
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        ADDR: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x68'
+                        },
+                        REG: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x6B'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'i2cReadOnce',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.i2cReadOnce',
+                        default: 'I2C read [LENGTH] bytes from address [ADDR] register [REG] of board [BOARD]',
+                        description: 'read bytes from the I2C device'
+                    }),
+                    arguments: {
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        ADDR: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x68'
+                        },
+                        REG: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x75'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'sysexSend',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.sysexSend',
+                        default: 'send sysex [COMMAND] data [DATA] in [ENCODING] to board [BOARD]',
+                        description: 'send a sysex command to the board'
+                    }),
+                    arguments: {
+                        COMMAND: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x01'
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        ENCODING: {
+                            type: ArgumentType.STRING,
+                            menu: 'sysexEncodingMenu',
+                            defaultValue: SYSEX_ENCODINGS.TWO_BYTE
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'sysexRequest',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.sysexRequest',
+                        default: 'response [RESPONSE] of sysex [COMMAND] data [DATA] in [ENCODING] to board [BOARD]',
+                        description: 'send a sysex command and report the response'
+                    }),
+                    arguments: {
+                        RESPONSE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x01'
+                        },
+                        COMMAND: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x01'
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        ENCODING: {
+                            type: ArgumentType.STRING,
+                            menu: 'sysexEncodingMenu',
+                            defaultValue: SYSEX_ENCODINGS.TWO_BYTE
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                ...this.getSysexBlocks(),
+                '---',
+                {
+                    opcode: 'serialBegin',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialBegin',
+                        default: 'start serial [PORT] of board [BOARD] at [BAUD] baud RX [RX] TX [TX]',
+                        description: 'configure the serial port of the board'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        BAUD: {
+                            type: ArgumentType.STRING,
+                            menu: 'baudRateMenu',
+                            defaultValue: '9600'
+                        },
+                        RX: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '10'
+                        },
+                        TX: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '11'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialWriteText',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialWriteText',
+                        default: 'serial [PORT] of board [BOARD] send text [TEXT] [ENDING]',
+                        description: 'send a text to the serial port'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        TEXT: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'hello'
+                        },
+                        ENDING: {
+                            type: ArgumentType.STRING,
+                            menu: 'lineEndingMenu',
+                            defaultValue: 'lf'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialWriteBytes',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialWriteBytes',
+                        default: 'serial [PORT] of board [BOARD] send bytes [DATA]',
+                        description: 'send bytes to the serial port'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x41 0x0A'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialReadLine',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialReadLine',
+                        default: 'read line from serial [PORT] of board [BOARD]',
+                        description: 'take a received line from the serial port'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialReadBytes',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialReadBytes',
+                        default: 'read [LENGTH] bytes from serial [PORT] of board [BOARD]',
+                        description: 'take received bytes from the serial port'
+                    }),
+                    arguments: {
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialBuffer',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialBuffer',
+                        default: 'received [FORMAT] of serial [PORT] of board [BOARD]',
+                        description: 'content of the receive buffer of the serial port'
+                    }),
+                    arguments: {
+                        FORMAT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialBufferFormatMenu',
+                            defaultValue: 'text'
+                        },
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'serialClearBuffer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialClearBuffer',
+                        default: 'clear received data of serial [PORT] of board [BOARD]',
+                        description: 'discard the receive buffer of the serial port'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenSerialLineReceived',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'xcxArduino.whenSerialLineReceived',
+                        default: 'when a line arrives on serial [PORT] of board [BOARD]',
+                        description: 'when a line feed was received on the serial port'
+                    }),
+                    arguments: {
+                        PORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'serialPortFieldMenu',
+                            defaultValue: '1'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardFieldMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'enableSensor',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.enableSensor',
+                        default: 'enable sensor [SENSOR] at I2C address [ADDR] of board [BOARD]',
+                        description: 'enable the driver of the I2C sensor'
+                    }),
+                    arguments: {
+                        SENSOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'sensorDriverMenu',
+                            defaultValue: SENSOR_DRIVERS[0].ID
+                        },
+                        ADDR: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ''
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                ...this.getSensorBlocks(),
+                '---',
+                {
+                    opcode: 'setSafeStop',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setSafeStop',
+                        default: 'turn [STATE] resetting outputs when stopped',
+                        description: 'enable or disable to reset the outputs when the project was stopped'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'on'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSafeState',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setSafeState',
+                        default: 'when stopped set D[PIN] of board [BOARD] to [STATE]',
+                        description: 'set state of the output pin when the project was stopped'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '13'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'safeStateMenu',
+                            defaultValue: 'off'
+                        }
+                    }
+                },
+                {
+                    opcode: 'pinStates',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxArduino.pinStates',
+                        default: 'pin states of board [BOARD]',
+                        description: 'list of the mode and value of every pin on the board'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'pinConflicts',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxArduino.pinConflicts',
+                        default: 'pin conflicts of board [BOARD]',
+                        description: 'list of the pins which were used in different modes by the scripts'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'pinModeOf',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.pinModeOf',
+                        default: 'mode of pin [PIN] of board [BOARD]',
+                        description: 'mode of the pin on the board'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '13'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'boardInfo',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxArduino.boardInfo',
+                        default: '[INFO] of board [BOARD]',
+                        description: 'information of the board and its firmware'
+                    }),
+                    arguments: {
+                        INFO: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardInfoMenu',
+                            defaultValue: 'firmwareName'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'supportedModesOf',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.supportedModesOf',
+                        default: 'supported modes of pin [PIN] of board [BOARD]',
+                        description: 'modes which the pin on the board supports'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '13'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isModeSupported',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'xcxArduino.isModeSupported',
+                        default: 'board [BOARD] supports [MODE] on pin [PIN]',
+                        description: 'whether the pin on the board supports the mode'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'pinModeMenu',
+                            defaultValue: 'SERVO'
+                        },
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu',
+                            defaultValue: '9'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'connectAnotherBoard',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.connectAnotherBoard',
+                        default: 'connect another board',
+                        description: 'connect one more Arduino board'
+                    })
+                },
+                {
+                    opcode: 'setSerialBaudRate',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setSerialBaudRate',
+                        default: 'set baud rate [BAUD]',
+                        description: 'set baud rate of the serial port to connect'
+                    }),
+                    arguments: {
+                        BAUD: {
+                            type: ArgumentType.STRING,
+                            menu: 'baudRateMenu',
+                            defaultValue: '57600'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setSerialFilter',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setSerialFilter',
+                        default: 'set USB filter vendor ID [VID] product ID [PID]',
+                        description: 'set USB filter to choose the serial port to connect'
+                    }),
+                    arguments: {
+                        VID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x2341'
+                        },
+                        PID: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ''
+                        }
+                    }
+                },
+                {
+                    opcode: 'setReadyTimeout',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setReadyTimeout',
+                        default: 'set ready timeout [TIME] seconds',
+                        description: 'set waiting time for the board to be ready'
+                    }),
+                    arguments: {
+                        TIME: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
+                    }
+                },
+                {
+                    opcode: 'connectionError',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'xcxArduino.connectionError',
+                        default: 'connection error',
+                        description: 'message of the last failure on connecting a board'
+                    })
+                },
+                {
+                    opcode: 'serialSettings',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'xcxArduino.serialSettings',
+                        default: 'serial settings',
+                        description: 'current settings of the serial port'
+                    })
+                },
+                {
+                    opcode: 'connectVirtualBoard',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.connectVirtualBoard',
+                        default: 'connect virtual board',
+                        description: 'connect a virtual board which works without hardware'
+                    })
+                },
+                {
+                    opcode: 'setVirtualDigitalInput',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setVirtualDigitalInput',
+                        default: 'set virtual input D[PIN] of board [BOARD] to [LEVEL]',
+                        description: 'set digital input of the virtual board'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalLevelMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setVirtualAnalogInput',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'xcxArduino.setVirtualAnalogInput',
+                        default: 'set virtual input A[PIN] of board [BOARD] to [LEVEL] %',
+                        description: 'set analog input of the virtual board'
+                    }),
+                    arguments: {
+                        PIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'analogPinIndexMenu'
+                        },
+                        BOARD: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardMenu',
+                            defaultValue: '1'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                }
+            ],
+            menus: {
+                boardMenu: {
+                    acceptReporters: true,
+                    items: 'getBoardMenu'
+                },
+                boardFieldMenu: {
+                    acceptReporters: false,
+                    items: 'getBoardMenu'
+                },
+                digitalPinIndexMenu: {
+                    acceptReporters: true,
+                    items: 'getDigitalPinIndexMenu'
+                },
+                pwmPinIndexMenu: {
+                    acceptReporters: true,
+                    items: 'getPWMPinIndexMenu'
+                },
+                servoPinIndexMenu: {
+                    acceptReporters: true,
+                    items: 'getServoPinIndexMenu'
+                },
+                digitalLevelMenu: {
+                    acceptReporters: true,
+                    items: 'getDigitalLevelMenu'
+                },
+                inputBiasMenu: {
+                    acceptReporters: false,
+                    items: 'getInputBiasMenu'
+                },
+                analogPinIndexMenu: {
+                    acceptReporters: true,
+                    items: 'getAnalogPinIndexMenu'
+                },
+                digitalPinIndexFieldMenu: {
+                    acceptReporters: false,
+                    items: 'getDigitalPinIndexMenu'
+                },
+                analogPinIndexFieldMenu: {
+                    acceptReporters: false,
+                    items: 'getAnalogPinIndexMenu'
+                },
+                digitalLevelFieldMenu: {
+                    acceptReporters: false,
+                    items: 'getDigitalLevelMenu'
+                },
+                thresholdDirectionMenu: {
+                    acceptReporters: false,
+                    items: 'getThresholdDirectionMenu'
+                },
+                sysexEncodingMenu: {
+                    acceptReporters: false,
+                    items: 'getSysexEncodingMenu'
+                },
+                stepperIdMenu: {
+                    acceptReporters: true,
+                    items: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']
+                },
+                onOffMenu: {
+                    acceptReporters: false,
+                    items: 'getOnOffMenu'
+                },
+                safeStateMenu: {
+                    acceptReporters: false,
+                    items: 'getSafeStateMenu'
+                },
+                boardInfoMenu: {
+                    acceptReporters: false,
+                    items: 'getBoardInfoMenu'
+                },
+                pinModeMenu: {
+                    acceptReporters: true,
+                    items: [
+                        'INPUT', 'PULLUP', 'OUTPUT', 'ANALOG', 'PWM', 'SERVO', 'I2C', 'ONEWIRE', 'STEPPER', 'SERIAL'
+                    ]
+                },
+                easingMenu: {
+                    acceptReporters: false,
+                    items: 'getEasingMenu'
+                },
+                colorOrderMenu: {
+                    acceptReporters: false,
+                    items: Object.keys(COLOR_ORDERS)
+                },
+                pixelShiftMenu: {
+                    acceptReporters: false,
+                    items: 'getPixelShiftMenu'
+                },
+                bitOrderMenu: {
+                    acceptReporters: false,
+                    items: 'getBitOrderMenu'
+                },
+                stepperTypeMenu: {
+                    acceptReporters: false,
+                    items: 'getStepperTypeMenu'
+                },
+                analogUnitMenu: {
+                    acceptReporters: false,
+                    items: 'getAnalogUnitMenu'
+                },
+                distanceUnitMenu: {
+                    acceptReporters: false,
+                    items: 'getDistanceUnitMenu'
+                },
+                sensorDriverMenu: {
+                    acceptReporters: false,
+                    items: 'getSensorDriverMenu'
+                },
+                serialPortMenu: {
+                    acceptReporters: true,
+                    items: 'getSerialPortMenu'
+                },
+                serialPortFieldMenu: {
+                    acceptReporters: false,
+                    items: 'getSerialPortMenu'
+                },
+                lineEndingMenu: {
+                    acceptReporters: false,
+                    items: 'getLineEndingMenu'
+                },
+                serialBufferFormatMenu: {
+                    acceptReporters: false,
+                    items: 'getSerialBufferFormatMenu'
+                },
+                baudRateMenu: {
+                    acceptReporters: true,
+                    items: ['9600', '19200', '38400', '57600', '115200', '230400']
+                },
+                ...SENSOR_DRIVERS.reduce(
+                    (menus, Driver) => Object.assign(menus, Driver.getMenus(formatMessage)), {})
+            }
+        };
+    }
+
+    /**
+     * Returns reporter blocks of the sensor drivers.
+     * Blocks of the drivers which are not enabled are hidden from the palette.
+     * @returns {Array<object>} blocks of the sensor drivers
+     */
+    getSensorBlocks () {
+        return SENSOR_DRIVERS.reduce((blocks, Driver) => blocks.concat(
+            Driver.getBlocks(formatMessage).map(blockInfo => ({
+                opcode: blockInfo.opcode,
+                blockType: BlockType.REPORTER,
+                text: blockInfo.text,
+                arguments: blockInfo.arguments,
+                hideFromPalette: !(Driver.ID in this.enabledSensors)
+            }))), []);
+    }
+
+    /**
+     * Returns the custom blocks which were declared in sysex-blocks.json.
+     * @returns {Array<object>} blocks of the custom sysex commands
+     */
+    getSysexBlocks () {
+        const localeSetup = formatMessage.setup ? formatMessage.setup() : null;
+        const locale = (localeSetup && localeSetup.locale) ? localeSetup.locale : 'en';
+        return this.sysexBlocks.map(block => {
+            const blockArguments = {};
+            Object.entries(block.arguments).forEach(([name, arg]) => {
+                blockArguments[name] = {
+                    type: (arg.type === SYSEX_VALUE_TYPES.BYTE || arg.type === SYSEX_VALUE_TYPES.INT16) ?
+                        ArgumentType.NUMBER : ArgumentType.STRING,
+                    defaultValue: arg.defaultValue
+                };
+            });
+            blockArguments.BOARD = {
+                type: ArgumentType.STRING,
+                menu: 'boardMenu',
+                defaultValue: '1'
+            };
+            let text = sysexBlockTextOf(block, locale);
+            if (!text.includes('[BOARD]')) {
+                text = `${text} ${formatMessage({
+                    id: 'xcxArduino.sysexBlockBoard',
+                    default: 'of board [BOARD]',
+                    description: 'suffix of the custom sysex blocks to select the board'
+                })}`;
+            }
+            return {
+                opcode: block.opcode,
+                blockType: (block.blockType === 'reporter') ? BlockType.REPORTER : BlockType.COMMAND,
+                disableMonitor: true,
+                text: text,
+                arguments: blockArguments
+            };
+        });
+    }
+
+    /**
+     * Returns menu items to select sensor driver.
+     * @returns {Array<object>} menu items
+     */
+    getSensorDriverMenu () {
+        return SENSOR_DRIVERS.map(Driver => ({text: Driver.NAME, value: Driver.ID}));
+    }
+
+    /**
+     * Returns menu items to set digital level.
+     * @returns {Array<object>} menu items
+     */
+    getDigitalLevelMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.digitalValueMenu.Low',
+                    default: '0',
+                    description: 'label for low value in digital output menu for Arduino extension'
+                }),
+                value: '0'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.digitalValueMenu.High',
+                    default: '1',
+                    description: 'label for high value in digital output menu for Arduino extension'
+                }),
+                value: '1'}
+        ];
+    }
+
+    /**
+     * Returns menu items to set input bias.
+     * @returns {Array<object>} menu items
+     */
+    getInputBiasMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.inputBiasMenu.none',
+                    default: 'none',
+                    description: 'label for none in input bias menu for xcxArduino'
+                }),
+                value: 'none'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.inputBiasMenu.pullUp',
+                    default: 'pull up',
+                    description: 'label for pull up in input bias menu for xcxArduino'
+                }),
+                value: 'pullUp'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select direction of crossing the threshold.
+     * @returns {Array<object>} menu items
+     */
+    getThresholdDirectionMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.thresholdDirectionMenu.above',
+                    default: 'rises above',
+                    description: 'label for rising in threshold direction menu for xcxArduino'
+                }),
+                value: 'above'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.thresholdDirectionMenu.below',
+                    default: 'falls below',
+                    description: 'label for falling in threshold direction menu for xcxArduino'
+                }),
+                value: 'below'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select encoding of the sysex payload.
+     * @returns {Array<object>} menu items
+     */
+    getSysexEncodingMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.sysexEncodingMenu.twoByte',
+                    default: '7-bit pairs',
+                    description: 'label for two 7-bit bytes per byte in sysex encoding menu for xcxArduino'
+                }),
+                value: SYSEX_ENCODINGS.TWO_BYTE
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.sysexEncodingMenu.raw',
+                    default: 'raw 7-bit',
+                    description: 'label for raw 7-bit bytes in sysex encoding menu for xcxArduino'
+                }),
+                value: SYSEX_ENCODINGS.RAW
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select type of the stepper motor.
+     * @returns {Array<object>} menu items
+     */
+    getStepperTypeMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.stepperTypeMenu.fourWire',
+                    default: '4-wire',
+                    description: 'label for 4-wire in stepper type menu for xcxArduino'
+                }),
+                value: 'fourWire'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.stepperTypeMenu.twoWire',
+                    default: '2-wire',
+                    description: 'label for 2-wire in stepper type menu for xcxArduino'
+                }),
+                value: 'twoWire'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.stepperTypeMenu.driver',
+                    default: 'step/dir driver',
+                    description: 'label for step/direction driver in stepper type menu for xcxArduino'
+                }),
+                value: 'driver'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select serial port.
+     * The values are the port IDs of SerialFirmata.
+     * @returns {Array<object>} menu items
+     */
+    getSerialPortMenu () {
+        return [
+            {text: 'Serial1', value: '1'},
+            {text: 'Serial2', value: '2'},
+            {text: 'Serial3', value: '3'},
+            {text: 'SoftwareSerial0', value: '8'},
+            {text: 'SoftwareSerial1', value: '9'}
+        ];
+    }
+
+    /**
+     * Returns menu items to select line ending which is added to the text to send.
+     * @returns {Array<object>} menu items
+     */
+    getLineEndingMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.lineEndingMenu.none',
+                    default: 'without newline',
+                    description: 'label for no line ending in line ending menu for xcxArduino'
+                }),
+                value: 'none'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.lineEndingMenu.lf',
+                    default: 'with newline',
+                    description: 'label for LF line ending in line ending menu for xcxArduino'
+                }),
+                value: 'lf'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.lineEndingMenu.crlf',
+                    default: 'with CR+LF',
+                    description: 'label for CR+LF line ending in line ending menu for xcxArduino'
+                }),
+                value: 'crlf'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select format of the receive buffer.
+     * @returns {Array<object>} menu items
+     */
+    getSerialBufferFormatMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.serialBufferFormatMenu.text',
+                    default: 'text',
+                    description: 'label for text in serial buffer format menu for xcxArduino'
+                }),
+                value: 'text'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.serialBufferFormatMenu.bytes',
+                    default: 'bytes',
+                    description: 'label for bytes in serial buffer format menu for xcxArduino'
+                }),
+                value: 'bytes'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.serialBufferFormatMenu.length',
+                    default: 'length',
+                    description: 'label for number of bytes in serial buffer format menu for xcxArduino'
+                }),
+                value: 'length'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to turn on or off.
+     * @returns {Array<object>} menu items
+     */
+    getOnOffMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.onOffMenu.on',
+                    default: 'on',
+                    description: 'label for on in on/off menu for xcxArduino'
+                }),
+                value: 'on'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.onOffMenu.off',
+                    default: 'off',
+                    description: 'label for off in on/off menu for xcxArduino'
+                }),
+                value: 'off'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select information of the board.
+     * @returns {Array<object>} menu items
+     */
+    getBoardInfoMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.boardInfoMenu.firmwareName',
+                    default: 'firmware name',
+                    description: 'label for name of the firmware in board info menu for xcxArduino'
+                }),
+                value: 'firmwareName'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.boardInfoMenu.firmwareVersion',
+                    default: 'firmware version',
+                    description: 'label for version of the firmware in board info menu for xcxArduino'
+                }),
+                value: 'firmwareVersion'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.boardInfoMenu.usbVendorId',
+                    default: 'USB vendor ID',
+                    description: 'label for USB vendor ID of the port in board info menu for xcxArduino'
+                }),
+                value: 'usbVendorId'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.boardInfoMenu.usbProductId',
+                    default: 'USB product ID',
+                    description: 'label for USB product ID of the port in board info menu for xcxArduino'
+                }),
+                value: 'usbProductId'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.boardInfoMenu.pinCount',
+                    default: 'pin count',
+                    description: 'label for number of the pins in board info menu for xcxArduino'
+                }),
+                value: 'pinCount'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select state of the output pin when the project was stopped.
+     * @returns {Array<object>} menu items
+     */
+    getSafeStateMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.safeStateMenu.off',
+                    default: 'off',
+                    description: 'label for LOW, PWM 0 or servo detached in safe state menu for xcxArduino'
+                }),
+                value: 'off'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.safeStateMenu.high',
+                    default: 'HIGH',
+                    description: 'label for HIGH in safe state menu for xcxArduino'
+                }),
+                value: 'high'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.safeStateMenu.keep',
+                    default: 'keep',
+                    description: 'label for keeping the output in safe state menu for xcxArduino'
+                }),
+                value: 'keep'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select easing of the motions over time.
+     * @returns {Array<object>} menu items
+     */
+    getEasingMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.easingMenu.linear',
+                    default: 'linear',
+                    description: 'label for linear in easing menu for xcxArduino'
+                }),
+                value: 'linear'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.easingMenu.easeIn',
+                    default: 'ease in',
+                    description: 'label for ease in in easing menu for xcxArduino'
+                }),
+                value: 'easeIn'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.easingMenu.easeOut',
+                    default: 'ease out',
+                    description: 'label for ease out in easing menu for xcxArduino'
+                }),
+                value: 'easeOut'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.easingMenu.easeInOut',
+                    default: 'ease in-out',
+                    description: 'label for ease in and out in easing menu for xcxArduino'
+                }),
+                value: 'easeInOut'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select how to move the colors of the NeoPixel strip.
+     * @returns {Array<object>} menu items
+     */
+    getPixelShiftMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.pixelShiftMenu.shift',
+                    default: 'shift',
+                    description: 'label for shift in pixel shift menu for xcxArduino'
+                }),
+                value: 'shift'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.pixelShiftMenu.rotate',
+                    default: 'rotate',
+                    description: 'label for rotate in pixel shift menu for xcxArduino'
+                }),
+                value: 'rotate'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select order of the bits to shift out.
+     * @returns {Array<object>} menu items
+     */
+    getBitOrderMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.bitOrderMenu.msb',
+                    default: 'MSB first',
+                    description: 'label for MSB first in bit order menu for xcxArduino'
+                }),
+                value: BIT_ORDERS.MSB_FIRST
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.bitOrderMenu.lsb',
+                    default: 'LSB first',
+                    description: 'label for LSB first in bit order menu for xcxArduino'
+                }),
+                value: BIT_ORDERS.LSB_FIRST
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select unit of analog input.
+     * @returns {Array<object>} menu items
+     */
+    getAnalogUnitMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.analogUnitMenu.percent',
+                    default: '%',
+                    description: 'label for percent in analog unit menu for xcxArduino'
+                }),
+                value: ANALOG_UNITS.PERCENT
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.analogUnitMenu.raw',
+                    default: 'raw',
+                    description: 'label for raw count in analog unit menu for xcxArduino'
+                }),
+                value: ANALOG_UNITS.RAW
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.analogUnitMenu.volts',
+                    default: 'V',
+                    description: 'label for volts in analog unit menu for xcxArduino'
+                }),
+                value: ANALOG_UNITS.VOLTS
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select unit of distance.
+     * @returns {Array<object>} menu items
+     */
+    getDistanceUnitMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.distanceUnitMenu.cm',
+                    default: 'cm',
+                    description: 'label for centimeter in distance unit menu for xcxArduino'
+                }),
+                value: 'cm'
+            },
+            {
+                text: formatMessage({
+                    id: 'xcxArduino.distanceUnitMenu.inch',
+                    default: 'inch',
+                    description: 'label for inch in distance unit menu for xcxArduino'
+                }),
+                value: 'inch'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select the board.
+     * @returns {Array<object>} menu items
+     */
+    getBoardMenu () {
+        const menu = this.boardConnector.boards
+            .map(aBoard => aBoard.number)
+            .sort((a, b) => a - b)
+            .map(number => ({value: number.toString(10), text: number.toString(10)}));
+        if (menu.length === 0) menu.push('1'); // Avoid to break menu
+        return menu;
+    }
+
+    /**
+     * Returns menu items to set analog pin.
+     * @returns {Array<object>} menu items
+     */
+    getAnalogPinIndexMenu () {
+        if (!this.isConnected()) return [''];
+        const menu = this.board.getAnalogPinIndex()
+            .map(value => ({value: value.toString(10), text: value.toString(10)}));
+        if (menu.length === 0) menu.push(''); // Avoid to break menu
+        return menu;
+    }
+
+    /**
+     * Returns menu items to set digital pin.
+     * @returns {Array<object>} menu items
+     */
+    getDigitalPinIndexMenu () {
+        if (!this.isConnected()) return [''];
+        const menu = this.board.getDigitalPinIndex()
+            .map(value => ({value: value.toString(10), text: value.toString(10)}));
+        if (menu.length === 0) menu.push(''); // Avoid to break menu
+        return menu;
+    }
+
+    /**
+     * Returns menu items to set pwm pin.
+     * @returns {Array<object>} menu items
+     */
+    getPWMPinIndexMenu () {
+        if (!this.isConnected()) return [''];
+        const menu = this.board.getPWMPinIndex()
+            .map(value => ({value: value.toString(10), text: value.toString(10)}));
+        if (menu.length === 0) menu.push(''); // Avoid to break menu
+        return menu;
+    }
+
+    /**
+     * Returns menu items to set servo pin.
+     * @returns {Array<object>} menu items
+     */
+    getServoPinIndexMenu () {
+        if (!this.isConnected()) return [''];
+        const menu = this.board.getServoPinIndex()
+            .map(value => ({value: value.toString(10), text: value.toString(10)}));
+        if (menu.length === 0) menu.push(''); // Avoid to break menu
+        return menu;
+    }
+
+    /**
+     * Convert the raw value of analog input to level(%) by the resolution of ADC on the board.
+     * @param {number} raw - raw value of analog input
+     * @param {ArduinoBoard} board - board which read the value
+     * @returns {number} analog level(%)
+     */
+    analogLevel (raw, board) {
+        return convertAnalogValue(raw, board.RESOLUTION.ADC, ANALOG_UNITS.PERCENT);
+    }
+
+    /**
+     * Convert the raw value of analog input to the unit which is set for the pin.
+     * @param {number} raw - raw value of analog input
+     * @param {ArduinoBoard} board - board which read the value
+     * @param {number} analogPin - analog pin number which read the value
+     * @returns {number} the value in the unit
+     */
+    analogValue (raw, board, analogPin) {
+        const unit = this.analogUnits[`${board.number}:${analogPin}`];
+        const reference = (board.number in this.referenceVoltages) ?
+            this.referenceVoltages[board.number] :
+            DEFAULT_REFERENCE_VOLTAGE;
+        return convertAnalogValue(raw, board.RESOLUTION.ADC, unit, reference);
+    }
+
+    /**
+     * Set the unit to report the analog input of the pin.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - analog pin number
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.UNIT - unit [percent | raw | volts]
+     */
+    setAnalogUnit (args) {
+        const board = this.boardOf(args);
+        if (!board) return;
+        if (args.PIN === '') return;
+        const analogPin = parseInt(Cast.toNumber(args.PIN), 10);
+        this.analogUnits[`${board.number}:${analogPin}`] = args.UNIT;
+    }
+
+    /**
+     * Set the reference voltage of ADC on the board to convert analog inputs to volts.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.VOLTS - reference voltage
+     */
+    setReferenceVoltage (args) {
+        const board = this.boardOf(args);
+        if (!board) return;
+        this.referenceVoltages[board.number] = Math.max(0, Cast.toNumber(args.VOLTS));
+    }
+
+    /**
+     * The value of the pin as analog input in the unit which is set for the pin.
+     * @param {ArduinoBoard} board - board to read
+     * @param {number} analogPin - pin number of the connector
+     * @returns {Promise} - resolves analog value, level(%) by default
+     */
+    getAnalogLevel (board, analogPin) {
+        if (!board || !board.isReady()) return Promise.resolve(0);
+        if (!board.getAnalogPinIndex().includes(analogPin)) return Promise.resolve(0);
+        return board.updateAnalogInput(analogPin)
+            .then(raw => this.analogValue(raw, board, analogPin))
+            .catch(reason => {
+                console.log(`analogRead(${analogPin}) was rejected by ${reason}`);
+                return 0;
+            });
+    }
+
+    /**
+     * The value of the pin as analog input.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - analog pin number
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise} - resolves analog value in the unit of the pin
+     */
+    analogInput (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(0);
+        if (args.PIN === '') return Promise.resolve(0);
+        return this.getAnalogLevel(board, parseInt(Cast.toNumber(args.PIN), 10));
+    }
+
+    /**
+     * The level of the pin as analog input.
+     * @returns {Promise} - resolves analog level(%)
+     */
+    a0 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 0);
+    }
+
+    /**
+     * The level of the pin as analog input.
+     * @returns {Promise} - resolves analog level(%)
+     */
+    a1 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 1);
+    }
+
+    /**
+     * The level of the pin as analog input.
+     * @returns {Promise} - resolves analog level(%)
+     */
+    a2 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 2);
+    }
+
+    /**
+     * The level of the pin as analog input.
+     * @returns {Promise} - resolves analog level(%)
+     */
+    a3 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 3);
+    }
+
+    /**
+     * The level of the pin as analog input.
+     * @returns {Promise} - resolves analog level(%)
+     */
+    a4 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 4);
+    }
+
+    /**
      * The level of the pin as analog input.
      * @returns {Promise} - resolves analog level(%)
      */
-    a2 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(2);
+    a5 () {
+        if (!this.isConnected()) return 0;
+        return this.getAnalogLevel(this.board, 5);
+    }
+
+    /**
+     * The level of the pin as digital input.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.PIN - pin number of the connector
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<boolean>} - resolves digital level(boolean)
+     */
+    getDigitalLevel (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(false);
+        if (args.PIN === '') return Promise.resolve(false);
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        if (board.pins[pin] && board.isInputPin(pin)) {
+            this.claimPins(board, [pin], board.pins[pin].inputBias || board.MODES.INPUT, util);
+        }
+        return board.updateDigitalInput(pin)
+            .then(value => {
+                if (value === 0) return false;
+                return true;
+            })
+            .catch(reason => {
+                console.log(`digitalRead(${pin}) was rejected by ${reason}`);
+                return false;
+            });
+    }
+
+    /**
+     * Return the owner of the pins which is the script running the block.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {?{id: string, name: string}} the owner, or null when it's not called by a script
+     */
+    pinOwnerOf (util) {
+        if (!util || !util.target) return null;
+        const topBlock = util.thread ? util.thread.topBlock : '';
+        return {id: `${util.target.id}:${topBlock}`, name: util.target.getName()};
+    }
+
+    /**
+     * Record the script which uses the pins in the mode and warn when another script used them in a different mode.
+     * @param {ArduinoBoard} board - board of the pins
+     * @param {Array<?number>} pins - pin numbers to use, null is ignored
+     * @param {number} mode - mode of the pins
+     * @param {object} util - utility object provided by the runtime.
+     */
+    claimPins (board, pins, mode, util) {
+        const owner = this.pinOwnerOf(util);
+        if (!owner) return;
+        pins.forEach(pin => {
+            if (pin === null || !board.pins[pin]) return;
+            const conflict = board.claimPin(pin, mode, owner);
+            if (!conflict) return;
+            log.warn(`pin ${pin} of board ${board.number} is used as ${board.modeName(mode)} ` +
+                `by "${owner.name}" but it was used in another mode by "${conflict.name}"`);
+        });
+    }
+
+    /**
+     * Describe the state of the pin like '13:OUTPUT=1 (Sprite1)'.
+     * The owner which used the pin in another mode is shown after '!' until the project starts again.
+     * @param {ArduinoBoard} board - board of the pin
+     * @param {number} pin - pin number
+     * @returns {string} description of the pin
+     */
+    describePin (board, pin) {
+        const pinState = board.pins[pin];
+        const mode = (typeof pinState.mode === 'undefined') ? '-' : board.modeName(pinState.mode);
+        let text = `${pin}:${mode}`;
+        if (typeof pinState.mode !== 'undefined') text += `=${pinState.value}`;
+        const claimed = board.pinOwners.get(pin);
+        if (claimed) {
+            const conflict = board.pinConflicts.get(pin);
+            text += ` (${claimed.owner.name}${conflict ? ` !${conflict.conflict.name}` : ''})`;
+        }
+        return text;
+    }
+
+    /**
+     * List the pins which were used in different modes by the scripts since the project started,
+     * like '9:PWM by Sprite1, OUTPUT by Sprite2'.
+     * It's shown as a monitor to find the scripts which fight over the pins.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} conflicts separated by ' | ', or empty when there is no conflict
+     */
+    pinConflicts (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        return Array.from(board.pinConflicts.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([pin, found]) => `${pin}:${board.modeName(found.mode)} by ${found.owner.name}, ` +
+                `${board.modeName(found.conflictMode)} by ${found.conflict.name}`)
+            .join(' | ');
+    }
+
+    /**
+     * List the mode and value of every pin on the board for debugging the wiring.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} states of the pins separated by comma
+     */
+    pinStates (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        return board.getAllPinIndex()
+            .filter(pin => board.pins[pin].supportedModes.length > 0)
+            .map(pin => this.describePin(board, pin))
+            .join(', ');
+    }
+
+    /**
+     * Return the mode of the pin.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} name of the mode, or empty when it's not set
+     */
+    pinModeOf (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        if (args.PIN === '') return '';
+        const pinState = board.pins[parseInt(Cast.toNumber(args.PIN), 10)];
+        if (!pinState || typeof pinState.mode === 'undefined') return '';
+        return board.modeName(pinState.mode);
+    }
+
+    /**
+     * Return the information of the board and its firmware.
+     * USB IDs are in hexadecimal like '0x2341' and empty when the port is not USB.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.INFO - item of the information
+     * @param {string} args.BOARD - number of the board
+     * @returns {string|number} the information, or empty when it's not known
+     */
+    boardInfo (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        const firmware = board.getFirmware();
+        const portInfo = board.portInfo ? board.portInfo : {};
+        const toHex = id => ((typeof id === 'number') ? `0x${id.toString(16).padStart(4, '0')}` : '');
+        switch (args.INFO) {
+        case 'firmwareName':
+            return firmware ? firmware.name : '';
+        case 'firmwareVersion':
+            return firmware ? firmware.version : '';
+        case 'usbVendorId':
+            return toHex(portInfo.usbVendorId);
+        case 'usbProductId':
+            return toHex(portInfo.usbProductId);
+        case 'pinCount':
+            return board.pins.length;
+        default:
+            return '';
+        }
+    }
+
+    /**
+     * Return the modes which the pin supports.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} names of the modes separated by space
+     */
+    supportedModesOf (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        if (args.PIN === '') return '';
+        return board.getSupportedModes(parseInt(Cast.toNumber(args.PIN), 10))
+            .map(mode => board.modeName(mode))
+            .filter(name => name !== '')
+            .join(' ');
+    }
+
+    /**
+     * Whether the pin supports the mode.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.MODE - name of the mode
+     * @param {string} args.PIN - pin number
+     * @returns {boolean} true if the firmware reported the mode for the pin
+     */
+    isModeSupported (args) {
+        const board = this.boardOf(args);
+        if (!board) return false;
+        if (args.PIN === '') return false;
+        const mode = board.MODES[Cast.toString(args.MODE).trim()
+            .toUpperCase()];
+        if (typeof mode === 'undefined') return false;
+        return board.isModeSupported(parseInt(Cast.toNumber(args.PIN), 10), mode);
+    }
+
+    /**
+     * Set the connector to the level as digital output.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.PIN - pin number of the connector
+     * @param {boolean | number | string} args.LEVEL - level to be set
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    setDigitalLevel (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        this.claimPins(board, [pin], board.MODES.OUTPUT, util);
+        let value;
+        if (Cast.toBoolean(args.LEVEL) ||
+            Cast.toNumber(args.LEVEL) > 0 ||
+            Cast.toString(args.LEVEL).toLowerCase === 'high' ||
+            Cast.toString(args.LEVEL).toLowerCase === 'h'
+        ) {
+            value = board.HIGH;
+        } else {
+            value = board.LOW;
+        }
+        board.pinMode(pin, board.MODES.OUTPUT);
+        return board.digitalWrite(pin, value);
+    }
+
+    /**
+     * Set the connector to power [%] as PWM.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.CONNECTOR - pin number of the connector
+     * @param {string | number} args.LEVEL - power (%) of PWM
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    setAnalogLevel (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        this.claimPins(board, [pin], board.MODES.PWM, util);
+        const percent = Math.min(Math.max(Cast.toNumber(args.LEVEL), 0), 100);
+        const value = Math.round(board.RESOLUTION.PWM * (percent / 100));
+        board.cancelRamp(pin);
+        board.pinMode(pin, board.MODES.PWM);
+        return board.pwmWrite(pin, value);
+    }
+
+    /**
+     * Fade the PWM of the pin to the level over the time.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number to fade
+     * @param {string} args.BOARD - number of the board
+     * @param {string | number} args.LEVEL - power (%) of PWM to fade to
+     * @param {number} args.SECS - time to take in seconds
+     * @param {string} args.EASING - name of the easing
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the PWM reached the level or the project was stopped
+     */
+    fadeAnalogLevel (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        this.claimPins(board, [pin], board.MODES.PWM, util);
+        const percent = Math.min(Math.max(Cast.toNumber(args.LEVEL), 0), 100);
+        const value = board.RESOLUTION.PWM * (percent / 100);
+        const duration = Math.max(0, Cast.toNumber(args.SECS)) * 1000;
+        return board.pwmRamp(pin, value, duration, args.EASING);
+    }
+
+    setPinValuePwm (args) {
+        if (!this.isConnected()) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        const value = Cast.toNumber(args.VALUE);
+        log.debug(`setPinValuePwm(arg.PIN=${args.PIN}, arg.VALUE=${args.VALUE}) => setPinValuePwm(${pin}, ${value})`);
+        return this.board.setPinValuePwm(pin, value);
+    }
+
+    /**
+     * Set input bias of the connector.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - number of the pin
+     * @param {string} args.BIAS - input bias of the pin [none | pullUp]
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    setInputBias (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        const pullUp = args.BIAS === 'pullUp';
+        this.claimPins(board, [pin], pullUp ? board.MODES.PULLUP : board.MODES.INPUT, util);
+        return board.setInputBias(pin, pullUp);
+    }
+
+    /**
+     * Turn the servo motor to the degrees (-90...90).
+     * @param {object} args - the block's arguments.
+     * @param {number} args.CONNECTOR - pin number of the connector
+     * @param {number} args.ANGLE - degrees to the servo to turn
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    servoTurn (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        this.claimPins(board, [pin], board.MODES.SERVO, util);
+        board.cancelRamp(pin);
+        return board.servoTurn(pin, Cast.toNumber(args.ANGLE));
+    }
+
+    /**
+     * Turn the servo motor to the degrees over the time.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the servo
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.ANGLE - degrees to turn to
+     * @param {number} args.SECS - time to take in seconds
+     * @param {string} args.EASING - name of the easing
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the servo reached the angle or the project was stopped
+     */
+    servoTurnOver (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        this.claimPins(board, [pin], board.MODES.SERVO, util);
+        const duration = Math.max(0, Cast.toNumber(args.SECS)) * 1000;
+        return board.servoRamp(pin, Cast.toNumber(args.ANGLE), duration, args.EASING);
+    }
+
+    /**
+     * Set the pulse widths and the range of the angle for the servo motor.
+     * Set the min greater than the max to reverse the direction.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the servo
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.MIN - pulse width in microseconds for one end
+     * @param {number} args.MAX - pulse width in microseconds for the other end
+     * @param {number} args.RANGE - degrees which the servo turns between the ends
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    servoConfig (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(args.PIN, 10);
+        this.claimPins(board, [pin], board.MODES.SERVO, util);
+        const calibration = makeServoCalibration(
+            Cast.toNumber(args.MIN),
+            Cast.toNumber(args.MAX),
+            Cast.toNumber(args.RANGE));
+        return board.servoConfig(pin, calibration);
+    }
+
+    /**
+     * Return the last angle which the servo motor was turned to.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the servo
+     * @param {string} args.BOARD - number of the board
+     * @returns {number} the angle in degrees, or 0 when it was not turned yet
+     */
+    servoAngle (args) {
+        const board = this.boardOf(args);
+        if (!board) return 0;
+        if (args.PIN === '') return 0;
+        const servo = board.servos.get(parseInt(args.PIN, 10));
+        if (!servo || servo.angle === null) return 0;
+        return servo.angle;
+    }
+
+    /**
+     * Detach the servo motor to stop buzzing.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the servo
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    servoDetach (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        return board.servoDetach(parseInt(args.PIN, 10));
+    }
+
+    /**
+     * Play a tone on the digital pin and wait for the duration.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.FREQ - frequency in Hz
+     * @param {string} args.PIN - pin number of the buzzer
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.SECS - duration in seconds
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the tone finished
+     */
+    playTone (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.PIN === '') return Promise.resolve('pin not assigned');
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        this.claimPins(board, [pin], board.MODES.OUTPUT, util);
+        const frequency = Math.max(0, Cast.toNumber(args.FREQ));
+        const duration = Math.max(0, Cast.toNumber(args.SECS)) * 1000;
+        return board.playTone(pin, frequency, duration);
+    }
+
+    /**
+     * Play a note on the digital pin and wait for the duration.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.NOTE - MIDI note number
+     * @param {string} args.PIN - pin number of the buzzer
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.SECS - duration in seconds
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the note finished
+     */
+    playNote (args, util) {
+        const note = Math.min(Math.max(Cast.toNumber(args.NOTE), 0), 130);
+        return this.playTone(Object.assign({}, args, {FREQ: noteToFrequency(note)}), util);
+    }
+
+    /**
+     * Stop the tone on the digital pin.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the buzzer
+     * @param {string} args.BOARD - number of the board
+     */
+    stopTone (args) {
+        const board = this.boardOf(args);
+        if (!board) return;
+        if (args.PIN === '') return;
+        board.stopTone(parseInt(Cast.toNumber(args.PIN), 10));
+    }
+
+    /**
+     * Distance measured by the ultrasonic sensor on the pin using PING_READ.
+     * It needs PingFirmata on the board.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.PIN - pin number which the sensor is connected
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.UNIT - unit of the distance [cm | inch]
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<number>} - resolves the distance, or the max range when it was not measured
+     */
+    getDistance (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(reportedDistance(null, args.UNIT));
+        if (args.PIN === '') return Promise.resolve(reportedDistance(null, args.UNIT));
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        this.claimPins(board, [pin], board.MODES.PING_READ, util);
+        return board.pingRead(pin)
+            .then(duration => reportedDistance((duration * SOUND_SPEED) / 2, args.UNIT))
+            .catch(reason => {
+                console.log(`pingRead(${pin}) was rejected by ${reason}`);
+                return reportedDistance(null, args.UNIT);
+            });
+    }
+
+    /**
+     * Distance measured by the ultrasonic sensor which has separate trigger and echo pins.
+     * It needs FirmataExpress on the board. The same pin for both is measured by PING_READ as getDistance().
+     * @param {object} args - the block's arguments.
+     * @param {number} args.TRIGGER - pin number of the trigger
+     * @param {number} args.ECHO - pin number of the echo
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.UNIT - unit of the distance [cm | inch]
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<number>} - resolves the distance, or the max range when it was not measured
+     */
+    getSonarDistance (args, util) {
+        if (args.TRIGGER === '' || args.ECHO === '') return Promise.resolve(reportedDistance(null, args.UNIT));
+        const triggerPin = parseInt(Cast.toNumber(args.TRIGGER), 10);
+        const echoPin = parseInt(Cast.toNumber(args.ECHO), 10);
+        if (triggerPin === echoPin) {
+            return this.getDistance({PIN: args.TRIGGER, BOARD: args.BOARD, UNIT: args.UNIT}, util);
+        }
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(reportedDistance(null, args.UNIT));
+        this.claimPins(board, [triggerPin, echoPin], board.MODES.PING_READ, util);
+        return board.sonarRead(triggerPin, echoPin)
+            .then(distance => reportedDistance(distance, args.UNIT))
+            .catch(reason => {
+                console.log(`sonarRead(${triggerPin}, ${echoPin}) was rejected by ${reason}`);
+                return reportedDistance(null, args.UNIT);
+            });
+    }
+
+    /**
+     * Return ROM codes of DS18B20 on the OneWire bus.
+     * The bus is searched again when the probe at the index was not found in the last search.
+     * @param {ArduinoBoard} board - board which the bus is connected
+     * @param {number} pin - pin number of the bus
+     * @param {number} index - index of the probe which is needed
+     * @returns {Promise<Array<Array<number>>>} a Promise which resolves ROM codes of the probes
+     */
+    findDS18B20 (board, pin, index) {
+        const filterProbes = devices => devices
+            .filter(device => (device[0] === DS18B20_FAMILY) && isValidCRC(device));
+        const probes = filterProbes(board.getOneWireDevices(pin));
+        if (index < probes.length) return Promise.resolve(probes);
+        return board.oneWireSearch(pin)
+            .then(devices => filterProbes(devices));
+    }
+
+    /**
+     * Temperature measured by the DS18B20 on the OneWire bus.
+     * It needs ConfigurableFirmata with OneWireFirmata on the board.
+     * Readings for the same probe while it is converting share the result.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.N - number of the probe on the bus, starting from 1
+     * @param {number} args.PIN - pin number of the bus
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<number>} a Promise which resolves the temperature in degrees Celsius
+     */
+    getDS18B20Temperature (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(0);
+        if (args.PIN === '') return Promise.resolve(0);
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        this.claimPins(board, [pin], board.MODES.ONEWIRE, util);
+        const index = Math.max(1, Math.round(Cast.toNumber(args.N))) - 1;
+        const key = `${board.number}:${pin}:${index}`;
+        if (this.ds18b20Readings[key]) return this.ds18b20Readings[key];
+        const reading = this.findDS18B20(board, pin, index)
+            .then(probes => {
+                if (index >= probes.length) {
+                    return Promise.reject(new Error(`DS18B20 #${index + 1} is not found on pin ${pin}`));
+                }
+                return readDS18B20Temperature(board, pin, probes[index]);
+            })
+            .then(temperature => Math.round(temperature * 100) / 100)
+            .catch(reason => {
+                console.log(`read DS18B20 on pin ${pin} was rejected by ${reason}`);
+                return 0;
+            })
+            .finally(() => {
+                delete this.ds18b20Readings[key];
+            });
+        this.ds18b20Readings[key] = reading;
+        return reading;
+    }
+
+    /**
+     * Configure the stepper motor.
+     * It needs ConfigurableFirmata with AccelStepperFirmata on the board.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - device number of the stepper (0-9)
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.TYPE - type of the interface [fourWire | twoWire | driver]
+     * @param {string} args.PINS - pins separated by space or comma
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise<string>} a Promise which resolves the result when the message was sent
+     */
+    stepperConfig (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('not connected');
+        const deviceNum = parseInt(Cast.toNumber(args.ID), 10);
+        const pins = parsePinList(args.PINS);
+        this.claimPins(board, pins, board.MODES.STEPPER, util);
+        return board.stepperConfig(deviceNum, args.TYPE, pins)
+            .catch(reason => {
+                console.log(`stepperConfig(${deviceNum}) was rejected by ${reason}`);
+                return `${reason}`;
+            });
+    }
+
+    /**
+     * Move the stepper motor by the steps at the speed and wait until the move was completed.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - device number of the stepper
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.STEPS - steps to move, negative to move backward
+     * @param {number} args.SPEED - speed in steps per second
+     * @returns {Promise} a Promise which resolves when the move was completed
+     */
+    stepperMove (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('not connected');
+        const deviceNum = parseInt(Cast.toNumber(args.ID), 10);
+        const steps = Math.round(Cast.toNumber(args.STEPS));
+        const speed = Math.abs(Cast.toNumber(args.SPEED));
+        if (speed === 0) return Promise.resolve('speed is 0'); // It never completes.
+        return board.stepperSpeed(deviceNum, speed)
+            .then(() => board.stepperStep(deviceNum, steps))
+            .catch(reason => {
+                console.log(`stepperMove(${deviceNum}) was rejected by ${reason}`);
+                return `${reason}`;
+            });
+    }
+
+    /**
+     * Set acceleration of the stepper motor.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - device number of the stepper
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.ACCEL - acceleration in steps/s², 0 to move at constant speed
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    stepperSetAcceleration (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('not connected');
+        const deviceNum = parseInt(Cast.toNumber(args.ID), 10);
+        const acceleration = Math.max(0, Cast.toNumber(args.ACCEL));
+        return board.stepperAcceleration(deviceNum, acceleration)
+            .catch(reason => {
+                console.log(`stepperSetAcceleration(${deviceNum}) was rejected by ${reason}`);
+                return `${reason}`;
+            });
     }
 
     /**
-     * The level of the pin as analog input.
-     * @returns {Promise} - resolves analog level(%)
+     * Stop the stepper motor.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - device number of the stepper
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise} a Promise which resolves when the message was sent
      */
-    a3 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(3);
+    stepperStop (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('not connected');
+        const deviceNum = parseInt(Cast.toNumber(args.ID), 10);
+        return board.stepperStop(deviceNum)
+            .catch(reason => {
+                console.log(`stepperStop(${deviceNum}) was rejected by ${reason}`);
+                return `${reason}`;
+            });
     }
 
     /**
-     * The level of the pin as analog input.
-     * @returns {Promise} - resolves analog level(%)
+     * Current position of the stepper motor.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ID - device number of the stepper
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise<number>} a Promise which resolves the position in steps
      */
-    a4 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(4);
+    stepperPosition (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve(0);
+        const deviceNum = parseInt(Cast.toNumber(args.ID), 10);
+        return board.stepperPosition(deviceNum)
+            .catch(reason => {
+                console.log(`stepperPosition(${deviceNum}) was rejected by ${reason}`);
+                return 0;
+            });
     }
 
     /**
-     * The level of the pin as analog input.
-     * @returns {Promise} - resolves analog level(%)
+     * Return the pins of the shift registers which are selected by the arguments of the block.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.DPIN - data pin
+     * @param {string} args.CPIN - clock pin
+     * @param {string} args.LPIN - latch pin, or empty if it's not connected
+     * @returns {?{dataPin: number, clockPin: number, latchPin: ?number}} the pins, or null if not assigned
      */
-    a5 () {
-        if (!this.isConnected()) return 0;
-        return this.getAnalogLevel(5);
+    shiftRegisterPinsOf (args) {
+        if (args.DPIN === '' || args.CPIN === '') return null;
+        return {
+            dataPin: parseInt(Cast.toNumber(args.DPIN), 10),
+            clockPin: parseInt(Cast.toNumber(args.CPIN), 10),
+            latchPin: (Cast.toString(args.LPIN).trim() === '') ?
+                null :
+                parseInt(Cast.toNumber(args.LPIN), 10)
+        };
     }
 
     /**
-     * The level of the pin as digital input.
+     * Shift out bytes to the shift register.
      * @param {object} args - the block's arguments.
-     * @param {number} args.PIN - pin number of the connector
-     * @returns {Promise<boolean>} - resolves digital level(boolean)
+     * @param {string} args.DATA - bytes to shift out separated by space or comma
+     * @param {string} args.ORDER - order of the bits [msb | lsb]
+     * @param {string} args.DPIN - data pin
+     * @param {string} args.CPIN - clock pin
+     * @param {string} args.LPIN - latch pin, or empty if it's not connected
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the messages were sent
      */
-    getDigitalLevel (args) {
-        if (!this.isConnected()) return Promise.resolve(false);
-        if (args.PIN === '') return Promise.resolve(false);
-        const pin = parseInt(Cast.toNumber(args.PIN), 10);
-        return this.board.updateDigitalInput(pin)
-            .then(value => {
-                if (value === 0) return false;
-                return true;
-            })
+    shiftOut (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const pins = this.shiftRegisterPinsOf(args);
+        if (!pins) return Promise.resolve('pin not assigned');
+        this.claimPins(board, [pins.dataPin, pins.clockPin, pins.latchPin], board.MODES.OUTPUT, util);
+        const data = parseByteList(args.DATA);
+        return board.shiftOut(pins.dataPin, pins.clockPin, pins.latchPin, data, args.ORDER)
             .catch(reason => {
-                console.log(`digitalRead(${pin}) was rejected by ${reason}`);
-                return false;
+                console.log(`shiftOut(${pins.dataPin}) was rejected by ${reason}`);
             });
     }
 
     /**
-     * Set the connector to the level as digital output.
+     * Use the chain of shift registers as extra digital outputs.
      * @param {object} args - the block's arguments.
-     * @param {number} args.PIN - pin number of the connector
-     * @param {boolean | number | string} args.LEVEL - level to be set
+     * @param {number} args.COUNT - number of the registers in the chain
+     * @param {string} args.DPIN - data pin
+     * @param {string} args.CPIN - clock pin
+     * @param {string} args.LPIN - latch pin, or empty if it's not connected
+     * @param {string} args.BOARD - number of the board
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {Promise} a Promise which resolves when the outputs were cleared
+     */
+    shiftRegisterConfig (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const pins = this.shiftRegisterPinsOf(args);
+        if (!pins) return Promise.resolve('pin not assigned');
+        this.claimPins(board, [pins.dataPin, pins.clockPin, pins.latchPin], board.MODES.OUTPUT, util);
+        const count = Math.max(1, Math.round(Cast.toNumber(args.COUNT)));
+        return board.shiftRegisterConfig(pins.dataPin, pins.clockPin, pins.latchPin, count)
+            .catch(reason => {
+                console.log(`shiftRegisterConfig(${pins.dataPin}) was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Set level of the output in the chain of shift registers.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.OUTPUT - index of the output in the chain
+     * @param {string} args.DPIN - data pin of the chain
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.LEVEL - level to set
+     * @returns {Promise} a Promise which resolves when the outputs were updated
+     */
+    shiftRegisterWrite (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (args.DPIN === '') return Promise.resolve('pin not assigned');
+        const dataPin = parseInt(Cast.toNumber(args.DPIN), 10);
+        const output = Math.round(Cast.toNumber(args.OUTPUT));
+        const value = (Cast.toNumber(args.LEVEL) > 0) ? board.HIGH : board.LOW;
+        return board.shiftRegisterWrite(dataPin, output, value)
+            .catch(reason => {
+                console.log(`shiftRegisterWrite(${dataPin}) was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Configure the NeoPixel strip on the pin.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.LENGTH - number of the pixels
+     * @param {string} args.ORDER - color order of the strip
+     * @param {object} util - utility object provided by the runtime.
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    setDigitalLevel (args) {
-        if (!this.isConnected()) return 'not connected';
+    neoPixelConfig (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
         if (args.PIN === '') return Promise.resolve('pin not assigned');
         const pin = parseInt(Cast.toNumber(args.PIN), 10);
-        let value;
-        if (Cast.toBoolean(args.LEVEL) ||
-            Cast.toNumber(args.LEVEL) > 0 ||
-            Cast.toString(args.LEVEL).toLowerCase === 'high' ||
-            Cast.toString(args.LEVEL).toLowerCase === 'h'
-        ) {
-            value = this.board.HIGH;
-        } else {
-            value = this.board.LOW;
-        }
-        this.board.pinMode(pin, this.board.MODES.OUTPUT);
-        return this.board.digitalWrite(pin, value);
+        this.claimPins(board, [pin], board.MODES.OUTPUT, util);
+        const length = Math.max(1, Math.round(Cast.toNumber(args.LENGTH)));
+        const colorOrder = (args.ORDER in COLOR_ORDERS) ? COLOR_ORDERS[args.ORDER] : COLOR_ORDERS.GRB;
+        return board.pixelConfig(pin, length, colorOrder);
     }
 
     /**
-     * Set the connector to power [%] as PWM.
+     * Return the NeoPixel strip which is selected by the arguments of the block.
      * @param {object} args - the block's arguments.
-     * @param {number} args.CONNECTOR - pin number of the connector
-     * @param {string | number} args.LEVEL - power (%) of PWM
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @returns {?PixelStrip} the strip, or null if it was not configured
+     */
+    pixelStripOf (args) {
+        const board = this.boardOf(args);
+        if (!board) return null;
+        if (args.PIN === '') return null;
+        const strip = board.getPixelStrip(parseInt(Cast.toNumber(args.PIN), 10));
+        return strip ? strip : null;
+    }
+
+    /**
+     * Set RGB color of the pixel. It will be sent by neoPixelShow().
+     * @param {object} args - the block's arguments.
+     * @param {number} args.INDEX - index of the pixel
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.R - red in 0-255
+     * @param {number} args.G - green in 0-255
+     * @param {number} args.B - blue in 0-255
+     */
+    neoPixelSetRGB (args) {
+        const strip = this.pixelStripOf(args);
+        if (!strip) return;
+        strip.setPixel(
+            Math.round(Cast.toNumber(args.INDEX)),
+            packColor(Cast.toNumber(args.R), Cast.toNumber(args.G), Cast.toNumber(args.B)));
+    }
+
+    /**
+     * Set HSV color of the pixel. It will be sent by neoPixelShow().
+     * @param {object} args - the block's arguments.
+     * @param {number} args.INDEX - index of the pixel
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.H - hue in degrees
+     * @param {number} args.S - saturation in 0-100
+     * @param {number} args.V - value in 0-100
+     */
+    neoPixelSetHSV (args) {
+        const strip = this.pixelStripOf(args);
+        if (!strip) return;
+        strip.setPixel(
+            Math.round(Cast.toNumber(args.INDEX)),
+            hsvToColor(Cast.toNumber(args.H), Cast.toNumber(args.S), Cast.toNumber(args.V)));
+    }
+
+    /**
+     * Set color of the pixels in the range. They will be sent by neoPixelShow().
+     * @param {object} args - the block's arguments.
+     * @param {number} args.START - index of the first pixel
+     * @param {number} args.END - index of the last pixel
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.COLOR - color like '#ff0000'
+     */
+    neoPixelFill (args) {
+        const strip = this.pixelStripOf(args);
+        if (!strip) return;
+        const [r, g, b] = Cast.toRgbColorList(args.COLOR);
+        strip.fill(Math.round(Cast.toNumber(args.START)), Math.round(Cast.toNumber(args.END)), packColor(r, g, b));
+    }
+
+    /**
+     * Shift or rotate the colors of the strip. They will be sent by neoPixelShow().
+     * @param {object} args - the block's arguments.
+     * @param {string} args.MODE - 'shift' or 'rotate'
+     * @param {string} args.PIN - pin number of the data line
+     * @param {string} args.BOARD - number of the board
+     * @param {number} args.AMOUNT - number of the pixels to move, negative to move to the beginning
+     */
+    neoPixelShift (args) {
+        const strip = this.pixelStripOf(args);
+        if (!strip) return;
+        strip.shift(Math.round(Cast.toNumber(args.AMOUNT)), args.MODE === 'rotate');
+    }
+
+    /**
+     * Send the changed pixels and show them on the NeoPixel strips.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise} a Promise which resolves when the messages were sent
+     */
+    neoPixelShow (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        if (board.pixelStrips.size === 0) return Promise.resolve('no strip');
+        return board.pixelShow();
+    }
+
+    /**
+     * Hat which is started by the board when the digital input was changed.
+     * The pin and the level are matched by the runtime.
+     * @returns {boolean} always true
+     */
+    whenDigitalLevelChanged () {
+        return true;
+    }
+
+    /**
+     * Hat which is started by the board when the analog input crossed the threshold.
+     * The crossings are detected on every report by checkThresholds(), so this returns true
+     * only for the hat which crossed the threshold in the direction.
+     * The threshold must be a number in the hat.
+     * @param {object} args - the block's arguments.
+     * @param {object} util - utility object provided by the runtime.
+     * @returns {boolean} true if the level crossed the threshold
+     */
+    whenAnalogThreshold (args, util) {
+        if (!util || !util.thread) return false;
+        return this.thresholdCrossings.delete(util.thread.topBlock);
+    }
+
+    /**
+     * Set time which a digital input must be stable to start the hats.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.TIME - debounce time in milliseconds
+     */
+    setDebounceTime (args) {
+        this.debounceTime = Math.max(0, Cast.toNumber(args.TIME));
+    }
+
+    /**
+     * Set width of hysteresis for the analog threshold hats.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.VALUE - width of hysteresis in %
+     */
+    setHysteresis (args) {
+        this.hysteresis = Math.max(0, Cast.toNumber(args.VALUE));
+    }
+
+    /**
+     * Write bytes to the I2C device.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.DATA - bytes to write separated by space or comma
+     * @param {string} args.ADDR - address of the I2C device
+     * @param {string} args.REG - register to write, or empty to write the data only
+     * @param {string} args.BOARD - number of the board
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    setAnalogLevel (args) {
-        if (!this.isConnected()) return 'not connected';
-        if (args.PIN === '') return Promise.resolve('pin not assigned');
-        const pin = parseInt(args.PIN, 10);
-        const percent = Math.min(Math.max(Cast.toNumber(args.LEVEL), 0), 100);
-        const value = Math.round(this.board.RESOLUTION.PWM * (percent / 100));
-        this.board.pinMode(pin, this.board.MODES.PWM);
-        return this.board.pwmWrite(pin, value);
+    i2cWrite (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const address = parseI2CNumber(args.ADDR);
+        if (address === null) return Promise.resolve('address not assigned');
+        const register = parseI2CNumber(args.REG);
+        const data = parseByteList(args.DATA);
+        return board.i2cWrite(address, register, data);
     }
 
-    setPinValuePwm (args) {
-        if (!this.isConnected()) return 'not connected';
-        if (args.PIN === '') return Promise.resolve('pin not assigned');
-        const pin = parseInt(Cast.toNumber(args.PIN), 10);
-        const value = Cast.toNumber(args.VALUE);
-        log.debug(`setPinValuePwm(arg.PIN=${args.PIN}, arg.VALUE=${args.VALUE}) => setPinValuePwm(${pin}, ${value})`);
-        return this.board.setPinValuePwm(pin, value);
+    /**
+     * Read bytes from the I2C device.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.LENGTH - number of bytes to read
+     * @param {string} args.ADDR - address of the I2C device
+     * @param {string} args.REG - register to read from, or empty to read without register
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise<string>} - resolves read bytes separated by space
+     */
+    i2cReadOnce (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('');
+        const address = parseI2CNumber(args.ADDR);
+        if (address === null) return Promise.resolve('');
+        const register = parseI2CNumber(args.REG);
+        const length = Math.max(1, Math.round(Cast.toNumber(args.LENGTH)));
+        return board.i2cReadOnce(address, register, length)
+            .then(data => data.join(' '))
+            .catch(reason => {
+                console.log(`i2cReadOnce(${address}) was rejected by ${reason}`);
+                return '';
+            });
     }
 
     /**
-     * Set input bias of the connector.
+     * Send a sysex command to the board.
      * @param {object} args - the block's arguments.
-     * @param {string} args.PIN - number of the pin
-     * @param {string} args.BIAS - input bias of the pin [none | pullUp]
+     * @param {string} args.COMMAND - sysex command byte
+     * @param {string} args.DATA - bytes of the payload separated by space or comma
+     * @param {string} args.ENCODING - encoding of the payload in SYSEX_ENCODINGS
+     * @param {string} args.BOARD - number of the board
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    setInputBias (args) {
-        if (!this.isConnected()) return 'not connected';
-        if (args.PIN === '') return Promise.resolve('pin not assigned');
-        const pin = parseInt(args.PIN, 10);
-        const pullUp = args.BIAS === 'pullUp';
-        return this.board.setInputBias(pin, pullUp);
+    sysexSend (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const command = parseI2CNumber(args.COMMAND);
+        if (command === null || command > 0x7F) return Promise.resolve('command not assigned');
+        return board.sysexSend(command, parseByteList(args.DATA), sysexEncodingOf(args.ENCODING));
     }
 
     /**
-     * Turn the servo motor to the degrees (-90...90).
+     * Send a sysex command and report the payload of the response.
      * @param {object} args - the block's arguments.
-     * @param {number} args.CONNECTOR - pin number of the connector
-     * @param {number} args.ANGLE - degrees to the servo to turn
+     * @param {string} args.RESPONSE - sysex command byte of the response
+     * @param {string} args.COMMAND - sysex command byte
+     * @param {string} args.DATA - bytes of the payload separated by space or comma
+     * @param {string} args.ENCODING - encoding of the payloads of the command and the response in SYSEX_ENCODINGS
+     * @param {string} args.BOARD - number of the board
+     * @returns {Promise<string>} - resolves bytes of the response separated by space
+     */
+    sysexRequest (args) {
+        const board = this.boardOf(args);
+        if (!board) return Promise.resolve('');
+        const command = parseI2CNumber(args.COMMAND);
+        const response = parseI2CNumber(args.RESPONSE);
+        if (command === null || command > 0x7F || response === null || response > 0x7F) {
+            return Promise.resolve('');
+        }
+        const encoding = sysexEncodingOf(args.ENCODING);
+        return board.sysexRequest(command, parseByteList(args.DATA), response, board.sysexWaitingTime,
+            encoding, encoding)
+            .then(data => data.join(' '))
+            .catch(reason => {
+                console.log(`sysexRequest(${command}) was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Run a custom block which was declared in sysex-blocks.json.
+     * @param {object} block - normalized descriptor of the block
+     * @param {object} args - the block's arguments.
+     * @returns {Promise|string|number} the result of the command, or the value of the response for a reporter
+     */
+    runSysexBlock (block, args) {
+        const board = this.boardOf(args);
+        const isReporter = (block.blockType === 'reporter');
+        if (!board) return isReporter ? Promise.resolve('') : 'not connected';
+        const payload = sysexPayloadOf(block, args);
+        if (!isReporter) {
+            return board.sysexSend(block.command, payload, block.encoding);
+        }
+        return board.sysexRequest(block.command, payload, block.response, block.timeout,
+            block.encoding, block.responseEncoding)
+            .then(data => decodeSysexValue(data, block.result))
+            .catch(reason => {
+                console.log(`${block.opcode}() was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Return the serial port ID which is selected by the argument of the block.
+     * @param {string} port - port ID in the menu
+     * @returns {?number} the port ID, or null if it's not valid
+     */
+    serialPortOf (port) {
+        const portId = parseInt(Cast.toNumber(port), 10);
+        if (!this.getSerialPortMenu().some(item => Number(item.value) === portId)) return null;
+        return portId;
+    }
+
+    /**
+     * Start the serial port of the board and receive data into its buffer.
+     * RX and TX pins are used only for the software serial ports.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.BAUD - baud rate
+     * @param {string} args.RX - RX pin for the software serial
+     * @param {string} args.TX - TX pin for the software serial
+     * @param {object} util - utility object provided by the runtime.
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    servoTurn (args) {
-        if (!this.isConnected()) return 'not connected';
-        if (args.PIN === '') return Promise.resolve('pin not assigned');
-        const pin = parseInt(args.PIN, 10);
-        const angle = Cast.toNumber(args.ANGLE);
-        let servoValue = 90 - angle; // = 180 - (angle + 90)
-        servoValue = Math.min(180, Math.max(0, servoValue));
-        this.board.pinMode(pin, this.board.MODES.SERVO);
-        return this.board.servoWrite(pin, servoValue);
+    serialBegin (args, util) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return Promise.resolve('port not assigned');
+        const baud = Math.max(300, Math.round(Cast.toNumber(args.BAUD)));
+        let rxPin;
+        let txPin;
+        if (portId >= board.SERIAL_PORT_IDs.SW_SERIAL0) {
+            if (args.RX === '' || args.TX === '') return Promise.resolve('pin not assigned');
+            rxPin = parseInt(Cast.toNumber(args.RX), 10);
+            txPin = parseInt(Cast.toNumber(args.TX), 10);
+            this.claimPins(board, [rxPin, txPin], board.MODES.SERIAL, util);
+        }
+        return board.serialConfig(portId, baud, rxPin, txPin)
+            .then(() => this.updateHatListeners())
+            .catch(reason => {
+                console.log(`serialConfig(${portId}) was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Send a text to the serial port.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.TEXT - text to send
+     * @param {string} args.ENDING - line ending to add [none | lf | crlf]
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    serialWriteText (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return Promise.resolve('port not assigned');
+        const ending = LINE_ENDINGS[args.ENDING] || [];
+        return board.serialWrite(portId, encodeText(args.TEXT).concat(ending));
+    }
+
+    /**
+     * Send bytes to the serial port.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @param {string} args.DATA - bytes to send separated by space or comma
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    serialWriteBytes (args) {
+        const board = this.boardOf(args);
+        if (!board) return 'not connected';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return Promise.resolve('port not assigned');
+        return board.serialWrite(portId, parseByteList(args.DATA));
+    }
+
+    /**
+     * Take a line from the receive buffer of the serial port.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} the line without line ending, or empty when no line was received
+     */
+    serialReadLine (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return '';
+        const line = board.serialReadLine(portId);
+        if (!line) return '';
+        return decodeText(line).replace(/\r$/, '');
+    }
+
+    /**
+     * Take bytes from the receive buffer of the serial port.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.LENGTH - max number of bytes to take
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} bytes separated by space
+     */
+    serialReadBytes (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return '';
+        const length = Math.max(1, Math.round(Cast.toNumber(args.LENGTH)));
+        return board.serialRead(portId, length).join(' ');
+    }
+
+    /**
+     * Return the content of the receive buffer of the serial port without taking it.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.FORMAT - format of the content [text | bytes | length]
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     * @returns {string|number} the content in the format
+     */
+    serialBuffer (args) {
+        const board = this.boardOf(args);
+        if (!board) return '';
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return '';
+        const buffer = board.getSerialBuffer(portId);
+        if (args.FORMAT === 'length') return buffer.length;
+        if (args.FORMAT === 'bytes') return buffer.join(' ');
+        return decodeText(buffer);
+    }
+
+    /**
+     * Discard the receive buffer of the serial port.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PORT - ID of the serial port
+     * @param {string} args.BOARD - number of the board
+     */
+    serialClearBuffer (args) {
+        const board = this.boardOf(args);
+        if (!board) return;
+        const portId = this.serialPortOf(args.PORT);
+        if (portId === null) return;
+        board.serialClearBuffer(portId);
+    }
+
+    /**
+     * Hat which is started by the board when a line feed was received on the serial port.
+     * The board and the port are matched by the runtime.
+     * @returns {boolean} always true
+     */
+    whenSerialLineReceived () {
+        return true;
+    }
+
+    /**
+     * Enable the driver of the sensor and initialize it on the board.
+     * @param {function} Driver - driver class of the sensor which extends SensorDriver
+     * @param {ArduinoBoard} board - board which the sensor is connected
+     * @param {?number} address - I2C address of the sensor, or null to use the default
+     * @returns {{driver: SensorDriver, ready: Promise}} the driver and a Promise which resolves when initialized
+     */
+    setupSensor (Driver, board, address) {
+        const newlyEnabled = !(Driver.ID in this.enabledSensors);
+        this.enabledSensors[Driver.ID] = address;
+        const driver = new Driver(board, address);
+        const sensor = {
+            driver: driver,
+            ready: driver.init()
+                .catch(reason => {
+                    if (this.sensors[Driver.ID] === sensor) {
+                        // Retry initializing at the next reading.
+                        delete this.sensors[Driver.ID];
+                    }
+                    return Promise.reject(reason);
+                })
+        };
+        this.sensors[Driver.ID] = sensor;
+        if (newlyEnabled) {
+            // Show the blocks of the driver.
+            this.runtime.requestBlocksUpdate();
+        }
+        return sensor;
+    }
+
+    /**
+     * Enable the driver of the sensor.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.SENSOR - ID of the driver
+     * @param {string} args.ADDR - I2C address of the sensor, or empty to use the default
+     * @param {string} args.BOARD - number of the board which the sensor is connected
+     * @returns {Promise<string>} a Promise which resolves the result when the sensor was initialized
+     */
+    enableSensor (args) {
+        const Driver = findSensorDriver(args.SENSOR);
+        if (!Driver) return Promise.resolve(`unknown sensor ${args.SENSOR}`);
+        this.sensorBoards[Driver.ID] = (typeof args.BOARD === 'undefined') ? '' : Cast.toString(args.BOARD);
+        const board = this.boardOf(args);
+        if (!board) {
+            if (!(Driver.ID in this.enabledSensors)) {
+                this.enabledSensors[Driver.ID] = parseI2CNumber(args.ADDR);
+                this.runtime.requestBlocksUpdate();
+            }
+            return Promise.resolve('not connected');
+        }
+        return this.setupSensor(Driver, board, parseI2CNumber(args.ADDR)).ready
+            .then(() => `${Driver.ID} enabled`)
+            .catch(reason => {
+                console.log(`enableSensor(${Driver.ID}) was rejected by ${reason}`);
+                return `${reason}`;
+            });
+    }
+
+    /**
+     * Read the value of the sensor.
+     * The sensor is initialized with the last enabled board and address when it's not initialized yet.
+     * @param {function} Driver - driver class of the sensor which extends SensorDriver
+     * @param {string | function} reading - key of the value or a function which returns it
+     * @param {object} args - the block's arguments.
+     * @returns {Promise<number>} a Promise which resolves the value
+     */
+    readSensor (Driver, reading, args) {
+        let sensor = this.sensors[Driver.ID];
+        if (!sensor) {
+            const board = this.boardOf({BOARD: this.sensorBoards[Driver.ID]});
+            if (!board) return Promise.resolve(0);
+            const address = (Driver.ID in this.enabledSensors) ? this.enabledSensors[Driver.ID] : null;
+            sensor = this.setupSensor(Driver, board, address);
+        }
+        const key = (typeof reading === 'function') ? reading(args) : reading;
+        return sensor.ready
+            .then(() => sensor.driver.read(key))
+            .then(value => {
+                if (typeof value !== 'number') return 0;
+                return Math.round(value * 100) / 100;
+            })
+            .catch(reason => {
+                console.log(`read ${Driver.ID} ${key} was rejected by ${reason}`);
+                return 0;
+            });
+    }
+
+    /**
+     * Connect a virtual board which works without hardware.
+     * It is added to the connected boards as another board.
+     * @returns {Promise<string>} a Promise which resolves the result of this command
+     */
+    connectVirtualBoard () {
+        return this.boardConnector.connectVirtual(EXTENSION_ID)
+            .then(connectedBoard => {
+                this.notifyConnected(connectedBoard);
+                return `connected board ${connectedBoard.number}`;
+            })
+            .catch(reason => {
+                console.log(reason);
+                return `${reason}`;
+            });
+    }
+
+    /**
+     * Set the level of digital input on the virtual board.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.PIN - pin number of the connector
+     * @param {boolean | number | string} args.LEVEL - level to be set
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} result of this command
+     */
+    setVirtualDigitalInput (args) {
+        const board = this.boardOf(args);
+        if (!board || !board.virtualTransport) return 'virtual board not connected';
+        if (args.PIN === '') return 'pin not assigned';
+        const pin = parseInt(Cast.toNumber(args.PIN), 10);
+        board.virtualTransport.setDigitalInput(pin, Cast.toNumber(args.LEVEL) > 0 ? 1 : 0);
+    }
+
+    /**
+     * Set the level of analog input on the virtual board.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.PIN - analog pin number
+     * @param {number} args.LEVEL - level(%) to be set
+     * @param {string} args.BOARD - number of the board
+     * @returns {string} result of this command
+     */
+    setVirtualAnalogInput (args) {
+        const board = this.boardOf(args);
+        if (!board || !board.virtualTransport) return 'virtual board not connected';
+        if (args.PIN === '') return 'pin not assigned';
+        const analogPin = parseInt(Cast.toNumber(args.PIN), 10);
+        const percent = Math.min(Math.max(Cast.toNumber(args.LEVEL), 0), 100);
+        board.virtualTransport.setAnalogInput(analogPin, Math.round(1023 * (percent / 100)));
     }
 }
 
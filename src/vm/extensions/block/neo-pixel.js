@@ -0,0 +1,232 @@
+/**
+ * Utilities for NeoPixel (WS2812) strips on the pixel sysex of node-pixel firmata.
+ */
+
+/**
+ * Sysex command of the pixel extension.
+ * @type {number}
+ */
+export const PIXEL_COMMAND = 0x51;
+
+/**
+ * Sub-commands of PIXEL_COMMAND.
+ * @type {object<string, number>}
+ */
+export const PIXEL_COMMANDS = {
+    OFF: 0x00,
+    CONFIG: 0x01,
+    SHOW: 0x02,
+    SET_PIXEL: 0x03
+};
+
+/**
+ * Orders of the colors which the strips receive, and the codes in the config message.
+ * The codes are COLOR_ORDER of node-pixel.
+ * @type {object<string, number>}
+ */
+export const COLOR_ORDERS = {
+    GRB: 0x00,
+    RGB: 0x01,
+    BRG: 0x02
+};
+
+/**
+ * Pack a color into 24 bits.
+ * @param {number} r - red in 0-255
+ * @param {number} g - green in 0-255
+ * @param {number} b - blue in 0-255
+ * @returns {number} color as 0xRRGGBB
+ */
+export const packColor = (r, g, b) => {
+    const toByte = value => Math.min(255, Math.max(0, Math.round(value)));
+    return (toByte(r) << 16) | (toByte(g) << 8) | toByte(b);
+};
+
+/**
+ * Convert a color in HSV to the packed RGB.
+ * @param {number} h - hue in degrees
+ * @param {number} s - saturation in 0-100
+ * @param {number} v - value in 0-100
+ * @returns {number} color as 0xRRGGBB
+ */
+export const hsvToColor = (h, s, v) => {
+    const hue = ((h % 360) + 360) % 360;
+    const saturation = Math.min(100, Math.max(0, s)) / 100;
+    const value = Math.min(100, Math.max(0, v)) / 100 * 255;
+    const chroma = value * saturation;
+    const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+    const m = value - chroma;
+    const sector = Math.floor(hue / 60);
+    const [r, g, b] = [
+        [chroma, x, 0],
+        [x, chroma, 0],
+        [0, chroma, x],
+        [0, x, chroma],
+        [x, 0, chroma],
+        [chroma, 0, x]
+    ][sector];
+    return packColor(r + m, g + m, b + m);
+};
+
+/**
+ * Pixels of a strip which are kept on the host to send only the changed pixels.
+ */
+export class PixelStrip {
+
+    /**
+     * Construct a strip.
+     * @param {number} pin - pin number of the data line
+     * @param {number} length - number of the pixels
+     * @param {number} colorOrder - color order in COLOR_ORDERS
+     */
+    constructor (pin, length, colorOrder) {
+        this.pin = pin;
+        this.colorOrder = colorOrder;
+
+        /**
+         * Address of the first pixel in all the strips on the board.
+         * @type {number}
+         */
+        this.offset = 0;
+
+        /**
+         * Colors of the pixels to be shown.
+         * @type {Array<number>}
+         */
+        this.pixels = new Array(Math.max(1, length)).fill(0);
+
+        /**
+         * Colors of the pixels which were sent to the board, null for the pixels which were not sent.
+         * @type {Array<?number>}
+         */
+        this.sent = new Array(this.pixels.length).fill(null);
+    }
+
+    /**
+     * Number of the pixels.
+     * @type {number}
+     */
+    get length () {
+        return this.pixels.length;
+    }
+
+    /**
+     * Set color of the pixel.
+     * @param {number} index - index of the pixel
+     * @param {number} color - color as 0xRRGGBB
+     * @returns {boolean} true if the pixel is in the strip
+     */
+    setPixel (index, color) {
+        if (index < 0 || index >= this.length) return false;
+        this.pixels[index] = color;
+        return true;
+    }
+
+    /**
+     * Set color of the pixels in the range.
+     * @param {number} start - index of the first pixel
+     * @param {number} end - index of the last pixel
+     * @param {number} color - color as 0xRRGGBB
+     */
+    fill (start, end, color) {
+        const first = Math.max(0, Math.min(start, end));
+        const last = Math.min(this.length - 1, Math.max(start, end));
+        for (let index = first; index <= last; index++) {
+            this.pixels[index] = color;
+        }
+    }
+
+    /**
+     * Move the colors to the end of the strip by the amount, or to the beginning for negative amount.
+     * The pixels which came out of the strip are put back on the other side when it rotates,
+     * otherwise the vacated pixels are turned off.
+     * @param {number} amount - number of the pixels to move
+     * @param {boolean} rotate - true to rotate
+     */
+    shift (amount, rotate) {
+        const length = this.length;
+        const moved = new Array(length).fill(0);
+        this.pixels.forEach((color, index) => {
+            let to = index + amount;
+            if (rotate) {
+                to = ((to % length) + length) % length;
+            } else if (to < 0 || to >= length) {
+                return;
+            }
+            moved[to] = color;
+        });
+        this.pixels = moved;
+    }
+
+    /**
+     * Return indices of the pixels which differ from the colors sent to the board.
+     * @returns {Array<number>} indices of the changed pixels
+     */
+    changedPixels () {
+        return this.pixels.reduce((changed, color, index) => {
+            if (color !== this.sent[index]) changed.push(index);
+            return changed;
+        }, []);
+    }
+
+    /**
+     * Record the pixel was sent to the board.
+     * @param {number} index - index of the pixel
+     */
+    markSent (index) {
+        this.sent[index] = this.pixels[index];
+    }
+
+    /**
+     * Forget the colors which were sent to send all the pixels again.
+     */
+    markUnsent () {
+        this.sent.fill(null);
+    }
+
+    /**
+     * Record all the pixels were turned off on the board.
+     */
+    markOff () {
+        this.pixels.fill(0);
+        this.sent.fill(0);
+    }
+}
+
+/**
+ * Return the sysex message to configure the strips.
+ * Addresses of the pixels continue over the strips in the order.
+ * @param {Array<PixelStrip>} strips - strips on the board
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const pixelConfigMessage = strips => strips.reduce(
+    (message, strip) => message.concat([
+        ((strip.colorOrder << 5) | strip.pin) & 0x7F,
+        strip.length & 0x7F,
+        (strip.length >> 7) & 0x7F
+    ]),
+    [PIXEL_COMMAND, PIXEL_COMMANDS.CONFIG]);
+
+/**
+ * Return the sysex message to set color of the pixel.
+ * @param {number} address - address of the pixel in all the strips
+ * @param {number} color - color as 0xRRGGBB
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const pixelSetMessage = (address, color) => [
+    PIXEL_COMMAND, PIXEL_COMMANDS.SET_PIXEL,
+    address & 0x7F, (address >> 7) & 0x7F,
+    color & 0x7F, (color >> 7) & 0x7F, (color >> 14) & 0x7F, (color >> 21) & 0x7F
+];
+
+/**
+ * Return the sysex message to show the colors on the strips.
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const pixelShowMessage = () => [PIXEL_COMMAND, PIXEL_COMMANDS.SHOW];
+
+/**
+ * Return the sysex message to turn off all the pixels on the strips.
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const pixelOffMessage = () => [PIXEL_COMMAND, PIXEL_COMMANDS.OFF];
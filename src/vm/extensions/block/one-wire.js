@@ -0,0 +1,69 @@
+/**
+ * Utilities for devices on OneWire bus.
+ */
+
+/**
+ * Family code of DS18B20 in the ROM code.
+ * @type {number}
+ */
+export const DS18B20_FAMILY = 0x28;
+
+const DS18B20_CONVERT_T = 0x44;
+const DS18B20_READ_SCRATCHPAD = 0xBE;
+
+/**
+ * Time for DS18B20 to convert temperature in 12-bit resolution in milliseconds.
+ * @type {number}
+ */
+export const DS18B20_CONVERSION_TIME = 750;
+
+/**
+ * Calculate CRC-8 of Maxim/Dallas which is used in the ROM code and the scratchpad.
+ * @param {Array<number>} bytes - bytes to calculate
+ * @returns {number} CRC of the bytes
+ */
+export const crc8 = bytes => bytes.reduce((crc, byte) => {
+    let value = crc ^ byte;
+    for (let bit = 0; bit < 8; bit++) {
+        value = (value & 0x01) ? ((value >> 1) ^ 0x8C) : (value >> 1);
+    }
+    return value;
+}, 0);
+
+/**
+ * Whether the bytes end with the correct CRC of the preceding bytes.
+ * @param {Array<number>} bytes - bytes which end with CRC
+ * @returns {boolean} true if the CRC is correct
+ */
+export const isValidCRC = bytes => (bytes.length > 1) &&
+    (crc8(bytes.slice(0, -1)) === bytes[bytes.length - 1]);
+
+/**
+ * Decode temperature from the scratchpad of DS18B20.
+ * @param {Array<number>} scratchpad - 9 bytes of the scratchpad
+ * @returns {number} temperature in degrees Celsius
+ */
+export const decodeDS18B20Temperature = scratchpad => {
+    let raw = (scratchpad[1] << 8) | scratchpad[0];
+    if (raw & 0x8000) raw -= 0x10000;
+    return raw / 16;
+};
+
+/**
+ * Convert and read temperature of the DS18B20 on the bus.
+ * @param {ArduinoBoard} board - board which the bus is connected
+ * @param {number} pin - pin number of the bus
+ * @param {Array<number>} device - ROM code of the device
+ * @returns {Promise<number>} a Promise which resolves the temperature in degrees Celsius
+ */
+export const readDS18B20Temperature = (board, pin, device) => board.oneWireReset(pin)
+    .then(() => board.oneWireWrite(pin, device, [DS18B20_CONVERT_T]))
+    .then(() => new Promise(resolve => setTimeout(resolve, DS18B20_CONVERSION_TIME)))
+    .then(() => board.oneWireReset(pin))
+    .then(() => board.oneWireWriteAndRead(pin, device, [DS18B20_READ_SCRATCHPAD], 9))
+    .then(scratchpad => {
+        if (!isValidCRC(scratchpad)) {
+            return Promise.reject(new Error(`CRC error in scratchpad of DS18B20 on pin ${pin}`));
+        }
+        return decodeDS18B20Temperature(scratchpad);
+    });
@@ -0,0 +1,123 @@
+/**
+ * Settings of the extension which are saved in the project.
+ *
+ * The runtime saves nothing of the extensions in the project except the blocks,
+ * so the settings are kept as JSON in a field of a block in the stage which is not in any script.
+ * The block is saved with the project, but it is not shown in the workspace
+ * and the scripts can not change it, unlike a variable.
+ * They are kept only in memory while the runtime has no stage.
+ */
+export class ProjectSettings {
+
+    /**
+     * Construct the settings.
+     * @param {Runtime} runtime - Scratch runtime object
+     * @param {string} extensionId - ID of the extension which owns the settings
+     */
+    constructor (runtime, extensionId) {
+        /**
+         * The Scratch 3.0 runtime.
+         * @type {Runtime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * ID of the block which holds the settings.
+         * @type {string}
+         */
+        this.holderId = `${extensionId}.settings`;
+
+        /**
+         * Opcode of the block which holds the settings.
+         * @type {string}
+         */
+        this.holderOpcode = `${extensionId}_settings`;
+
+        /**
+         * Values of the settings keyed by the name.
+         * @type {object<string, *>}
+         */
+        this.values = {};
+    }
+
+    /**
+     * Return the stage of the current project.
+     * @returns {?Target} the stage, or null when the runtime has no stage
+     */
+    getStage () {
+        if (typeof this.runtime.getTargetForStage !== 'function') return null;
+        const stage = this.runtime.getTargetForStage();
+        return stage ? stage : null;
+    }
+
+    /**
+     * Return the block which holds the settings in the stage.
+     * It is not a top-level block, so the workspace does not show it and the runtime never runs it.
+     * @param {Target} stage - the stage
+     * @param {boolean} create - true to create the block when it is not found
+     * @returns {?object} the block, or null when it is not found
+     */
+    findHolder (stage, create) {
+        let holder = stage.blocks.getBlock(this.holderId);
+        if (!holder && create) {
+            stage.blocks.createBlock({
+                id: this.holderId,
+                opcode: this.holderOpcode,
+                inputs: {},
+                fields: {SETTINGS: {name: 'SETTINGS', value: '{}'}},
+                next: null,
+                parent: null,
+                shadow: false,
+                topLevel: false
+            });
+            holder = stage.blocks.getBlock(this.holderId);
+        }
+        return holder ? holder : null;
+    }
+
+    /**
+     * Read the settings from the project.
+     * The values are cleared when the project has no valid settings, and kept when the runtime has no stage.
+     * @returns {object<string, *>} values of the settings
+     */
+    load () {
+        const stage = this.getStage();
+        if (!stage) return this.values;
+        const holder = this.findHolder(stage, false);
+        let saved = null;
+        if (holder) {
+            try {
+                saved = JSON.parse(holder.fields.SETTINGS.value);
+            } catch (error) {
+                console.log(`could not read settings in "${this.holderId}": ${error}`);
+            }
+        }
+        this.values = (saved && typeof saved === 'object' && !Array.isArray(saved)) ? saved : {};
+        return this.values;
+    }
+
+    /**
+     * Return the value of the setting.
+     * @param {string} name - name of the setting
+     * @returns {*} the value, or undefined when it is not set
+     */
+    get (name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change the value of the setting and write the settings to the project.
+     * @param {string} name - name of the setting
+     * @param {*} value - value to be set
+     * @returns {boolean} true if it was written to the project, false if it is kept only in memory
+     */
+    set (name, value) {
+        this.values = Object.assign({}, this.values, {[name]: value});
+        const stage = this.getStage();
+        if (!stage) return false;
+        const holder = this.findHolder(stage, true);
+        holder.fields.SETTINGS = {name: 'SETTINGS', value: JSON.stringify(this.values)};
+        this.runtime.emitProjectChanged();
+        return true;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Driver for Bosch BME280 temperature/humidity/pressure sensor.
+ */
+
+import SensorDriver, {wait} from './sensor-driver';
+import {compensate, parseCalibration} from './decoders';
+
+const REG_CALIB_00 = 0x88;
+const REG_CALIB_26 = 0xE1;
+const REG_CHIP_ID = 0xD0;
+const REG_RESET = 0xE0;
+const REG_CTRL_HUM = 0xF2;
+const REG_CTRL_MEAS = 0xF4;
+const REG_CONFIG = 0xF5;
+const REG_DATA = 0xF7;
+
+const CHIP_ID = 0x60;
+
+/**
+ * Driver for BME280.
+ */
+class BME280 extends SensorDriver {
+
+    static get ID () {
+        return 'BME280';
+    }
+
+    static get DEFAULT_ADDRESS () {
+        return 0x76;
+    }
+
+    static getBlocks (formatMessage) {
+        return [
+            {
+                opcode: 'bme280Temperature',
+                text: formatMessage({
+                    id: 'xcxArduino.bme280Temperature',
+                    default: 'BME280 temperature (°C)',
+                    description: 'temperature measured by BME280'
+                }),
+                reading: 'temperature'
+            },
+            {
+                opcode: 'bme280Humidity',
+                text: formatMessage({
+                    id: 'xcxArduino.bme280Humidity',
+                    default: 'BME280 humidity (%)',
+                    description: 'relative humidity measured by BME280'
+                }),
+                reading: 'humidity'
+            },
+            {
+                opcode: 'bme280Pressure',
+                text: formatMessage({
+                    id: 'xcxArduino.bme280Pressure',
+                    default: 'BME280 pressure (hPa)',
+                    description: 'air pressure measured by BME280'
+                }),
+                reading: 'pressure'
+            }
+        ];
+    }
+
+    constructor (board, address) {
+        super(board, address);
+
+        /**
+         * Calibration parameters read from the sensor.
+         * @type {object<string, number>}
+         */
+        this.calibration = null;
+    }
+
+    init () {
+        return this.readRegister(REG_CHIP_ID, 1)
+            .then(([chipId]) => {
+                if (chipId !== CHIP_ID) {
+                    return Promise.reject(new Error(`BME280 is not found at 0x${this.address.toString(16)}`));
+                }
+                return this.writeRegister(REG_RESET, 0xB6);
+            })
+            .then(() => wait(10))
+            .then(() => this.readRegister(REG_CALIB_00, 26))
+            .then(calib00 => this.readRegister(REG_CALIB_26, 7)
+                .then(calib26 => {
+                    this.calibration = parseCalibration(calib00, calib26);
+                }))
+            .then(() => this.writeSequence([
+                [REG_CTRL_HUM, 0x01], // humidity oversampling x1, must be set before ctrl_meas
+                [REG_CONFIG, 0xA0], // standby 1000ms
+                [REG_CTRL_MEAS, 0x27] // temperature/pressure oversampling x1, normal mode
+            ]));
+    }
+
+    update () {
+        return this.readRegister(REG_DATA, 8)
+            .then(data => compensate(data, this.calibration));
+    }
+}
+
+export default BME280;
@@ -0,0 +1,174 @@
+/**
+ * Decoders of the registers of the I2C sensors.
+ * They are kept apart from the drivers to be used without the Scratch runtime.
+ */
+
+import {toSigned} from './sensor-driver';
+
+/*
+ * BME280
+ */
+
+/**
+ * Decode calibration parameters of the sensor.
+ * @param {Array<number>} calib00 - 26 bytes from 0x88
+ * @param {Array<number>} calib26 - 7 bytes from 0xE1
+ * @returns {object<string, number>} calibration parameters
+ */
+export const parseCalibration = (calib00, calib26) => {
+    const u16 = (bytes, i) => bytes[i] | (bytes[i + 1] << 8);
+    const s16 = (bytes, i) => toSigned(u16(bytes, i), 16);
+    return {
+        T1: u16(calib00, 0),
+        T2: s16(calib00, 2),
+        T3: s16(calib00, 4),
+        P1: u16(calib00, 6),
+        P2: s16(calib00, 8),
+        P3: s16(calib00, 10),
+        P4: s16(calib00, 12),
+        P5: s16(calib00, 14),
+        P6: s16(calib00, 16),
+        P7: s16(calib00, 18),
+        P8: s16(calib00, 20),
+        P9: s16(calib00, 22),
+        H1: calib00[25],
+        H2: s16(calib26, 0),
+        H3: calib26[2],
+        H4: toSigned((calib26[3] << 4) | (calib26[4] & 0x0F), 12),
+        H5: toSigned((calib26[5] << 4) | (calib26[4] >> 4), 12),
+        H6: toSigned(calib26[6], 8)
+    };
+};
+
+/**
+ * Compensate raw data with the calibration parameters.
+ * This is the floating point version in the datasheet.
+ * @param {Array<number>} data - 8 bytes from 0xF7
+ * @param {object<string, number>} calib - calibration parameters
+ * @returns {{temperature: number, pressure: number, humidity: number}} temperature [degC],
+ *  pressure [hPa] and humidity [%RH]
+ */
+export const compensate = (data, calib) => {
+    const adcP = (data[0] << 12) | (data[1] << 4) | (data[2] >> 4);
+    const adcT = (data[3] << 12) | (data[4] << 4) | (data[5] >> 4);
+    const adcH = (data[6] << 8) | data[7];
+
+    let var1 = ((adcT / 16384.0) - (calib.T1 / 1024.0)) * calib.T2;
+    let var2 = ((adcT / 131072.0) - (calib.T1 / 8192.0));
+    var2 = var2 * var2 * calib.T3;
+    const tFine = var1 + var2;
+    const temperature = tFine / 5120.0;
+
+    let pressure = 0;
+    var1 = (tFine / 2.0) - 64000.0;
+    var2 = var1 * var1 * calib.P6 / 32768.0;
+    var2 = var2 + (var1 * calib.P5 * 2.0);
+    var2 = (var2 / 4.0) + (calib.P4 * 65536.0);
+    var1 = ((calib.P3 * var1 * var1 / 524288.0) + (calib.P2 * var1)) / 524288.0;
+    var1 = (1.0 + (var1 / 32768.0)) * calib.P1;
+    if (var1 !== 0) {
+        pressure = 1048576.0 - adcP;
+        pressure = (pressure - (var2 / 4096.0)) * 6250.0 / var1;
+        var1 = calib.P9 * pressure * pressure / 2147483648.0;
+        var2 = pressure * calib.P8 / 32768.0;
+        pressure = pressure + ((var1 + var2 + calib.P7) / 16.0);
+    }
+
+    let humidity = tFine - 76800.0;
+    humidity = (adcH - ((calib.H4 * 64.0) + (calib.H5 / 16384.0 * humidity))) *
+        (calib.H2 / 65536.0 * (1.0 + (calib.H6 / 67108864.0 * humidity *
+            (1.0 + (calib.H3 / 67108864.0 * humidity)))));
+    humidity = humidity * (1.0 - (calib.H1 * humidity / 524288.0));
+    humidity = Math.min(Math.max(humidity, 0), 100);
+
+    return {
+        temperature: temperature,
+        pressure: pressure / 100,
+        humidity: humidity
+    };
+};
+
+/*
+ * MPU-6050
+ */
+
+/**
+ * LSB per g in the full scale range of ±2g.
+ * @type {number}
+ */
+const ACCEL_SENSITIVITY = 16384;
+
+/**
+ * LSB per degrees/s in the full scale range of ±250 degrees/s.
+ * @type {number}
+ */
+const GYRO_SENSITIVITY = 131;
+
+/**
+ * Decode measurement registers.
+ * @param {Array<number>} data - 14 bytes from 0x3B
+ * @returns {object<string, number>} acceleration [g], angular velocity [degrees/s] and temperature [degC]
+ */
+export const decodeMeasurement = data => {
+    const s16 = i => toSigned((data[i] << 8) | data[i + 1], 16);
+    return {
+        accelerationX: s16(0) / ACCEL_SENSITIVITY,
+        accelerationY: s16(2) / ACCEL_SENSITIVITY,
+        accelerationZ: s16(4) / ACCEL_SENSITIVITY,
+        temperature: (s16(6) / 340) + 36.53,
+        gyroX: s16(8) / GYRO_SENSITIVITY,
+        gyroY: s16(10) / GYRO_SENSITIVITY,
+        gyroZ: s16(12) / GYRO_SENSITIVITY
+    };
+};
+
+/*
+ * VL53L0X
+ */
+
+/**
+ * Value of the range which means out of range.
+ * @type {number}
+ */
+const OUT_OF_RANGE = 8190;
+
+/**
+ * Decode the range result registers.
+ * @param {Array<number>} data - 2 bytes from the range result
+ * @returns {number} distance in mm, or Infinity when it's out of range
+ */
+export const decodeRange = data => {
+    const range = (data[0] << 8) | data[1];
+    return (range >= OUT_OF_RANGE) ? Infinity : range;
+};
+
+/**
+ * Number of the reference SPADs in the map of VL53L0X.
+ * @type {number}
+ */
+const REFERENCE_SPADS = 48;
+
+/**
+ * Select the reference SPADs to be enabled from the map which was read from the sensor.
+ * The first SPADs which are enabled in the map are kept up to the count from the NVM,
+ * starting at the 12th for the aperture type and at the first for the others.
+ * @param {Array<number>} spadMap - 6 bytes of GLOBAL_CONFIG_SPAD_ENABLES_REF
+ * @param {number} count - number of the SPADs to be enabled
+ * @param {boolean} isAperture - true if the SPADs are the aperture type
+ * @returns {Array<number>} 6 bytes of the map to be written
+ */
+export const selectReferenceSpads = (spadMap, count, isAperture) => {
+    const selected = spadMap.slice();
+    const firstSpad = isAperture ? 12 : 0;
+    let enabled = 0;
+    for (let i = 0; i < REFERENCE_SPADS; i++) {
+        const byte = i >> 3;
+        const bit = 1 << (i % 8);
+        if (i < firstSpad || enabled === count) {
+            selected[byte] &= ~bit;
+        } else if (selected[byte] & bit) {
+            enabled++;
+        }
+    }
+    return selected;
+};
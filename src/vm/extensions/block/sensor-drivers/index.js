@@ -0,0 +1,25 @@
+/**
+ * Registry of the drivers for I2C sensors.
+ */
+
+import BME280 from './bme280';
+import MPU6050 from './mpu6050';
+import VL53L0X from './vl53l0x';
+
+/**
+ * Available sensor driver classes.
+ * Add a class which extends SensorDriver to support a new sensor.
+ * @type {Array<function>}
+ */
+export const SENSOR_DRIVERS = [
+    BME280,
+    MPU6050,
+    VL53L0X
+];
+
+/**
+ * Return the driver class of the ID.
+ * @param {string} id - ID of the driver
+ * @returns {?function} the driver class or undefined if it was not found
+ */
+export const findSensorDriver = id => SENSOR_DRIVERS.find(driver => driver.ID === id);
@@ -0,0 +1,94 @@
+/**
+ * Driver for InvenSense MPU-6050 accelerometer and gyroscope.
+ */
+
+import ArgumentType from '../../../extension-support/argument-type';
+import SensorDriver from './sensor-driver';
+import {decodeMeasurement} from './decoders';
+
+const REG_GYRO_CONFIG = 0x1B;
+const REG_ACCEL_CONFIG = 0x1C;
+const REG_ACCEL_XOUT_H = 0x3B;
+const REG_PWR_MGMT_1 = 0x6B;
+const REG_WHO_AM_I = 0x75;
+
+/**
+ * Driver for MPU-6050.
+ */
+class MPU6050 extends SensorDriver {
+
+    static get ID () {
+        return 'MPU6050';
+    }
+
+    static get DEFAULT_ADDRESS () {
+        return 0x68;
+    }
+
+    static getBlocks (formatMessage) {
+        return [
+            {
+                opcode: 'mpu6050Acceleration',
+                text: formatMessage({
+                    id: 'xcxArduino.mpu6050Acceleration',
+                    default: 'MPU6050 acceleration [AXIS] (g)',
+                    description: 'acceleration measured by MPU6050'
+                }),
+                arguments: {
+                    AXIS: {
+                        type: ArgumentType.STRING,
+                        menu: 'mpu6050AxisMenu',
+                        defaultValue: 'X'
+                    }
+                },
+                reading: args => `acceleration${args.AXIS}`
+            },
+            {
+                opcode: 'mpu6050Gyro',
+                text: formatMessage({
+                    id: 'xcxArduino.mpu6050Gyro',
+                    default: 'MPU6050 angular velocity [AXIS] (°/s)',
+                    description: 'angular velocity measured by MPU6050'
+                }),
+                arguments: {
+                    AXIS: {
+                        type: ArgumentType.STRING,
+                        menu: 'mpu6050AxisMenu',
+                        defaultValue: 'X'
+                    }
+                },
+                reading: args => `gyro${args.AXIS}`
+            }
+        ];
+    }
+
+    static getMenus () {
+        return {
+            mpu6050AxisMenu: {
+                acceptReporters: false,
+                items: ['X', 'Y', 'Z']
+            }
+        };
+    }
+
+    init () {
+        return this.readRegister(REG_WHO_AM_I, 1)
+            .then(([whoAmI]) => {
+                if ((whoAmI & 0x7E) !== 0x68) {
+                    return Promise.reject(new Error(`MPU6050 is not found at 0x${this.address.toString(16)}`));
+                }
+                return this.writeSequence([
+                    [REG_PWR_MGMT_1, 0x00], // wake up
+                    [REG_ACCEL_CONFIG, 0x00], // ±2g
+                    [REG_GYRO_CONFIG, 0x00] // ±250 degrees/s
+                ]);
+            });
+    }
+
+    update () {
+        return this.readRegister(REG_ACCEL_XOUT_H, 14)
+            .then(data => decodeMeasurement(data));
+    }
+}
+
+export default MPU6050;
@@ -0,0 +1,191 @@
+/**
+ * Base of drivers for I2C sensors.
+ */
+
+/**
+ * Convert an unsigned value to signed one.
+ * @param {number} value - unsigned value
+ * @param {number} bits - bit length of the value
+ * @returns {number} signed value
+ */
+export const toSigned = (value, bits) => {
+    const max = 1 << (bits - 1);
+    return (value >= max) ? (value - (max * 2)) : value;
+};
+
+/**
+ * Returns a Promise which will resolve after the delay time passed.
+ * @param {number} delay - waiting time in milliseconds
+ * @returns {Promise} Promise which will resolve after the delay.
+ */
+export const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+/**
+ * This represents a sensor which is connected to the board with I2C.
+ *
+ * A driver class declares its ID, name, default address and the reporter blocks it adds.
+ * An instance sends the initializing sequence in init() and decodes raw registers in update().
+ */
+class SensorDriver {
+
+    /**
+     * ID of the driver which is used in menus.
+     * @type {string}
+     */
+    static get ID () {
+        throw new Error('ID is not defined');
+    }
+
+    /**
+     * Name of the sensor to be shown.
+     * @type {string}
+     */
+    static get NAME () {
+        return this.ID;
+    }
+
+    /**
+     * Default I2C address of the sensor.
+     * @type {number}
+     */
+    static get DEFAULT_ADDRESS () {
+        throw new Error('DEFAULT_ADDRESS is not defined');
+    }
+
+    /**
+     * Reporter blocks which this driver adds.
+     * Each item has 'opcode', 'text', optional 'arguments' and 'reading'.
+     * The 'reading' is a key of the values which is returned by update(),
+     * or a function which returns the key for the arguments of the block.
+     * @param {function} formatMessage - formatter for translation
+     * @returns {Array<object>} descriptors of the blocks
+     */
+    // eslint-disable-next-line no-unused-vars
+    static getBlocks (formatMessage) {
+        return [];
+    }
+
+    /**
+     * Menus which are used in the blocks of this driver.
+     * @param {function} formatMessage - formatter for translation
+     * @returns {object<string, object>} menus of the blocks
+     */
+    // eslint-disable-next-line no-unused-vars
+    static getMenus (formatMessage) {
+        return {};
+    }
+
+    /**
+     * Construct a driver for the sensor.
+     * @param {ArduinoBoard} board - board which the sensor is connected to
+     * @param {?number} address - I2C address of the sensor, or null to use the default
+     */
+    constructor (board, address) {
+        /**
+         * Board which the sensor is connected to.
+         * @type {ArduinoBoard}
+         */
+        this.board = board;
+
+        /**
+         * I2C address of the sensor.
+         * @type {number}
+         */
+        this.address = (typeof address === 'number') ? address : this.constructor.DEFAULT_ADDRESS;
+
+        /**
+         * Last decoded values.
+         * @type {object<string, number>}
+         */
+        this.values = {};
+
+        /**
+         * Time when the values were updated.
+         * @type {number}
+         */
+        this.updateTime = 0;
+
+        /**
+         * Shortest interval time between readings in milliseconds.
+         * @type {number}
+         */
+        this.updateInterval = 20;
+
+        /**
+         * Promise of the running update.
+         * @type {?Promise}
+         */
+        this.updating = null;
+    }
+
+    /**
+     * Send initializing sequence to the sensor.
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    init () {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read raw registers and decode them.
+     * @returns {Promise<object<string, number>>} a Promise which resolves decoded values
+     */
+    update () {
+        return Promise.resolve({});
+    }
+
+    /**
+     * Return the value of the reading. The registers are read again when the last update was too old.
+     * @param {string} reading - key of the value
+     * @returns {Promise<number>} a Promise which resolves the value
+     */
+    read (reading) {
+        if (this.updateTime && ((Date.now() - this.updateTime) < this.updateInterval)) {
+            return Promise.resolve(this.values[reading]);
+        }
+        if (!this.updating) {
+            this.updating = this.update()
+                .then(values => {
+                    this.values = Object.assign(this.values, values);
+                    this.updateTime = Date.now();
+                })
+                .finally(() => {
+                    this.updating = null;
+                });
+        }
+        return this.updating.then(() => this.values[reading]);
+    }
+
+    /**
+     * Read bytes from the register of the sensor.
+     * @param {number} register - register to read from
+     * @param {number} length - number of bytes to read
+     * @returns {Promise<Array<number>>} a Promise which resolves read bytes
+     */
+    readRegister (register, length) {
+        return this.board.i2cReadOnce(this.address, register, length);
+    }
+
+    /**
+     * Write a byte to the register of the sensor.
+     * @param {number} register - register to write
+     * @param {number} value - byte to write
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    writeRegister (register, value) {
+        return this.board.i2cWrite(this.address, register, [value]);
+    }
+
+    /**
+     * Write bytes to the registers in order.
+     * @param {Array<Array<number>>} sequence - pairs of register and byte
+     * @returns {Promise} a Promise which resolves when all the messages were sent
+     */
+    writeSequence (sequence) {
+        return sequence.reduce(
+            (prev, [register, value]) => prev.then(() => this.writeRegister(register, value)),
+            Promise.resolve());
+    }
+}
+
+export default SensorDriver;
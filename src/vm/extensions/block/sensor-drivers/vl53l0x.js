@@ -0,0 +1,269 @@
+/**
+ * Driver for ST VL53L0X time-of-flight distance sensor.
+ */
+
+import SensorDriver, {wait} from './sensor-driver';
+import {decodeRange, selectReferenceSpads} from './decoders';
+
+const REG_SYSRANGE_START = 0x00;
+const REG_SYSTEM_SEQUENCE_CONFIG = 0x01;
+const REG_SYSTEM_INTERRUPT_CONFIG_GPIO = 0x0A;
+const REG_SYSTEM_INTERRUPT_CLEAR = 0x0B;
+const REG_RESULT_INTERRUPT_STATUS = 0x13;
+const REG_RESULT_RANGE_MM = 0x1E;
+const REG_FINAL_RANGE_CONFIG_MIN_COUNT_RATE_RTN_LIMIT = 0x44;
+const REG_DYNAMIC_SPAD_NUM_REQUESTED_REF_SPAD = 0x4E;
+const REG_DYNAMIC_SPAD_REF_EN_START_OFFSET = 0x4F;
+const REG_MSRC_CONFIG_CONTROL = 0x60;
+const REG_GPIO_HV_MUX_ACTIVE_HIGH = 0x84;
+const REG_VHV_CONFIG_PAD_SCL_SDA_EXTSUP_HV = 0x89;
+const REG_GLOBAL_CONFIG_SPAD_ENABLES_REF_0 = 0xB0;
+const REG_GLOBAL_CONFIG_REF_EN_START_SELECT = 0xB6;
+const REG_IDENTIFICATION_MODEL_ID = 0xC0;
+
+const MODEL_ID = 0xEE;
+
+/**
+ * Waiting time for the sensor to finish the steps of the initialization in milliseconds.
+ * @type {number}
+ */
+const STEP_TIMEOUT = 500;
+
+/**
+ * Default tuning settings of ST VL53L0X API (DefaultTuningSettings in vl53l0x_tuning.h).
+ * @type {Array<Array<number>>}
+ */
+const DEFAULT_TUNING = [
+    [0xFF, 0x01], [0x00, 0x00],
+    [0xFF, 0x00], [0x09, 0x00], [0x10, 0x00], [0x11, 0x00],
+    [0x24, 0x01], [0x25, 0xFF], [0x75, 0x00],
+    [0xFF, 0x01], [0x4E, 0x2C], [0x48, 0x00], [0x30, 0x20],
+    [0xFF, 0x00], [0x30, 0x09], [0x54, 0x00], [0x31, 0x04], [0x32, 0x03], [0x40, 0x83],
+    [0x46, 0x25], [0x60, 0x00], [0x27, 0x00], [0x50, 0x06], [0x51, 0x00], [0x52, 0x96],
+    [0x56, 0x08], [0x57, 0x30], [0x61, 0x00], [0x62, 0x00], [0x64, 0x00], [0x65, 0x00],
+    [0x66, 0xA0],
+    [0xFF, 0x01], [0x22, 0x32], [0x47, 0x14], [0x49, 0xFF], [0x4A, 0x00],
+    [0xFF, 0x00], [0x7A, 0x0A], [0x7B, 0x00], [0x78, 0x21],
+    [0xFF, 0x01], [0x23, 0x34], [0x42, 0x00], [0x44, 0xFF], [0x45, 0x26], [0x46, 0x05],
+    [0x40, 0x40], [0x0E, 0x06], [0x20, 0x1A], [0x43, 0x40],
+    [0xFF, 0x00], [0x34, 0x03], [0x35, 0x44],
+    [0xFF, 0x01], [0x31, 0x04], [0x4B, 0x09], [0x4C, 0x05], [0x4D, 0x04],
+    [0xFF, 0x00], [0x44, 0x00], [0x45, 0x20], [0x47, 0x08], [0x48, 0x28], [0x67, 0x00],
+    [0x70, 0x04], [0x71, 0x01], [0x72, 0xFE], [0x76, 0x00], [0x77, 0x00],
+    [0xFF, 0x01], [0x0D, 0x01],
+    [0xFF, 0x00], [0x80, 0x01], [0x01, 0xF8],
+    [0xFF, 0x01], [0x8E, 0x01], [0x00, 0x01], [0xFF, 0x00], [0x80, 0x00]
+];
+
+/**
+ * Driver for VL53L0X.
+ * init() runs the data and static initialization of ST VL53L0X API as Pololu's library does:
+ * the default tuning settings, the reference SPAD management and the VHV and phase calibrations.
+ * Then the sensor ranges back-to-back continuously.
+ * Unlike Pololu's library, the timing budget (about 33 ms) is not recalculated after the MSRC and TCC steps
+ * were disabled, so the final range step keeps its default timeout and a range takes a bit less than the budget.
+ */
+class VL53L0X extends SensorDriver {
+
+    static get ID () {
+        return 'VL53L0X';
+    }
+
+    static get DEFAULT_ADDRESS () {
+        return 0x29;
+    }
+
+    static getBlocks (formatMessage) {
+        return [
+            {
+                opcode: 'vl53l0xDistance',
+                text: formatMessage({
+                    id: 'xcxArduino.vl53l0xDistance',
+                    default: 'VL53L0X distance (mm)',
+                    description: 'distance measured by VL53L0X'
+                }),
+                reading: 'distance'
+            }
+        ];
+    }
+
+    constructor (board, address) {
+        super(board, address);
+
+        /**
+         * Stop variable which is read from the sensor in init().
+         * @type {number}
+         */
+        this.stopVariable = 0;
+    }
+
+    init () {
+        return this.readRegister(REG_IDENTIFICATION_MODEL_ID, 1)
+            .then(([modelId]) => {
+                if (modelId !== MODEL_ID) {
+                    return Promise.reject(new Error(`VL53L0X is not found at 0x${this.address.toString(16)}`));
+                }
+                return this.readRegister(REG_VHV_CONFIG_PAD_SCL_SDA_EXTSUP_HV, 1);
+            })
+            .then(([padConfig]) => this.writeSequence([
+                [REG_VHV_CONFIG_PAD_SCL_SDA_EXTSUP_HV, padConfig | 0x01], // 2.8V I/O
+                [0x88, 0x00], // I2C standard mode
+                [0x80, 0x01],
+                [0xFF, 0x01],
+                [0x00, 0x00]
+            ]))
+            .then(() => this.readRegister(0x91, 1))
+            .then(([stopVariable]) => {
+                this.stopVariable = stopVariable;
+                return this.writeSequence([
+                    [0x00, 0x01],
+                    [0xFF, 0x00],
+                    [0x80, 0x00]
+                ]);
+            })
+            .then(() => this.readRegister(REG_MSRC_CONFIG_CONTROL, 1))
+            .then(([msrcConfig]) => this.writeSequence([
+                // Disable the limit checks of SIGNAL_RATE_MSRC and SIGNAL_RATE_PRE_RANGE.
+                [REG_MSRC_CONFIG_CONTROL, msrcConfig | 0x12]
+            ]))
+            // Signal rate limit of 0.25 MCPS in fixed point 9.7.
+            .then(() => this.writeRegisters(REG_FINAL_RANGE_CONFIG_MIN_COUNT_RATE_RTN_LIMIT, [0x00, 0x20]))
+            .then(() => this.writeRegister(REG_SYSTEM_SEQUENCE_CONFIG, 0xFF))
+            .then(() => this.initReferenceSpads())
+            .then(() => this.writeSequence(DEFAULT_TUNING))
+            .then(() => this.readRegister(REG_GPIO_HV_MUX_ACTIVE_HIGH, 1))
+            .then(([gpioHvMux]) => this.writeSequence([
+                [REG_SYSTEM_INTERRUPT_CONFIG_GPIO, 0x04], // interrupt on new sample ready
+                [REG_GPIO_HV_MUX_ACTIVE_HIGH, gpioHvMux & ~0x10], // active low
+                [REG_SYSTEM_INTERRUPT_CLEAR, 0x01],
+                [REG_SYSTEM_SEQUENCE_CONFIG, 0xE8], // without MSRC and TCC
+                [REG_SYSTEM_SEQUENCE_CONFIG, 0x01]
+            ]))
+            .then(() => this.calibrate(0x40)) // VHV calibration
+            .then(() => this.writeRegister(REG_SYSTEM_SEQUENCE_CONFIG, 0x02))
+            .then(() => this.calibrate(0x00)) // phase calibration
+            .then(() => this.writeSequence([
+                [REG_SYSTEM_SEQUENCE_CONFIG, 0xE8],
+                [0x80, 0x01],
+                [0xFF, 0x01],
+                [0x00, 0x00],
+                [0x91, this.stopVariable],
+                [0x00, 0x01],
+                [0xFF, 0x00],
+                [0x80, 0x00],
+                [REG_SYSRANGE_START, 0x02] // back-to-back continuous ranging
+            ]));
+    }
+
+    /**
+     * Write bytes to the registers from the register.
+     * @param {number} register - first register to write
+     * @param {Array<number>} data - bytes to write
+     * @returns {Promise} a Promise which resolves when the message was sent
+     */
+    writeRegisters (register, data) {
+        return this.board.i2cWrite(this.address, register, data);
+    }
+
+    /**
+     * Read the register until the value satisfies the condition.
+     * @param {number} register - register to read
+     * @param {function(number): boolean} isDone - function which returns true for the value to wait for
+     * @returns {Promise<number>} a Promise which resolves the value, or rejects when it timed out
+     */
+    waitRegister (register, isDone) {
+        const startTime = Date.now();
+        const poll = () => this.readRegister(register, 1)
+            .then(([value]) => {
+                if (isDone(value)) return value;
+                if ((Date.now() - startTime) > STEP_TIMEOUT) {
+                    return Promise.reject(new Error(`VL53L0X timed out waiting for register 0x${
+                        register.toString(16)}`));
+                }
+                return wait(this.board.sendingInterval).then(poll);
+            });
+        return poll();
+    }
+
+    /**
+     * Enable the reference SPADs by the count and the type which are stored in the NVM of the sensor.
+     * @returns {Promise} a Promise which resolves when the SPADs were set
+     */
+    initReferenceSpads () {
+        let count = 0;
+        let isAperture = false;
+        return this.writeSequence([
+            [0x80, 0x01],
+            [0xFF, 0x01],
+            [0x00, 0x00],
+            [0xFF, 0x06]
+        ])
+            .then(() => this.readRegister(0x83, 1))
+            .then(([value]) => this.writeSequence([
+                [0x83, value | 0x04],
+                [0xFF, 0x07],
+                [0x81, 0x01],
+                [0x80, 0x01],
+                [0x94, 0x6B],
+                [0x83, 0x00]
+            ]))
+            .then(() => this.waitRegister(0x83, value => value !== 0x00))
+            .then(() => this.writeRegister(0x83, 0x01))
+            .then(() => this.readRegister(0x92, 1))
+            .then(([spadInfo]) => {
+                count = spadInfo & 0x7F;
+                isAperture = ((spadInfo >> 7) & 0x01) === 1;
+                return this.writeSequence([
+                    [0x81, 0x00],
+                    [0xFF, 0x06]
+                ]);
+            })
+            .then(() => this.readRegister(0x83, 1))
+            .then(([value]) => this.writeSequence([
+                [0x83, value & ~0x04],
+                [0xFF, 0x01],
+                [0x00, 0x01],
+                [0xFF, 0x00],
+                [0x80, 0x00]
+            ]))
+            .then(() => this.readRegister(REG_GLOBAL_CONFIG_SPAD_ENABLES_REF_0, 6))
+            .then(spadMap => this.writeSequence([
+                [0xFF, 0x01],
+                [REG_DYNAMIC_SPAD_REF_EN_START_OFFSET, 0x00],
+                [REG_DYNAMIC_SPAD_NUM_REQUESTED_REF_SPAD, 0x2C],
+                [0xFF, 0x00],
+                [REG_GLOBAL_CONFIG_REF_EN_START_SELECT, 0xB4]
+            ])
+                .then(() => this.writeRegisters(REG_GLOBAL_CONFIG_SPAD_ENABLES_REF_0,
+                    selectReferenceSpads(spadMap, count, isAperture))));
+    }
+
+    /**
+     * Run a single reference calibration.
+     * @param {number} vhvInitByte - 0x40 for the VHV calibration or 0x00 for the phase calibration
+     * @returns {Promise} a Promise which resolves when the calibration was finished
+     */
+    calibrate (vhvInitByte) {
+        return this.writeRegister(REG_SYSRANGE_START, 0x01 | vhvInitByte)
+            .then(() => this.waitRegister(REG_RESULT_INTERRUPT_STATUS, status => (status & 0x07) !== 0))
+            .then(() => this.writeSequence([
+                [REG_SYSTEM_INTERRUPT_CLEAR, 0x01],
+                [REG_SYSRANGE_START, 0x00]
+            ]));
+    }
+
+    update () {
+        return this.readRegister(REG_RESULT_INTERRUPT_STATUS, 1)
+            .then(([status]) => {
+                if ((status & 0x07) === 0) {
+                    // No new sample yet.
+                    return {};
+                }
+                return this.readRegister(REG_RESULT_RANGE_MM, 2)
+                    .then(data => this.writeRegister(REG_SYSTEM_INTERRUPT_CLEAR, 0x01)
+                        .then(() => ({distance: decodeRange(data)})));
+            });
+    }
+}
+
+export default VL53L0X;
@@ -0,0 +1,53 @@
+/**
+ * Calibration of servo motors.
+ */
+
+/**
+ * Calibration which is used for the servos which were not configured.
+ * The pulse widths are the defaults of the Arduino Servo library.
+ * @type {{minPulse: number, maxPulse: number, range: number, reversed: boolean}}
+ */
+export const DEFAULT_SERVO_CALIBRATION = {
+    minPulse: 544,
+    maxPulse: 2400,
+    range: 180,
+    reversed: false
+};
+
+/**
+ * Make a calibration of a servo from the pulse widths and the range of the angle.
+ * The direction is reversed when the min pulse is greater than the max pulse.
+ * @param {number} minPulse - pulse width in microseconds for one end
+ * @param {number} maxPulse - pulse width in microseconds for the other end
+ * @param {number} range - degrees which the servo turns between the ends
+ * @returns {{minPulse: number, maxPulse: number, range: number, reversed: boolean}} the calibration
+ */
+export const makeServoCalibration = (minPulse, maxPulse, range) => ({
+    minPulse: Math.round(Math.min(minPulse, maxPulse)),
+    maxPulse: Math.round(Math.max(minPulse, maxPulse)),
+    range: (range > 0) ? range : DEFAULT_SERVO_CALIBRATION.range,
+    reversed: minPulse > maxPulse
+});
+
+/**
+ * Limit the angle in the range of the servo.
+ * The center of the range is 0 degrees.
+ * @param {number} angle - angle in degrees
+ * @param {object} calibration - calibration of the servo
+ * @returns {number} the angle in -range/2...range/2
+ */
+export const clampServoAngle = (angle, calibration) =>
+    Math.min(calibration.range / 2, Math.max(-calibration.range / 2, angle));
+
+/**
+ * Convert an angle to the value of Firmata servo write which is 0...180 between the min and max pulse.
+ * The positive angle goes to the min pulse side unless the calibration is reversed.
+ * @param {number} angle - angle in degrees, 0 is the center of the range
+ * @param {object} calibration - calibration of the servo
+ * @returns {number} value to write
+ */
+export const servoValueOf = (angle, calibration) => {
+    const ratio = clampServoAngle(angle, calibration) / calibration.range;
+    const value = calibration.reversed ? (90 + (ratio * 180)) : (90 - (ratio * 180));
+    return Math.round(Math.min(180, Math.max(0, value)));
+};
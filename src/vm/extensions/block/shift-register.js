@@ -0,0 +1,105 @@
+/**
+ * Utilities for shift registers like 74HC595.
+ */
+
+/**
+ * Orders of the bits to shift out.
+ * @type {object<string, string>}
+ */
+export const BIT_ORDERS = {
+    MSB_FIRST: 'msb',
+    LSB_FIRST: 'lsb'
+};
+
+/**
+ * Convert a byte to the levels of bits in the order to shift out.
+ * @param {number} byte - byte to convert
+ * @param {string} bitOrder - order of the bits in BIT_ORDERS
+ * @returns {Array<number>} levels of 8 bits
+ */
+export const byteToBits = (byte, bitOrder) => {
+    const bits = [];
+    for (let i = 0; i < 8; i++) {
+        const shift = (bitOrder === BIT_ORDERS.LSB_FIRST) ? i : (7 - i);
+        bits.push((byte >> shift) & 0x01);
+    }
+    return bits;
+};
+
+/**
+ * Outputs of shift registers which are chained as extra digital outputs.
+ * Output 0 is Q0 of the register next to the board, and output 8 is Q0 of the next register.
+ */
+export class ShiftRegisterChain {
+
+    /**
+     * Construct a chain of shift registers.
+     * @param {number} dataPin - pin number of the serial data
+     * @param {number} clockPin - pin number of the shift clock
+     * @param {?number} latchPin - pin number of the storage clock, or null if it's not connected
+     * @param {number} length - number of the registers in the chain
+     */
+    constructor (dataPin, clockPin, latchPin, length) {
+        this.dataPin = dataPin;
+        this.clockPin = clockPin;
+        this.latchPin = latchPin;
+
+        /**
+         * Levels of the outputs as a byte for each register.
+         * @type {Array<number>}
+         */
+        this.registers = new Array(Math.max(1, length)).fill(0);
+    }
+
+    /**
+     * Number of the outputs in the chain.
+     * @type {number}
+     */
+    get outputCount () {
+        return this.registers.length * 8;
+    }
+
+    /**
+     * Set level of the output.
+     * @param {number} output - index of the output
+     * @param {number} level - 0 for LOW, otherwise HIGH
+     * @returns {boolean} true if the output is in the chain
+     */
+    setOutput (output, level) {
+        if (output < 0 || output >= this.outputCount) return false;
+        const bit = 1 << (output % 8);
+        const index = Math.floor(output / 8);
+        if (level) {
+            this.registers[index] |= bit;
+        } else {
+            this.registers[index] &= ~bit;
+        }
+        return true;
+    }
+
+    /**
+     * Return level of the output.
+     * @param {number} output - index of the output
+     * @returns {number} level of the output, 0 for outputs which are not in the chain
+     */
+    getOutput (output) {
+        if (output < 0 || output >= this.outputCount) return 0;
+        return (this.registers[Math.floor(output / 8)] >> (output % 8)) & 0x01;
+    }
+
+    /**
+     * Set all the outputs to LOW.
+     */
+    clear () {
+        this.registers.fill(0);
+    }
+
+    /**
+     * Return bytes to shift out in MSB first to update all the outputs.
+     * The byte for the farthest register goes first.
+     * @returns {Array<number>} bytes to shift out
+     */
+    bytesToShift () {
+        return this.registers.slice().reverse();
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Utilities for HC-SR04 ultrasonic sensors on the sonar sysex of FirmataExpress.
+ * The firmware keeps pinging the configured sensors and reports the distances.
+ */
+
+/**
+ * Sysex command to configure a sensor with the trigger and the echo pins.
+ * @type {number}
+ */
+export const SONAR_CONFIG = 0x62;
+
+/**
+ * Sysex response which reports the distance of a sensor.
+ * @type {number}
+ */
+export const SONAR_DATA = 0x63;
+
+/**
+ * Pattern of the firmware names which support SONAR_CONFIG.
+ * @type {RegExp}
+ */
+export const SONAR_FIRMWARE = /FirmataExpress/i;
+
+/**
+ * Max distance which the firmware measures in cm. It reports 0 for the echoes beyond this.
+ * @type {number}
+ */
+export const SONAR_MAX_DISTANCE = 400;
+
+/**
+ * Return the sysex message to configure a sensor.
+ * @param {number} triggerPin - pin number of the trigger
+ * @param {number} echoPin - pin number of the echo
+ * @param {number} maxDistance - max distance to measure in cm
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const sonarConfigMessage = (triggerPin, echoPin, maxDistance) => [
+    SONAR_CONFIG, triggerPin, echoPin,
+    maxDistance & 0x7F, (maxDistance >> 7) & 0x7F
+];
+
+/**
+ * Decode the payload of SONAR_DATA.
+ * @param {Array<number>} data - bytes after the command
+ * @returns {{triggerPin: number, distance: number}} trigger pin of the sensor and the distance in cm
+ */
+export const decodeSonarData = data => ({
+    triggerPin: data[0],
+    distance: (data[1] & 0x7F) | ((data[2] & 0x7F) << 7)
+});
@@ -0,0 +1,274 @@
+/**
+ * Custom blocks which send Firmata sysex commands to the firmware.
+ *
+ * The blocks are declared in sysex-blocks.json which is bundled with the extension.
+ * It has "blocks" as an array of the descriptors like below.
+ *
+ *     {
+ *         "opcode": "matrixRow",
+ *         "blockType": "command",
+ *         "text": "set matrix row [ROW] to [BITS]",
+ *         "command": 1,
+ *         "encoding": "twoByte",
+ *         "arguments": {
+ *             "ROW": {"type": "byte", "defaultValue": 0},
+ *             "BITS": {"type": "bytes", "defaultValue": "0xFF"}
+ *         }
+ *     }
+ *
+ * "blockType" is "command" or "reporter". "command" is the sysex command byte (0x00-0x7F)
+ * and the values of the arguments are packed into the payload in the order of the text.
+ * A reporter waits for the response which has the command byte of "response" (same as "command" by default)
+ * for "timeout" milliseconds and reports the payload as "result" type.
+ * "encoding" is the encoding of the payload on the wire in SYSEX_ENCODINGS ("twoByte" by default),
+ * and "responseEncoding" is that of the response ("encoding" by default).
+ * "text" can be an object of the locales like {"en": "...", "ja": "..."}.
+ * BOARD argument is added to every block to select the board.
+ */
+
+/**
+ * Types of the values in the payload.
+ * 'byte' is an unsigned byte, 'int16' is a signed 16-bit integer in little-endian,
+ * 'bytes' is a list of bytes separated by space or comma and 'text' is a string in UTF-8.
+ * @type {object<string, string>}
+ */
+export const SYSEX_VALUE_TYPES = {
+    BYTE: 'byte',
+    INT16: 'int16',
+    BYTES: 'bytes',
+    TEXT: 'text'
+};
+
+/**
+ * Encodings of the payload on the wire.
+ * 'twoByte' sends each byte as two 7-bit bytes in LSB first like Firmata.encode(),
+ * 'raw' sends the bytes as they are, so they must be in 0x00-0x7F.
+ * @type {object<string, string>}
+ */
+export const SYSEX_ENCODINGS = {
+    TWO_BYTE: 'twoByte',
+    RAW: 'raw'
+};
+
+/**
+ * Encode the payload in the encoding.
+ * @param {Array<number>} data - bytes of the payload
+ * @param {string} encoding - encoding in SYSEX_ENCODINGS
+ * @returns {Array<number>} 7-bit bytes on the wire
+ */
+export const encodeSysexPayload = (data, encoding) => {
+    if (encoding === SYSEX_ENCODINGS.RAW) return data.map(byte => byte & 0x7F);
+    return data.reduce((encoded, byte) => encoded.concat([byte & 0x7F, (byte >> 7) & 0x7F]), []);
+};
+
+/**
+ * Decode the payload which was received in the encoding.
+ * @param {Array<number>} data - 7-bit bytes on the wire
+ * @param {string} encoding - encoding in SYSEX_ENCODINGS
+ * @returns {Array<number>} bytes of the payload
+ * @throws {Error} when the data is not in the encoding
+ */
+export const decodeSysexPayload = (data, encoding) => {
+    if (encoding === SYSEX_ENCODINGS.RAW) return data.slice();
+    if (data.length % 2 !== 0) {
+        throw new Error(`payload of ${data.length} bytes is not in ${SYSEX_ENCODINGS.TWO_BYTE} encoding`);
+    }
+    const decoded = [];
+    for (let i = 0; i < data.length; i += 2) {
+        decoded.push((data[i] & 0x7F) | ((data[i + 1] & 0x7F) << 7));
+    }
+    return decoded;
+};
+
+/**
+ * Prefix of the opcodes of the custom blocks not to conflict with the built-in blocks.
+ * @type {string}
+ */
+export const SYSEX_OPCODE_PREFIX = 'sysex_';
+
+/**
+ * Default waiting time for the response of a custom reporter in milliseconds.
+ * @type {number}
+ */
+export const DEFAULT_SYSEX_TIMEOUT = 1000;
+
+/**
+ * Return whether the value is a valid sysex command byte.
+ * @param {*} value - value to check
+ * @returns {boolean} true if it's an integer in 0x00-0x7F
+ */
+export const isSysexCommand = value => Number.isInteger(value) && value >= 0 && value <= 0x7F;
+
+/**
+ * Return names of the arguments in the order of the placeholders in the text.
+ * @param {string} text - text of the block
+ * @returns {Array<string>} names of the arguments
+ */
+export const argumentNamesOf = text => {
+    const names = [];
+    const pattern = /\[([A-Za-z0-9_]+)\]/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+};
+
+/**
+ * Validate a descriptor of a custom block and fill the defaults.
+ * @param {object} descriptor - descriptor of the block
+ * @returns {object} the normalized descriptor
+ * @throws {Error} when the descriptor is not valid
+ */
+export const normalizeSysexBlock = descriptor => {
+    if (!descriptor || typeof descriptor.opcode !== 'string' || !/^[A-Za-z0-9_]+$/.test(descriptor.opcode)) {
+        throw new Error('opcode must be an identifier');
+    }
+    const opcode = descriptor.opcode;
+    const blockType = descriptor.blockType ? descriptor.blockType : 'command';
+    if (blockType !== 'command' && blockType !== 'reporter') {
+        throw new Error(`blockType of ${opcode} must be "command" or "reporter"`);
+    }
+    const texts = (typeof descriptor.text === 'string') ? {en: descriptor.text} : descriptor.text;
+    if (!texts || typeof texts.en !== 'string') {
+        throw new Error(`text of ${opcode} must be a string or have "en"`);
+    }
+    if (!isSysexCommand(descriptor.command)) {
+        throw new Error(`command of ${opcode} must be 0x00-0x7F`);
+    }
+    const response = (typeof descriptor.response === 'undefined') ? descriptor.command : descriptor.response;
+    if (!isSysexCommand(response)) {
+        throw new Error(`response of ${opcode} must be 0x00-0x7F`);
+    }
+    const encodings = Object.values(SYSEX_ENCODINGS);
+    const encoding = descriptor.encoding ? descriptor.encoding : SYSEX_ENCODINGS.TWO_BYTE;
+    if (!encodings.includes(encoding)) {
+        throw new Error(`encoding of ${opcode} must be one of ${encodings.join(', ')}`);
+    }
+    const responseEncoding = descriptor.responseEncoding ? descriptor.responseEncoding : encoding;
+    if (!encodings.includes(responseEncoding)) {
+        throw new Error(`responseEncoding of ${opcode} must be one of ${encodings.join(', ')}`);
+    }
+    const argumentTypes = Object.values(SYSEX_VALUE_TYPES);
+    const args = {};
+    argumentNamesOf(texts.en).forEach(name => {
+        if (name === 'BOARD') return;
+        const arg = (descriptor.arguments && descriptor.arguments[name]) ? descriptor.arguments[name] : {};
+        const type = arg.type ? arg.type : SYSEX_VALUE_TYPES.BYTE;
+        if (!argumentTypes.includes(type)) {
+            throw new Error(`type of ${name} in ${opcode} must be one of ${argumentTypes.join(', ')}`);
+        }
+        args[name] = {
+            type: type,
+            defaultValue: (typeof arg.defaultValue === 'undefined') ? '' : arg.defaultValue
+        };
+    });
+    const result = descriptor.result ? descriptor.result : SYSEX_VALUE_TYPES.BYTES;
+    if (!argumentTypes.includes(result)) {
+        throw new Error(`result of ${opcode} must be one of ${argumentTypes.join(', ')}`);
+    }
+    return {
+        opcode: `${SYSEX_OPCODE_PREFIX}${opcode}`,
+        blockType: blockType,
+        texts: texts,
+        command: descriptor.command,
+        encoding: encoding,
+        response: response,
+        responseEncoding: responseEncoding,
+        arguments: args,
+        result: result,
+        timeout: (typeof descriptor.timeout === 'number' && descriptor.timeout > 0) ?
+            descriptor.timeout : DEFAULT_SYSEX_TIMEOUT
+    };
+};
+
+/**
+ * Load the custom blocks from the declaration.
+ * Invalid descriptors are skipped with the errors.
+ * @param {object} declaration - object which has "blocks" as an array of the descriptors
+ * @returns {{blocks: Array<object>, errors: Array<Error>}} normalized descriptors and the errors
+ */
+export const loadSysexBlocks = declaration => {
+    const blocks = [];
+    const errors = [];
+    const descriptors = (declaration && Array.isArray(declaration.blocks)) ? declaration.blocks : [];
+    descriptors.forEach(descriptor => {
+        try {
+            const block = normalizeSysexBlock(descriptor);
+            if (blocks.some(other => other.opcode === block.opcode)) {
+                throw new Error(`opcode ${descriptor.opcode} is duplicated`);
+            }
+            blocks.push(block);
+        } catch (error) {
+            errors.push(error);
+        }
+    });
+    return {blocks, errors};
+};
+
+/**
+ * Return the text of the block for the locale.
+ * @param {object} block - normalized descriptor
+ * @param {string} locale - locale like 'ja-Hira'
+ * @returns {string} the text for the locale, or for 'en' when it's not declared
+ */
+export const sysexBlockTextOf = (block, locale) => {
+    if (locale in block.texts) return block.texts[locale];
+    const language = String(locale).split('-')[0];
+    if (language in block.texts) return block.texts[language];
+    return block.texts.en;
+};
+
+/**
+ * Convert a value of the argument to the bytes in the payload.
+ * @param {*} value - value of the argument
+ * @param {string} type - type in SYSEX_VALUE_TYPES
+ * @returns {Array<number>} bytes of the value
+ */
+export const encodeSysexValue = (value, type) => {
+    if (type === SYSEX_VALUE_TYPES.TEXT) {
+        return Array.from(new TextEncoder().encode(String(value)));
+    }
+    if (type === SYSEX_VALUE_TYPES.BYTES) {
+        return String(value).split(/[\s,]+/)
+            .filter(item => item !== '')
+            .map(item => Number(item))
+            .filter(byte => !isNaN(byte))
+            .map(byte => Math.round(byte) & 0xFF);
+    }
+    const number = Math.round(Number(value)) || 0;
+    if (type === SYSEX_VALUE_TYPES.INT16) {
+        return [number & 0xFF, (number >> 8) & 0xFF];
+    }
+    return [number & 0xFF];
+};
+
+/**
+ * Pack the values of the arguments into the payload in the order of the text.
+ * @param {object} block - normalized descriptor
+ * @param {object} args - values of the arguments keyed by the name
+ * @returns {Array<number>} bytes of the payload
+ */
+export const sysexPayloadOf = (block, args) => Object.keys(block.arguments)
+    .reduce((payload, name) => payload.concat(encodeSysexValue(args[name], block.arguments[name].type)), []);
+
+/**
+ * Convert the payload of a response to the value to report.
+ * @param {Array<number>} data - bytes of the payload
+ * @param {string} type - type in SYSEX_VALUE_TYPES
+ * @returns {number|string} the value
+ */
+export const decodeSysexValue = (data, type) => {
+    if (type === SYSEX_VALUE_TYPES.TEXT) {
+        return new TextDecoder().decode(Uint8Array.from(data));
+    }
+    if (type === SYSEX_VALUE_TYPES.BYTE) {
+        return data.length > 0 ? data[0] : 0;
+    }
+    if (type === SYSEX_VALUE_TYPES.INT16) {
+        if (data.length < 2) return 0;
+        const value = data[0] | (data[1] << 8);
+        return (value & 0x8000) ? value - 0x10000 : value;
+    }
+    return data.join(' ');
+};
@@ -0,0 +1,78 @@
+/**
+ * Utilities for tones on a piezo buzzer.
+ */
+
+/**
+ * Sysex command of the tone extension in FirmataExpress.
+ * @type {number}
+ */
+export const TONE_DATA = 0x5F;
+
+/**
+ * Sub-commands of TONE_DATA.
+ * @type {object<string, number>}
+ */
+export const TONE_COMMANDS = {
+    TONE: 0x00,
+    NO_TONE: 0x01
+};
+
+/**
+ * Pattern of the firmware names which support TONE_DATA.
+ * @type {RegExp}
+ */
+export const TONE_FIRMWARE = /FirmataExpress/i;
+
+/**
+ * Max value which is able to be sent as two 7-bit bytes.
+ * @type {number}
+ */
+const MAX_14BIT = 0x3FFF;
+
+/**
+ * Max frequency of the square wave which is toggled by the host in Hz.
+ * Digital messages over the serial port and the timers of the browser can not make it faster.
+ * @type {number}
+ */
+export const SOFTWARE_TONE_MAX_FREQUENCY = 50;
+
+/**
+ * Convert a MIDI note number to the frequency.
+ * @param {number} note - MIDI note number, 69 is A4
+ * @returns {number} frequency in Hz
+ */
+export const noteToFrequency = note => 440 * Math.pow(2, (note - 69) / 12);
+
+/**
+ * Return the sysex message to play a tone.
+ * The duration which can not be sent is sent as 0 to play until NO_TONE.
+ * @param {number} pin - pin number
+ * @param {number} frequency - frequency in Hz
+ * @param {number} duration - duration in milliseconds
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const toneMessage = (pin, frequency, duration) => {
+    const freq = Math.min(MAX_14BIT, Math.max(0, Math.round(frequency)));
+    const time = (duration > MAX_14BIT) ? 0 : Math.max(0, Math.round(duration));
+    return [
+        TONE_DATA, TONE_COMMANDS.TONE, pin,
+        freq & 0x7F, (freq >> 7) & 0x7F,
+        time & 0x7F, (time >> 7) & 0x7F
+    ];
+};
+
+/**
+ * Return the sysex message to stop the tone.
+ * @param {number} pin - pin number
+ * @returns {Array<number>} message without START_SYSEX and END_SYSEX
+ */
+export const noToneMessage = pin => [TONE_DATA, TONE_COMMANDS.NO_TONE, pin];
+
+/**
+ * Return the interval to toggle the pin for the square wave which is made by the host.
+ * @param {number} frequency - frequency in Hz
+ * @param {number} [maxFrequency] - max frequency to be bounded
+ * @returns {number} half of the period in milliseconds
+ */
+export const squareWaveInterval = (frequency, maxFrequency = SOFTWARE_TONE_MAX_FREQUENCY) =>
+    500 / Math.min(maxFrequency, Math.max(1, frequency));
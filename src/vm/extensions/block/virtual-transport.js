@@ -0,0 +1,546 @@
+/**
+ * Virtual transport which emulates an Arduino Uno running StandardFirmata.
+ */
+
+import {EventEmitter} from 'events';
+import {Buffer} from 'buffer';
+
+const DIGITAL_MESSAGE = 0x90;
+const ANALOG_MESSAGE = 0xE0;
+const REPORT_ANALOG = 0xC0;
+const REPORT_DIGITAL = 0xD0;
+const START_SYSEX = 0xF0;
+const PIN_MODE = 0xF4;
+const SET_DIGITAL_PIN_VALUE = 0xF5;
+const END_SYSEX = 0xF7;
+const REPORT_VERSION = 0xF9;
+const SYSTEM_RESET = 0xFF;
+
+const ANALOG_MAPPING_QUERY = 0x69;
+const ANALOG_MAPPING_RESPONSE = 0x6A;
+const CAPABILITY_QUERY = 0x6B;
+const CAPABILITY_RESPONSE = 0x6C;
+const PIN_STATE_QUERY = 0x6D;
+const PIN_STATE_RESPONSE = 0x6E;
+const EXTENDED_ANALOG = 0x6F;
+const I2C_REQUEST = 0x76;
+const I2C_REPLY = 0x77;
+const QUERY_FIRMWARE = 0x79;
+const SAMPLING_INTERVAL = 0x7A;
+
+const MODE_INPUT = 0x00;
+const MODE_OUTPUT = 0x01;
+const MODE_ANALOG = 0x02;
+const MODE_PWM = 0x03;
+const MODE_SERVO = 0x04;
+const MODE_I2C = 0x06;
+const MODE_SERIAL = 0x0A;
+const MODE_PULLUP = 0x0B;
+
+const I2C_WRITE = 0;
+const I2C_READ = 1;
+const I2C_CONTINUOUS_READ = 2;
+const I2C_STOP_READING = 3;
+
+const FIRMWARE_VERSION = {major: 2, minor: 5};
+const PROTOCOL_VERSION = {major: 2, minor: 5};
+const FIRMWARE_NAME = 'VirtualFirmata';
+
+/**
+ * Number of data bytes which follow the command byte of MIDI style messages.
+ * @type {object<number, number>}
+ */
+const MESSAGE_LENGTH = {
+    [DIGITAL_MESSAGE]: 2,
+    [ANALOG_MESSAGE]: 2,
+    [REPORT_ANALOG]: 1,
+    [REPORT_DIGITAL]: 1,
+    [PIN_MODE]: 2,
+    [SET_DIGITAL_PIN_VALUE]: 2,
+    [REPORT_VERSION]: 0,
+    [SYSTEM_RESET]: 0
+};
+
+/**
+ * Pin capabilities of Arduino Uno as StandardFirmata reports.
+ * Each item is an array of pairs of mode and resolution.
+ * @returns {Array<Array<Array<number>>>} capabilities of the pins
+ */
+const unoCapabilities = () => {
+    const pwmPins = [3, 5, 6, 9, 10, 11];
+    const capabilities = [];
+    for (let pin = 0; pin < 20; pin++) {
+        const modes = [];
+        if (pin < 2) {
+            modes.push([MODE_SERIAL, pin]); // RX0, TX0
+        } else {
+            modes.push([MODE_INPUT, 1], [MODE_PULLUP, 1], [MODE_OUTPUT, 1]);
+            if (pin >= 14) modes.push([MODE_ANALOG, 10]);
+            if (pwmPins.includes(pin)) modes.push([MODE_PWM, 8]);
+            if (pin < 14) modes.push([MODE_SERVO, 14]);
+            if (pin === 18 || pin === 19) modes.push([MODE_I2C, 1]);
+        }
+        capabilities.push(modes);
+    }
+    return capabilities;
+};
+
+/**
+ * Split a value into 7-bit bytes in LSB first.
+ * @param {number} value - value to split
+ * @returns {Array<number>} two 7-bit bytes
+ */
+const to7BitBytes = value => [value & 0x7F, (value >> 7) & 0x7F];
+
+/**
+ * This emulates a board running StandardFirmata on a transport for Firmata.
+ * It answers the queries for the handshake, keeps the state of the pins and reports the inputs
+ * which are set by setDigitalInput() and setAnalogInput().
+ */
+class VirtualTransport extends EventEmitter {
+
+    /**
+     * Construct a virtual transport. It will be opened automatically.
+     */
+    constructor () {
+        super();
+
+        /**
+         * Whether this transport is opened.
+         * @type {boolean}
+         */
+        this.isOpen = false;
+
+        /**
+         * Capabilities of the pins.
+         * @type {Array<Array<Array<number>>>}
+         */
+        this.capabilities = unoCapabilities();
+
+        /**
+         * Pin numbers of the analog inputs in order of the analog channel.
+         * @type {Array<number>}
+         */
+        this.analogPins = this.capabilities
+            .map((modes, pin) => (modes.some(([mode]) => mode === MODE_ANALOG) ? pin : -1))
+            .filter(pin => pin >= 0);
+
+        /**
+         * Interval time of reporting analog inputs in milliseconds.
+         * @type {number}
+         */
+        this.samplingInterval = 19;
+
+        /**
+         * Bytes of the message which is receiving.
+         * @type {Array<number>}
+         */
+        this.receiving = [];
+
+        /**
+         * Registers of the virtual I2C devices keyed by the address.
+         * @type {object<number, Array<number>>}
+         */
+        this.i2cRegisters = {};
+
+        /**
+         * Continuous I2C readings which are reported in every sampling.
+         * @type {Array<{address: number, register: number, length: number}>}
+         */
+        this.i2cContinuousReads = [];
+
+        this.reset();
+        this.samplingTimer = null;
+        setTimeout(() => this.open());
+    }
+
+    /**
+     * Return information of this port like SerialPort.getInfo() of Web Serial API.
+     * @returns {object} information of this port
+     */
+    getInfo () {
+        return {name: FIRMWARE_NAME};
+    }
+
+    /**
+     * Reset the state of the pins.
+     */
+    reset () {
+        this.pins = this.capabilities.map(modes => ({
+            mode: (modes.some(([mode]) => mode === MODE_ANALOG) ? MODE_ANALOG : MODE_OUTPUT),
+            value: 0,
+            input: 0
+        }));
+        this.digitalReports = new Array(Math.ceil(this.pins.length / 8)).fill(false);
+        this.analogReports = new Array(this.analogPins.length).fill(false);
+        this.i2cContinuousReads = [];
+    }
+
+    /**
+     * Open this transport and send the version as a board does when it was reset.
+     */
+    open () {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.emit('open');
+        this.samplingTimer = setInterval(() => this.sample(), this.samplingInterval);
+        this.send([REPORT_VERSION, PROTOCOL_VERSION.major, PROTOCOL_VERSION.minor]);
+    }
+
+    /**
+     * Close this transport.
+     * @param {function} callback - function to be called when closed
+     */
+    close (callback) {
+        if (this.isOpen) {
+            this.isOpen = false;
+            clearInterval(this.samplingTimer);
+            this.samplingTimer = null;
+            this.emit('close');
+        }
+        if (callback) callback();
+    }
+
+    /**
+     * Send bytes to the host.
+     * @param {Array<number>} bytes - bytes to send
+     */
+    send (bytes) {
+        setTimeout(() => {
+            if (!this.isOpen) return;
+            this.emit('data', Buffer.from(bytes));
+        });
+    }
+
+    /**
+     * Receive bytes from the host.
+     * @param {Buffer | Array<number>} data - received bytes
+     * @param {function} callback - function to be called when the data was processed
+     * @returns {boolean} true
+     */
+    write (data, callback) {
+        for (let i = 0; i < data.length; i++) {
+            this.receiveByte(data[i]);
+        }
+        if (callback) setTimeout(() => callback());
+        return true;
+    }
+
+    /**
+     * Parse a received byte and handle the message when it was completed.
+     * @param {number} byte - received byte
+     */
+    receiveByte (byte) {
+        if (byte >= 0x80 && byte !== END_SYSEX) {
+            this.receiving = [byte];
+        } else if (this.receiving.length > 0) {
+            this.receiving.push(byte);
+        } else {
+            return; // data byte out of a message
+        }
+        const command = this.receiving[0];
+        if (command === START_SYSEX) {
+            if (byte === END_SYSEX) {
+                this.handleSysex(this.receiving.slice(1, -1));
+                this.receiving = [];
+            }
+            return;
+        }
+        const type = (command < START_SYSEX) ? (command & 0xF0) : command;
+        const length = MESSAGE_LENGTH[type];
+        if (typeof length === 'undefined') {
+            this.receiving = [];
+            return;
+        }
+        if (this.receiving.length - 1 < length) return;
+        this.handleMessage(type, command & 0x0F, this.receiving.slice(1));
+        this.receiving = [];
+    }
+
+    /**
+     * Handle a MIDI style message.
+     * @param {number} type - type of the message
+     * @param {number} channel - lower 4 bits of the command
+     * @param {Array<number>} data - data bytes
+     */
+    handleMessage (type, channel, data) {
+        switch (type) {
+        case REPORT_VERSION:
+            this.send([REPORT_VERSION, PROTOCOL_VERSION.major, PROTOCOL_VERSION.minor]);
+            break;
+        case SYSTEM_RESET:
+            this.reset();
+            break;
+        case PIN_MODE:
+            this.setPinMode(data[0], data[1]);
+            break;
+        case SET_DIGITAL_PIN_VALUE:
+            this.writePin(data[0], data[1]);
+            break;
+        case DIGITAL_MESSAGE: {
+            const portValue = data[0] | (data[1] << 7);
+            for (let i = 0; i < 8; i++) {
+                const pin = (channel * 8) + i;
+                if (this.pins[pin] && this.pins[pin].mode === MODE_OUTPUT) {
+                    this.writePin(pin, (portValue >> i) & 0x01);
+                }
+            }
+            break;
+        }
+        case ANALOG_MESSAGE:
+            this.writePin(channel, data[0] | (data[1] << 7));
+            break;
+        case REPORT_ANALOG:
+            if (channel < this.analogReports.length) {
+                this.analogReports[channel] = (data[0] !== 0);
+                if (this.analogReports[channel]) this.reportAnalog(channel);
+            }
+            break;
+        case REPORT_DIGITAL:
+            if (channel < this.digitalReports.length) {
+                this.digitalReports[channel] = (data[0] !== 0);
+                if (this.digitalReports[channel]) this.reportDigitalPort(channel);
+            }
+            break;
+        }
+    }
+
+    /**
+     * Handle a sysex message.
+     * The messages which StandardFirmata does not know are emitted as 'sysex' event with the bytes.
+     * @param {Array<number>} data - bytes between START_SYSEX and END_SYSEX
+     */
+    handleSysex (data) {
+        const command = data[0];
+        switch (command) {
+        case QUERY_FIRMWARE: {
+            const name = Array.from(FIRMWARE_NAME)
+                .reduce((bytes, char) => bytes.concat(to7BitBytes(char.charCodeAt(0))), []);
+            this.send([START_SYSEX, QUERY_FIRMWARE, FIRMWARE_VERSION.major, FIRMWARE_VERSION.minor]
+                .concat(name, [END_SYSEX]));
+            break;
+        }
+        case CAPABILITY_QUERY: {
+            const response = [START_SYSEX, CAPABILITY_RESPONSE];
+            this.capabilities.forEach(modes => {
+                modes.forEach(([mode, resolution]) => response.push(mode, resolution));
+                response.push(0x7F);
+            });
+            response.push(END_SYSEX);
+            this.send(response);
+            break;
+        }
+        case ANALOG_MAPPING_QUERY: {
+            const response = [START_SYSEX, ANALOG_MAPPING_RESPONSE];
+            this.pins.forEach((_, pin) => {
+                const channel = this.analogPins.indexOf(pin);
+                response.push(channel < 0 ? 0x7F : channel);
+            });
+            response.push(END_SYSEX);
+            this.send(response);
+            break;
+        }
+        case PIN_STATE_QUERY: {
+            const pin = data[1];
+            if (!this.pins[pin]) break;
+            const state = this.pins[pin].value;
+            this.send([START_SYSEX, PIN_STATE_RESPONSE, pin, this.pins[pin].mode]
+                .concat(to7BitBytes(state), [END_SYSEX]));
+            break;
+        }
+        case EXTENDED_ANALOG: {
+            let value = 0;
+            for (let i = 2; i < data.length; i++) {
+                value |= (data[i] << (7 * (i - 2)));
+            }
+            this.writePin(data[1], value);
+            break;
+        }
+        case SAMPLING_INTERVAL:
+            this.samplingInterval = Math.max(10, data[1] | (data[2] << 7));
+            if (this.samplingTimer) {
+                clearInterval(this.samplingTimer);
+                this.samplingTimer = setInterval(() => this.sample(), this.samplingInterval);
+            }
+            break;
+        case I2C_REQUEST:
+            this.handleI2CRequest(data.slice(1));
+            break;
+        default:
+            this.emit('sysex', data);
+            break;
+        }
+    }
+
+    /**
+     * Send a sysex message to the host as a firmware which has extra features does.
+     * @param {Array<number>} data - bytes between START_SYSEX and END_SYSEX
+     */
+    sendSysex (data) {
+        this.send([START_SYSEX].concat(data, [END_SYSEX]));
+    }
+
+    /**
+     * Handle an I2C request.
+     * @param {Array<number>} data - bytes of the request after the command
+     */
+    handleI2CRequest (data) {
+        const address = data[0];
+        const mode = (data[1] >> 3) & 0x03;
+        const values = [];
+        for (let i = 2; i < data.length; i += 2) {
+            values.push(data[i] | (data[i + 1] << 7));
+        }
+        const registers = this.i2cRegisters[address] || (this.i2cRegisters[address] = []);
+        switch (mode) {
+        case I2C_WRITE:
+            values.slice(1).forEach((value, i) => {
+                registers[values[0] + i] = value & 0xFF;
+            });
+            break;
+        case I2C_READ:
+        case I2C_CONTINUOUS_READ: {
+            const read = {
+                address: address,
+                register: (values.length > 1) ? values[0] : 0,
+                length: values[values.length - 1]
+            };
+            if (mode === I2C_CONTINUOUS_READ) {
+                this.i2cContinuousReads.push(read);
+            }
+            this.replyI2C(read);
+            break;
+        }
+        case I2C_STOP_READING:
+            this.i2cContinuousReads = this.i2cContinuousReads.filter(read => read.address !== address);
+            break;
+        }
+    }
+
+    /**
+     * Send bytes of the registers of the virtual I2C device.
+     * @param {{address: number, register: number, length: number}} read - reading request
+     */
+    replyI2C (read) {
+        const registers = this.i2cRegisters[read.address] || [];
+        const response = [START_SYSEX, I2C_REPLY]
+            .concat(to7BitBytes(read.address), to7BitBytes(read.register));
+        for (let i = 0; i < read.length; i++) {
+            response.push(...to7BitBytes(registers[read.register + i] || 0));
+        }
+        response.push(END_SYSEX);
+        this.send(response);
+    }
+
+    /**
+     * Set mode of the pin.
+     * @param {number} pin - pin number
+     * @param {number} mode - mode of the pin
+     */
+    setPinMode (pin, mode) {
+        const pinState = this.pins[pin];
+        if (!pinState) return;
+        pinState.mode = mode;
+        if (mode === MODE_PULLUP && pinState.input === 0) {
+            // A pulled up pin reads high while nothing drives it.
+            pinState.input = 1;
+        }
+        if (mode === MODE_INPUT || mode === MODE_PULLUP) {
+            this.reportDigitalPort(pin >> 3);
+        }
+    }
+
+    /**
+     * Write the value to the pin as an output.
+     * @param {number} pin - pin number
+     * @param {number} value - value of the output
+     */
+    writePin (pin, value) {
+        if (!this.pins[pin]) return;
+        this.pins[pin].value = value;
+        this.emit('output', {pin: pin, mode: this.pins[pin].mode, value: value});
+    }
+
+    /**
+     * Send value of the digital port when it's reported.
+     * @param {number} port - port number
+     */
+    reportDigitalPort (port) {
+        if (!this.digitalReports[port]) return;
+        let portValue = 0;
+        for (let i = 0; i < 8; i++) {
+            const pinState = this.pins[(port * 8) + i];
+            if (pinState && (pinState.mode === MODE_INPUT || pinState.mode === MODE_PULLUP)) {
+                portValue |= ((pinState.input ? 1 : 0) << i);
+            }
+        }
+        this.send([DIGITAL_MESSAGE | port].concat(to7BitBytes(portValue)));
+    }
+
+    /**
+     * Send value of the analog input.
+     * @param {number} channel - analog pin number
+     */
+    reportAnalog (channel) {
+        const value = this.pins[this.analogPins[channel]].input;
+        this.send([ANALOG_MESSAGE | channel].concat(to7BitBytes(value)));
+    }
+
+    /**
+     * Report the inputs which have to be reported in every sampling.
+     */
+    sample () {
+        this.analogReports.forEach((reporting, channel) => {
+            if (reporting) this.reportAnalog(channel);
+        });
+        this.i2cContinuousReads.forEach(read => this.replyI2C(read));
+    }
+
+    /**
+     * Set level of the digital input. It will be reported when it was changed.
+     * @param {number} pin - pin number
+     * @param {number} value - level of the input [0 | 1]
+     */
+    setDigitalInput (pin, value) {
+        const pinState = this.pins[pin];
+        if (!pinState) return;
+        const level = value ? 1 : 0;
+        if (pinState.input === level) return;
+        pinState.input = level;
+        this.reportDigitalPort(pin >> 3);
+    }
+
+    /**
+     * Set raw value of the analog input. It will be reported in the next sampling.
+     * @param {number} channel - analog pin number
+     * @param {number} value - raw value of the input [0...1023]
+     */
+    setAnalogInput (channel, value) {
+        if (channel < 0 || channel >= this.analogPins.length) return;
+        this.pins[this.analogPins[channel]].input = Math.min(Math.max(Math.round(value), 0), 1023);
+    }
+
+    /**
+     * Set bytes to the registers of the virtual I2C device.
+     * @param {number} address - address of the I2C device
+     * @param {number} register - first register to set
+     * @param {Array<number>} bytes - bytes to set
+     */
+    setI2CRegisters (address, register, bytes) {
+        const registers = this.i2cRegisters[address] || (this.i2cRegisters[address] = []);
+        bytes.forEach((value, i) => {
+            registers[register + i] = value & 0xFF;
+        });
+    }
+
+    /**
+     * Return the value which was written to the pin as an output.
+     * @param {number} pin - pin number
+     * @returns {number} value of the output
+     */
+    getOutput (pin) {
+        return this.pins[pin] ? this.pins[pin].value : 0;
+    }
+}
+
+export default VirtualTransport;
@@ -0,0 +1,90 @@
+/**
+ * Queue of the outgoing writes which are sent in batches.
+ */
+
+/**
+ * Writes which are pushed in a frame are sent together in the next frame.
+ * A write replaces the pending write with the same key, so only the latest value is sent.
+ * The next batch waits until the transport drained the previous batch.
+ */
+export default class WriteQueue {
+
+    /**
+     * Construct a queue of writes.
+     * @param {function(): Promise} drain - function which returns a Promise to resolve when the transport drained
+     */
+    constructor (drain) {
+        /**
+         * Function which returns a Promise to resolve when the transport drained.
+         * @type {function(): Promise}
+         */
+        this.drain = drain;
+
+        /**
+         * Functions to send the writes in the next batch, keyed by the target of the write.
+         * @type {Map<string, function>}
+         */
+        this.pending = new Map();
+
+        /**
+         * Promise which resolves when the next batch was sent and drained.
+         * @type {?Promise}
+         */
+        this.flushing = null;
+
+        /**
+         * Promise which resolves when the last batch was drained.
+         * @type {Promise}
+         */
+        this.draining = Promise.resolve();
+    }
+
+    /**
+     * Push a write into the next batch.
+     * @param {string} key - target of the write like a port or a pin, the pending write for it is dropped
+     * @param {function} send - function to send the write
+     * @returns {Promise} a Promise which resolves when the batch was sent and drained
+     */
+    push (key, send) {
+        this.pending.delete(key);
+        this.pending.set(key, send);
+        if (!this.flushing) {
+            this.flushing = Promise.all([this.draining, new Promise(resolve => setTimeout(resolve))])
+                .then(() => this.flush());
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Send all the pending writes and wait for the drain.
+     * @returns {Promise} a Promise which resolves when the transport drained
+     */
+    flush () {
+        const sends = Array.from(this.pending.values());
+        this.pending.clear();
+        this.flushing = null;
+        sends.forEach(send => send());
+        this.draining = this.drain()
+            .catch(() => {}); // Keep the next batch going.
+        return this.draining;
+    }
+
+    /**
+     * Send the pending writes for the keys now in the order they were pushed.
+     * They are removed from the next batch.
+     * @param {Array<string>} keys - targets of the writes to send
+     */
+    sendNow (keys) {
+        const sends = Array.from(this.pending.entries())
+            .filter(([key]) => keys.includes(key));
+        sends.forEach(([key]) => this.pending.delete(key));
+        sends.forEach(([, send]) => send());
+    }
+
+    /**
+     * Drop all the pending writes.
+     */
+    clear () {
+        this.pending.clear();
+    }
+}
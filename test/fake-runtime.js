@@ -0,0 +1,159 @@
+import { EventEmitter } from "events";
+
+/**
+ * Storage which works like window.localStorage.
+ */
+export class FakeStorage {
+    constructor () {
+        this.items = new Map();
+    }
+
+    getItem (key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem (key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem (key) {
+        this.items.delete(key);
+    }
+
+    clear () {
+        this.items.clear();
+    }
+}
+
+/**
+ * Define the members of window which are used by the extension when the tests run on Node.
+ * @returns {object} the window
+ */
+export const setupWindow = () => {
+    if (typeof global.window === "undefined") {
+        global.window = {
+            addEventListener () {},
+            localStorage: new FakeStorage()
+        };
+    }
+    return global.window;
+};
+
+/**
+ * Container of the blocks in a target of the Scratch runtime.
+ */
+export class FakeBlocks {
+    constructor () {
+        this._blocks = {};
+    }
+
+    getBlock (id) {
+        return this._blocks[id];
+    }
+
+    createBlock (block) {
+        if (this._blocks[block.id]) return;
+        this._blocks[block.id] = block;
+    }
+}
+
+/**
+ * Stage which keeps the blocks like a target of the Scratch runtime.
+ */
+export class FakeStage {
+    constructor () {
+        this.blocks = new FakeBlocks();
+    }
+}
+
+/**
+ * Runtime which has the members of the Scratch runtime used by the extension.
+ * Hats are put in the project by addHat() and the started hats are recorded in startedHats.
+ * The hats in runningHats are not started again like the hats whose scripts are running.
+ * The stage can be replaced or set to null to emulate the runtime without a project.
+ */
+export class FakeRuntime extends EventEmitter {
+    static get PERIPHERAL_CONNECTED () {
+        return "PERIPHERAL_CONNECTED";
+    }
+
+    static get PERIPHERAL_DISCONNECTED () {
+        return "PERIPHERAL_DISCONNECTED";
+    }
+
+    static get PERIPHERAL_CONNECTION_LOST_ERROR () {
+        return "PERIPHERAL_CONNECTION_LOST_ERROR";
+    }
+
+    constructor () {
+        super();
+        this.hats = [];
+        this.blocks = {};
+        this.startedHats = [];
+        this.runningHats = new Set();
+        this.stage = new FakeStage();
+    }
+
+    getTargetForStage () {
+        return this.stage;
+    }
+
+    registerPeripheralExtension () {}
+
+    emitProjectChanged () {
+        this.emit("PROJECT_CHANGED");
+    }
+
+    /**
+     * Put a hat in the project.
+     * @param {string} opcode - opcode with the extension ID
+     * @param {object<string, string>} fields - values of the fields
+     * @param {object<string, number>} [inputs] - values of the number inputs
+     * @returns {string} ID of the hat block
+     */
+    addHat (opcode, fields, inputs = {}) {
+        const blockId = `hat${this.hats.length}`;
+        const toFields = values => Object.keys(values).reduce((result, name) => {
+            result[name] = {name: name, value: values[name]};
+            return result;
+        }, {});
+        const block = {
+            id: blockId,
+            opcode: opcode,
+            fields: toFields(fields),
+            inputs: Object.keys(inputs).reduce((result, name) => {
+                const shadowId = `${blockId}-${name}`;
+                this.blocks[shadowId] = {id: shadowId, opcode: "math_number", shadow: true,
+                    fields: toFields({NUM: String(inputs[name])})};
+                result[name] = {name: name, block: shadowId, shadow: shadowId};
+                return result;
+            }, {})
+        };
+        this.blocks[blockId] = block;
+        this.hats.push({blockId, block});
+        return blockId;
+    }
+
+    allScriptsByOpcodeDo (opcode, callback) {
+        this.hats
+            .filter(hat => hat.block.opcode === opcode)
+            .forEach(hat => callback({blockId: hat.blockId}, {blocks: {getBlock: id => this.blocks[id]}}));
+    }
+
+    startHats (opcode, fields) {
+        this.startedHats.push({opcode, fields});
+        return this.hats
+            .filter(hat => hat.block.opcode === opcode && !this.runningHats.has(hat.blockId))
+            .filter(hat => Object.keys(fields).every(name => hat.block.fields[name].value === fields[name]))
+            .map(hat => ({topBlock: hat.blockId}));
+    }
+}
+
+/**
+ * Release all the boards which were connected on the runtime.
+ * @param {FakeRuntime} runtime - the runtime
+ */
+export const releaseBoards = runtime => {
+    if (!runtime.arduinoConnector) return;
+    runtime.arduinoConnector.boards.slice().forEach(board => board.releaseBoard());
+};
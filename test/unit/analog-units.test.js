@@ -0,0 +1,23 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    ANALOG_UNITS,
+    convertAnalogValue
+} from "../../src/vm/extensions/block/analog-units.js";
+
+describe("AnalogUnits", () => {
+    it("should scale to percent by the resolution of ADC", () => {
+        expect(convertAnalogValue(1023, 1023, ANALOG_UNITS.PERCENT)).to.equal(100);
+        expect(convertAnalogValue(1023, 4095, ANALOG_UNITS.PERCENT)).to.equal(25);
+        expect(convertAnalogValue(512, null, ANALOG_UNITS.PERCENT)).to.equal(50);
+    });
+
+    it("should keep the raw value", () => {
+        expect(convertAnalogValue(4095, 4095, ANALOG_UNITS.RAW)).to.equal(4095);
+    });
+
+    it("should convert to volts by the reference voltage", () => {
+        expect(convertAnalogValue(1023, 1023, ANALOG_UNITS.VOLTS)).to.equal(5);
+        expect(convertAnalogValue(2048, 4095, ANALOG_UNITS.VOLTS, 3.3)).to.equal(1.65);
+    });
+});
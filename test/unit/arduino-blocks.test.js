@@ -0,0 +1,508 @@
+import { describe, it, before, after, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { FakeRuntime, FakeStage, releaseBoards, setupWindow } from "../fake-runtime.js";
+import { blockClass } from "../../src/vm/extensions/block/index.js";
+import log from "../../src/vm/util/log.js";
+import { emulateAccelStepper } from "../virtual-firmware.js";
+
+/**
+ * Wait for the messages to be exchanged with the virtual board.
+ * @param {number} time - waiting time in milliseconds
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * Return the utility object which the runtime passes to the blocks of the script.
+ * @param {string} name - name of the sprite
+ * @param {string} topBlock - ID of the top block of the script
+ * @returns {object} the utility object
+ */
+const scriptUtil = (name, topBlock) => ({
+    target: {id: name, getName: () => name},
+    thread: {topBlock: topBlock}
+});
+
+describe("ArduinoBlocks", () => {
+    let runtime;
+    let blocks;
+
+    beforeEach(() => {
+        setupWindow();
+        runtime = new FakeRuntime();
+        blocks = new blockClass(runtime);
+        return blocks.connectVirtualBoard();
+    });
+
+    afterEach(() => {
+        releaseBoards(runtime);
+    });
+
+    describe("boards", () => {
+        it("should select the board by the number", () => {
+            const first = blocks.board;
+            return blocks.connectVirtualBoard()
+                .then(result => {
+                    expect(result).to.equal("connected board 2");
+                    const second = blocks.boardConnector.findBoardByNumber(2);
+                    expect(blocks.board).to.equal(first);
+                    expect(blocks.boardOf({})).to.equal(first);
+                    expect(blocks.boardOf({BOARD: " "})).to.equal(first);
+                    expect(blocks.boardOf({BOARD: "2"})).to.equal(second);
+                    expect(blocks.boardOf({BOARD: 2.0})).to.equal(second);
+                    expect(blocks.boardOf({BOARD: "3"})).to.equal(null);
+                });
+        });
+
+        it("should switch the current board when it was released", () => {
+            const first = blocks.board;
+            return blocks.connectVirtualBoard()
+                .then(() => {
+                    const second = blocks.boardConnector.findBoardByNumber(2);
+                    first.releaseBoard();
+                    expect(blocks.board).to.equal(second);
+                    expect(blocks.boardOf({BOARD: "1"})).to.equal(null);
+                    return blocks.connectVirtualBoard();
+                })
+                .then(result => {
+                    expect(result).to.equal("connected board 1");
+                    expect(blocks.boardOf({BOARD: "1"})).to.not.equal(first);
+                    expect(blocks.boardOf({BOARD: "1"}).isReady()).to.equal(true);
+                });
+        });
+    });
+
+    describe("serial settings", () => {
+        beforeEach(() => {
+            window.localStorage.clear();
+        });
+
+        it("should save the settings in the project and load them with the project", () => {
+            blocks.setSerialBaudRate({BAUD: "9600"});
+            expect(window.localStorage.getItem("xcxArduino.serialSettings")).to.be.a("string");
+            const saved = runtime.stage;
+            window.localStorage.clear();
+
+            const another = new FakeRuntime();
+            another.stage = saved;
+            const loaded = new blockClass(another);
+            expect(loaded.boardConnector.getSerialSettings().baudRate).to.equal(9600);
+
+            another.stage = new FakeStage();
+            another.emit("PROJECT_LOADED");
+            expect(loaded.projectSettings.get("serialSettings")).to.equal(undefined);
+            another.stage = saved;
+            loaded.boardConnector.setSerialSettings({baudRate: 115200});
+            another.emit("PROJECT_LOADED");
+            expect(loaded.boardConnector.getSerialSettings().baudRate).to.equal(9600);
+        });
+
+        it("should use the settings in the browser for the project which has no settings", () => {
+            blocks.setSerialBaudRate({BAUD: "9600"});
+            const another = new FakeRuntime();
+            const loaded = new blockClass(another);
+            expect(loaded.boardConnector.getSerialSettings().baudRate).to.equal(9600);
+
+            window.localStorage.clear();
+            const noSettings = new blockClass(new FakeRuntime());
+            expect(noSettings.boardConnector.getSerialSettings().baudRate).to.equal(57600);
+        });
+
+        it("should use the settings in the browser when the settings in the project were corrupted", () => {
+            blocks.setSerialBaudRate({BAUD: "9600"});
+            blocks.setSafeStop({STATE: "off"});
+            const holder = runtime.stage.blocks.getBlock("xcxArduino.settings");
+            holder.fields.SETTINGS.value = "{\"serialSettings\": 115";
+            blocks.boardConnector.setSerialSettings({baudRate: 115200});
+            runtime.emit("PROJECT_LOADED");
+            expect(blocks.boardConnector.getSerialSettings().baudRate).to.equal(9600);
+            expect(blocks.isSafeStopEnabled()).to.equal(true);
+
+            holder.fields.SETTINGS.value = "{\"serialSettings\": \"115200\"}";
+            blocks.boardConnector.setSerialSettings({baudRate: 115200});
+            runtime.emit("PROJECT_LOADED");
+            expect(blocks.boardConnector.getSerialSettings().baudRate).to.equal(9600);
+        });
+
+        it("should keep the settings in memory when the runtime has no stage", () => {
+            const noStage = new FakeRuntime();
+            noStage.stage = null;
+            const memory = new blockClass(noStage);
+            memory.setSerialBaudRate({BAUD: "19200"});
+            window.localStorage.clear();
+            noStage.emit("PROJECT_LOADED");
+            expect(memory.boardConnector.getSerialSettings().baudRate).to.equal(19200);
+        });
+    });
+
+    describe("distance", () => {
+        it("should measure by the trigger and echo pins on FirmataExpress", () => {
+            const transport = blocks.board.virtualTransport;
+            blocks.board.firmata.firmware.name = "FirmataExpress";
+            transport.on("sysex", data => transport.sendSysex([0x63, data[1], 127, 0]));
+            return blocks.getSonarDistance({TRIGGER: "7", ECHO: "8", BOARD: "1", UNIT: "inch"})
+                .then(distance => {
+                    expect(distance).to.equal(50);
+                    transport.removeAllListeners("sysex");
+                    transport.sendSysex([0x63, 7, 0, 0]);
+                    return wait(20);
+                })
+                .then(() => blocks.getSonarDistance({TRIGGER: "7", ECHO: "8", BOARD: "1", UNIT: "cm"}))
+                .then(distance => {
+                    expect(distance).to.equal(400);
+                });
+        });
+
+        it("should report the max range when the sonar did not report", () => {
+            blocks.board.firmata.firmware.name = "FirmataExpress";
+            blocks.board.sonarWaitingTime = 50;
+            return blocks.getSonarDistance({TRIGGER: "7", ECHO: "8", BOARD: "1", UNIT: "inch"})
+                .then(distance => {
+                    expect(distance).to.equal(157.5);
+                });
+        });
+
+        it("should report the max range when PING_READ got no echo or timed out", () => {
+            const board = blocks.board;
+            const transport = board.virtualTransport;
+            board.pins[7].supportedModes.push(board.MODES.PING_READ);
+            board.pingReadWaitingTime = 50;
+            const durations = [[0, 0, 7, 0, 0x50, 1], [0, 0, 0, 0, 0, 0]];
+            transport.on("sysex", data => {
+                if (data[0] !== 0x75 || durations.length === 0) return;
+                transport.sendSysex([0x75, data[1], 0, 0, 0].concat(durations.shift()));
+            });
+            return blocks.getDistance({PIN: "7", BOARD: "1", UNIT: "cm"})
+                .then(distance => {
+                    expect(distance).to.equal(34.3);
+                    return blocks.getDistance({PIN: "7", BOARD: "1", UNIT: "cm"});
+                })
+                .then(distance => {
+                    expect(distance).to.equal(400);
+                    return blocks.getDistance({PIN: "7", BOARD: "1", UNIT: "cm"});
+                })
+                .then(distance => {
+                    expect(distance).to.equal(400);
+                });
+        });
+
+        it("should report the max range when the firmware does not support the sensor", () => {
+            return Promise.all([
+                blocks.getSonarDistance({TRIGGER: "7", ECHO: "8", BOARD: "1", UNIT: "cm"}),
+                blocks.getSonarDistance({TRIGGER: "7", ECHO: "7", BOARD: "1", UNIT: "cm"}),
+                blocks.getDistance({PIN: "7", BOARD: "1", UNIT: "inch"})
+            ])
+                .then(distances => {
+                    expect(distances).to.deep.equal([400, 400, 157.5]);
+                });
+        });
+    });
+
+    describe("steppers", () => {
+        it("should wait for the move to be completed", () => {
+            const steppers = emulateAccelStepper(blocks.board.virtualTransport, blocks.board);
+            steppers.holding = true;
+            let moved = false;
+            return blocks.stepperConfig({ID: "0", TYPE: "fourWire", PINS: "8 10 9 11", BOARD: "1"})
+                .then(() => {
+                    const moving = blocks.stepperMove({ID: "0", STEPS: "-20", SPEED: "100", BOARD: "1"})
+                        .then(position => {
+                            moved = true;
+                            return position;
+                        });
+                    return wait(30)
+                        .then(() => {
+                            expect(moved).to.equal(false);
+                            blocks.board.releaseBoard();
+                            return moving;
+                        });
+                })
+                .then(position => {
+                    expect(position).to.equal(0);
+                    return blocks.connectVirtualBoard();
+                })
+                .then(() => {
+                    emulateAccelStepper(blocks.board.virtualTransport, blocks.board);
+                    return blocks.stepperConfig({ID: "0", TYPE: "driver", PINS: "2 3", BOARD: "1"});
+                })
+                .then(() => blocks.stepperMove({ID: "0", STEPS: "-20", SPEED: "100", BOARD: "1"}))
+                .then(position => {
+                    expect(position).to.equal(-20);
+                });
+        });
+
+        it("should stop the steppers when the project was stopped", () => {
+            const steppers = emulateAccelStepper(blocks.board.virtualTransport, blocks.board);
+            steppers.holding = true;
+            return blocks.stepperConfig({ID: "0", TYPE: "driver", PINS: "2 3", BOARD: "1"})
+                .then(() => {
+                    const moving = blocks.stepperMove({ID: "0", STEPS: "50", SPEED: "100", BOARD: "1"});
+                    return wait(30)
+                        .then(() => {
+                            runtime.emit("PROJECT_STOP_ALL");
+                            return moving;
+                        });
+                })
+                .then(position => {
+                    expect(position).to.equal(0);
+                    expect(steppers.stopped).to.deep.equal([0]);
+                });
+        });
+    });
+
+    describe("safe stop", () => {
+        let resets;
+        let cancels;
+
+        beforeEach(() => {
+            resets = 0;
+            cancels = 0;
+            blocks.board.resetOutputs = () => {
+                resets++;
+                return Promise.resolve();
+            };
+            blocks.board.cancelRamps = () => {
+                cancels++;
+            };
+        });
+
+        it("should reset the outputs when the project was stopped by default", () => {
+            expect(blocks.isSafeStopEnabled()).to.equal(true);
+            runtime.emit("PROJECT_STOP_ALL");
+            expect(resets).to.equal(1);
+            expect(cancels).to.equal(0);
+        });
+
+        it("should only stop the ramps when it was turned off", () => {
+            blocks.setSafeStop({STATE: "off"});
+            expect(blocks.isSafeStopEnabled()).to.equal(false);
+            runtime.emit("PROJECT_STOP_ALL");
+            expect(resets).to.equal(0);
+            expect(cancels).to.equal(1);
+            blocks.setSafeStop({STATE: "on"});
+            runtime.emit("PROJECT_STOP_ALL");
+            expect(resets).to.equal(1);
+        });
+
+        it("should save the setting in the project", () => {
+            blocks.setSafeStop({STATE: "off"});
+            const another = new FakeRuntime();
+            another.stage = runtime.stage;
+            expect(new blockClass(another).isSafeStopEnabled()).to.equal(false);
+
+            runtime.stage = new FakeStage();
+            runtime.emit("PROJECT_LOADED");
+            expect(blocks.isSafeStopEnabled()).to.equal(true);
+        });
+    });
+
+    describe("resetting outputs", () => {
+        it("should reset the outputs which were used before the start or by the clicked blocks", () => {
+            const transport = blocks.board.virtualTransport;
+            blocks.setDigitalLevel({PIN: "4", LEVEL: "1", BOARD: "1"}, scriptUtil("Sprite1", "a"));
+            runtime.emit("PROJECT_START");
+            blocks.setDigitalLevel({PIN: "5", LEVEL: "1", BOARD: "1"});
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, {});
+            return wait(60)
+                .then(() => {
+                    expect([4, 5].map(pin => transport.getOutput(pin))).to.deep.equal([1, 1]);
+                    expect(blocks.board.pinOwners.size).to.equal(0);
+                    runtime.emit("PROJECT_STOP_ALL");
+                    return wait(60);
+                })
+                .then(() => {
+                    expect([4, 5, 9].map(pin => transport.getOutput(pin))).to.deep.equal([0, 0, 0]);
+                });
+        });
+    });
+
+    describe("pin owners", () => {
+        let originalWarn;
+        let warnings;
+
+        before(() => {
+            originalWarn = log.warn;
+            log.warn = message => warnings.push(message);
+        });
+
+        after(() => {
+            log.warn = originalWarn;
+        });
+
+        beforeEach(() => {
+            warnings = [];
+        });
+
+        it("should warn when another script used the pin in a different mode", () => {
+            const sprite1 = scriptUtil("Sprite1", "a");
+            const sprite2 = scriptUtil("Sprite2", "b");
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, sprite1);
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "20", BOARD: "1"}, sprite2);
+            blocks.setDigitalLevel({PIN: "9", LEVEL: "1", BOARD: "1"}, sprite2);
+            expect(warnings).to.deep.equal([]);
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, sprite1);
+            expect(warnings).to.have.lengthOf(1);
+            expect(warnings[0]).to.include("pin 9 of board 1 is used as PWM by \"Sprite1\"");
+            expect(warnings[0]).to.include("by \"Sprite2\"");
+            expect(blocks.pinStates({BOARD: "1"})).to.match(/9:PWM=\d+ \(Sprite1 !Sprite2\)/);
+        });
+
+        it("should keep showing the conflict until the project starts again", () => {
+            const sprite1 = scriptUtil("Sprite1", "a");
+            const sprite2 = scriptUtil("Sprite2", "b");
+            expect(blocks.pinConflicts({BOARD: "1"})).to.equal("");
+            blocks.setDigitalLevel({PIN: "9", LEVEL: "1", BOARD: "1"}, sprite2);
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, sprite1);
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "60", BOARD: "1"}, sprite1);
+            expect(warnings).to.have.lengthOf(1);
+            expect(blocks.pinStates({BOARD: "1"})).to.match(/9:PWM=\d+ \(Sprite1 !Sprite2\)/);
+            expect(blocks.pinConflicts({BOARD: "1"})).to.equal("9:PWM by Sprite1, OUTPUT by Sprite2");
+            runtime.emit("PROJECT_START");
+            expect(blocks.pinConflicts({BOARD: "1"})).to.equal("");
+        });
+
+        it("should not warn for the blocks which are not run by a script", () => {
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, scriptUtil("Sprite1", "a"));
+            blocks.setDigitalLevel({PIN: "9", LEVEL: "1", BOARD: "1"});
+            blocks.setDigitalLevel({PIN: "9", LEVEL: "1", BOARD: "1"}, {});
+            expect(warnings).to.deep.equal([]);
+            expect(blocks.pinStates({BOARD: "1"})).to.include("9:OUTPUT=1 (Sprite1)");
+        });
+
+        it("should forget the owners when the project started", () => {
+            blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"}, scriptUtil("Sprite1", "a"));
+            runtime.emit("PROJECT_START");
+            blocks.setDigitalLevel({PIN: "9", LEVEL: "1", BOARD: "1"}, scriptUtil("Sprite2", "b"));
+            expect(warnings).to.deep.equal([]);
+            expect(blocks.board.pinOwners.get(9).owner.name).to.equal("Sprite2");
+        });
+    });
+
+    describe("hats", () => {
+        it("should start the digital hats only after the level was stable for the debounce time", () => {
+            const transport = blocks.board.virtualTransport;
+            blocks.setDebounceTime({TIME: 30});
+            runtime.addHat("xcxArduino_whenDigitalLevelChanged", {BOARD: "1", PIN: "2", LEVEL: "1"});
+            runtime.emit("PROJECT_CHANGED");
+            return wait(20)
+                .then(() => {
+                    transport.setDigitalInput(2, 1);
+                    return wait(10);
+                })
+                .then(() => {
+                    transport.setDigitalInput(2, 0);
+                    return wait(60);
+                })
+                .then(() => {
+                    expect(runtime.startedHats).to.deep.equal([]);
+                    transport.setDigitalInput(2, 1);
+                    return wait(60);
+                })
+                .then(() => {
+                    expect(runtime.startedHats).to.deep.equal([{
+                        opcode: "xcxArduino_whenDigitalLevelChanged",
+                        fields: {BOARD: "1", PIN: "2", LEVEL: "1"}
+                    }]);
+                });
+        });
+
+        it("should stop watching the pin when the hat was removed", () => {
+            runtime.addHat("xcxArduino_whenDigitalLevelChanged", {BOARD: "1", PIN: "2", LEVEL: "1"});
+            runtime.emit("PROJECT_CHANGED");
+            expect(blocks.hatListeners.digital.has("1:2")).to.equal(true);
+            expect(blocks.board.listenerCount("digital-read-2")).to.equal(1);
+            return blocks.board.subscribeDigitalInput(2)
+                .then(() => {
+                    runtime.hats = [];
+                    runtime.emit("PROJECT_CHANGED");
+                    expect(blocks.hatListeners.digital.size).to.equal(0);
+                    expect(blocks.board.listenerCount("digital-read-2")).to.equal(0);
+                });
+        });
+
+        it("should start the analog hats only when the level crossed the threshold", () => {
+            const hat = runtime.addHat("xcxArduino_whenAnalogThreshold",
+                {BOARD: "1", PIN: "0", DIRECTION: "above"}, {VALUE: 50});
+            runtime.emit("PROJECT_CHANGED");
+            blocks.setVirtualAnalogInput({PIN: "0", LEVEL: "30", BOARD: "1"});
+            return wait(60)
+                .then(() => {
+                    expect(blocks.analogLevels["1:0"]).to.be.closeTo(30, 0.1);
+                    expect(runtime.startedHats).to.deep.equal([]);
+                    blocks.setVirtualAnalogInput({PIN: "0", LEVEL: "75", BOARD: "1"});
+                    return wait(60);
+                })
+                .then(() => {
+                    expect(runtime.startedHats).to.deep.equal([{
+                        opcode: "xcxArduino_whenAnalogThreshold",
+                        fields: {BOARD: "1", PIN: "0"}
+                    }]);
+                    expect(blocks.whenAnalogThreshold({}, {thread: {topBlock: hat}})).to.equal(true);
+                    expect(blocks.whenAnalogThreshold({}, {thread: {topBlock: hat}})).to.equal(false);
+                });
+        });
+
+        it("should keep detecting the crossings while the hat is running", () => {
+            const hat = runtime.addHat("xcxArduino_whenAnalogThreshold",
+                {BOARD: "1", PIN: "0", DIRECTION: "above"}, {VALUE: 50});
+            runtime.emit("PROJECT_CHANGED");
+            const report = level => {
+                blocks.setVirtualAnalogInput({PIN: "0", LEVEL: String(level), BOARD: "1"});
+                return wait(60);
+            };
+            return report(30)
+                .then(() => report(80))
+                .then(() => {
+                    expect(blocks.whenAnalogThreshold({}, {thread: {topBlock: hat}})).to.equal(true);
+                    runtime.runningHats.add(hat);
+                    return report(20);
+                })
+                .then(() => report(90))
+                .then(() => {
+                    // The crossing while running is not left to start the hat late.
+                    expect(blocks.thresholdCrossings.size).to.equal(0);
+                    runtime.runningHats.delete(hat);
+                    return report(20);
+                })
+                .then(() => report(90))
+                .then(() => {
+                    expect(runtime.startedHats).to.have.lengthOf(3);
+                    expect(blocks.whenAnalogThreshold({}, {thread: {topBlock: hat}})).to.equal(true);
+                });
+        });
+
+        it("should start every hat which has the same fields", () => {
+            const hats = [0, 1].map(() => runtime.addHat("xcxArduino_whenAnalogThreshold",
+                {BOARD: "1", PIN: "0", DIRECTION: "above"}, {VALUE: 50}));
+            const lower = runtime.addHat("xcxArduino_whenAnalogThreshold",
+                {BOARD: "1", PIN: "0", DIRECTION: "above"}, {VALUE: 90});
+            runtime.emit("PROJECT_CHANGED");
+            blocks.setVirtualAnalogInput({PIN: "0", LEVEL: "30", BOARD: "1"});
+            return wait(60)
+                .then(() => {
+                    blocks.setVirtualAnalogInput({PIN: "0", LEVEL: "75", BOARD: "1"});
+                    return wait(60);
+                })
+                .then(() => {
+                    expect(hats.map(hat => blocks.whenAnalogThreshold({}, {thread: {topBlock: hat}})))
+                        .to.deep.equal([true, true]);
+                    expect(blocks.whenAnalogThreshold({}, {thread: {topBlock: lower}})).to.equal(false);
+                });
+        });
+
+        it("should cross the threshold again only after going back beyond the hysteresis", () => {
+            blocks.setHysteresis({VALUE: 5});
+            expect([40, 55, 45, 60, 44, 51].map(level => blocks.updateThresholdState("a", level, "above", 50)))
+                .to.deep.equal([false, true, false, false, false, true]);
+            expect([60, 45, 55, 40, 56, 49].map(level => blocks.updateThresholdState("b", level, "below", 50)))
+                .to.deep.equal([false, true, false, false, false, true]);
+        });
+
+        it("should not cross the threshold which was already crossed at the first report", () => {
+            expect(blocks.updateThresholdState("a", 80, "above", 50)).to.equal(false);
+            expect(blocks.updateThresholdState("a", 90, "above", 50)).to.equal(false);
+            expect(blocks.updateThresholdState("a", 90, "above", 85)).to.equal(false);
+            expect(blocks.whenAnalogThreshold({})).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,530 @@
+import { describe, it, before, after, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { FakeRuntime } from "../fake-runtime.js";
+import ArduinoBoard from "../../src/vm/extensions/block/arduino-board.js";
+import VirtualTransport from "../../src/vm/extensions/block/virtual-transport.js";
+import { COLOR_ORDERS, PIXEL_COMMAND, PIXEL_COMMANDS } from "../../src/vm/extensions/block/neo-pixel.js";
+import { emulateAccelStepper } from "../virtual-firmware.js";
+
+/**
+ * Wait for the messages to be exchanged with the virtual board.
+ * @param {number} time - waiting time in milliseconds
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+describe("ArduinoBoard", () => {
+    let board;
+    let transport;
+
+    beforeEach(() => {
+        board = new ArduinoBoard(new FakeRuntime());
+        return board.connectVirtual()
+            .then(() => {
+                transport = board.virtualTransport;
+            });
+    });
+
+    afterEach(() => {
+        board.releaseBoard();
+    });
+
+    describe("writes and modes", () => {
+        it("should send the queued writes for the pin before changing its mode", () => {
+            const outputs = [];
+            const modes = [];
+            transport.on("output", output => {
+                if (output.pin === 9) outputs.push(output);
+            });
+            board.pinMode(9, board.MODES.PWM);
+            return wait(20)
+                .then(() => {
+                    const writing = board.pwmWrite(9, 100);
+                    board.pinMode(9, board.MODES.OUTPUT);
+                    modes.push(transport.pins[9].mode);
+                    return Promise.all([writing, wait(20)]);
+                })
+                .then(() => {
+                    expect(outputs.map(output => [output.mode, output.value]))
+                        .to.deep.equal([[board.MODES.PWM, 100]]);
+                    expect(modes).to.deep.equal([board.MODES.OUTPUT]);
+                    expect(board.writeQueue.pending.size).to.equal(0);
+                });
+        });
+
+        it("should change the input bias after the writes which were queued before", () => {
+            const outputs = [];
+            transport.on("output", output => {
+                if (output.pin === 4) outputs.push(output);
+            });
+            board.pinMode(4, board.MODES.OUTPUT);
+            return Promise.all([board.digitalWrite(4, 1), board.setInputBias(4, true)])
+                .then(() => wait(20))
+                .then(() => {
+                    expect(outputs.map(output => [output.mode, output.value]))
+                        .to.deep.equal([[board.MODES.OUTPUT, 1]]);
+                    expect(transport.pins[4].mode).to.equal(board.MODES.PULLUP);
+                });
+        });
+    });
+
+    describe("input subscriptions", () => {
+        it("should wait for the first report and cache the later reports", () => {
+            transport.setDigitalInput(2, 1);
+            return board.subscribeDigitalInput(2)
+                .then(value => {
+                    expect(value).to.equal(1);
+                    expect(board.pins[2].subscribing).to.equal(null);
+                    expect(transport.digitalReports[0]).to.equal(true);
+                    const reported = new Promise(resolve => board.once("digital-read-2", resolve));
+                    transport.setDigitalInput(2, 0);
+                    return reported;
+                })
+                .then(value => {
+                    expect(value).to.equal(0);
+                    return board.subscribeDigitalInput(2);
+                })
+                .then(value => {
+                    expect(value).to.equal(0);
+                    expect(board.digitalInputSubscriptions.size).to.equal(1);
+                    expect(board.firmata.listenerCount("digital-read-2")).to.equal(1);
+                });
+        });
+
+        it("should share the first report between the readings", () => {
+            transport.setAnalogInput(0, 700);
+            return Promise.all([board.subscribeAnalogInput(0), board.subscribeAnalogInput(0)])
+                .then(values => {
+                    expect(values).to.deep.equal([700, 700]);
+                    expect(board.analogInputSubscriptions.size).to.equal(1);
+                    expect(transport.analogReports[0]).to.equal(true);
+                    transport.setAnalogInput(0, 100);
+                    return wait(50);
+                })
+                .then(() => board.updateAnalogInput(0))
+                .then(value => {
+                    expect(value).to.equal(100);
+                });
+        });
+
+        it("should reject and reset the value when the first report did not come", () => {
+            const pinState = board.pins[5];
+            pinState.value = 1;
+            return board.waitFirstReport(pinState, "digital-read-never", 10)
+                .then(
+                    () => expect.fail("resolved without the report"),
+                    () => {
+                        expect(pinState.value).to.equal(0);
+                        expect(pinState.subscribing).to.equal(null);
+                        expect(pinState.updateTime).to.be.a("number");
+                    });
+        });
+
+        it("should keep the port reporting while another pin in the port is subscribed", () => {
+            return Promise.all([board.subscribeDigitalInput(2), board.subscribeDigitalInput(3)])
+                .then(() => {
+                    board.unsubscribeDigitalInput(2);
+                    return wait(10);
+                })
+                .then(() => {
+                    expect(transport.digitalReports[0]).to.equal(true);
+                    board.unsubscribeDigitalInput(3);
+                    return wait(10);
+                })
+                .then(() => {
+                    expect(transport.digitalReports[0]).to.equal(false);
+                    expect(board.firmata.listenerCount("digital-read-3")).to.equal(0);
+                });
+        });
+
+        it("should stop all the reports when the inputs are not kept reporting", () => {
+            return Promise.all([board.subscribeDigitalInput(2), board.subscribeAnalogInput(1)])
+                .then(() => {
+                    board.setKeepInputReporting(false);
+                    expect(board.digitalInputSubscriptions.size).to.equal(0);
+                    expect(board.analogInputSubscriptions.size).to.equal(0);
+                    return wait(10);
+                })
+                .then(() => {
+                    expect(transport.digitalReports[0]).to.equal(false);
+                    expect(transport.analogReports[1]).to.equal(false);
+                    transport.setDigitalInput(6, 1);
+                    return board.updateDigitalInput(6);
+                })
+                .then(value => {
+                    expect(value).to.equal(1);
+                    expect(board.digitalInputSubscriptions.size).to.equal(0);
+                    return wait(10);
+                })
+                .then(() => {
+                    expect(transport.digitalReports[0]).to.equal(false);
+                });
+        });
+
+        it("should unsubscribe the input when the pin was changed to an output", () => {
+            return board.subscribeDigitalInput(4)
+                .then(() => {
+                    board.pinMode(4, board.MODES.OUTPUT);
+                    expect(board.digitalInputSubscriptions.has(4)).to.equal(false);
+                });
+        });
+    });
+
+    describe("pin owners", () => {
+        it("should return the previous owner which used the pin in a different mode", () => {
+            const first = {id: "Sprite1:a", name: "Sprite1"};
+            const second = {id: "Sprite2:b", name: "Sprite2"};
+            expect(board.claimPin(9, board.MODES.PWM, first)).to.equal(null);
+            expect(board.claimPin(9, board.MODES.PWM, second)).to.equal(null);
+            expect(board.claimPin(9, board.MODES.OUTPUT, second)).to.equal(null);
+            expect(board.claimPin(9, board.MODES.SERVO, first)).to.equal(second);
+            expect(board.pinOwners.get(9)).to.deep.equal({mode: board.MODES.SERVO, owner: first, conflict: second});
+            expect(board.claimPin(9, board.MODES.SERVO, first)).to.equal(null);
+            expect(board.pinConflicts.get(9)).to.deep.equal(
+                {mode: board.MODES.SERVO, owner: first, conflictMode: board.MODES.OUTPUT, conflict: second});
+            board.clearPinOwners();
+            expect(board.pinConflicts.size).to.equal(0);
+            expect(board.claimPin(9, board.MODES.OUTPUT, second)).to.equal(null);
+        });
+    });
+
+    describe("ultrasonic sensors", () => {
+        it("should reject the readings which the firmware does not support", () => {
+            return board.pingRead(7)
+                .then(
+                    () => expect.fail("PING_READ is not on StandardFirmata"),
+                    reason => {
+                        expect(reason.message).to.include("PingFirmata");
+                        return board.sonarRead(7, 8);
+                    })
+                .then(
+                    () => expect.fail("SONAR_CONFIG is not on StandardFirmata"),
+                    reason => {
+                        expect(reason.message).to.include("FirmataExpress");
+                        expect(board.sonars.size).to.equal(0);
+                    });
+        });
+
+        it("should configure the sensor and keep the reported distance on FirmataExpress", () => {
+            board.firmata.firmware.name = "FirmataExpress";
+            const configs = [];
+            transport.on("sysex", data => {
+                configs.push(data);
+                transport.sendSysex([0x63, data[1], 0x2C, 0x01]);
+            });
+            return board.sonarRead(7, 8)
+                .then(distance => {
+                    expect(distance).to.equal(172);
+                    expect(configs).to.deep.equal([[0x62, 7, 8, 0x10, 0x03]]);
+                    transport.sendSysex([0x63, 7, 0, 0]);
+                    return wait(20);
+                })
+                .then(() => board.sonarRead(7, 8))
+                .then(distance => {
+                    expect(distance).to.equal(0);
+                    expect(configs).to.have.lengthOf(1);
+                    return board.sonarRead(7, 9);
+                })
+                .then(
+                    () => expect.fail("the trigger pin is used with another echo pin"),
+                    reason => {
+                        expect(reason.message).to.include("echo pin 8");
+                    });
+        });
+
+        it("should reject the reading when the sensor did not report", () => {
+            board.firmata.firmware.name = "FirmataExpress";
+            board.sonarWaitingTime = 20;
+            return board.sonarRead(7, 8)
+                .then(
+                    () => expect.fail("resolved without the report"),
+                    () => {
+                        expect(board.sonars.get(7).waiting).to.equal(null);
+                        expect(board.listenerCount("sonar-data-7")).to.equal(0);
+                    });
+        });
+    });
+
+    describe("sysex", () => {
+        it("should send and receive the payload in the encoding of the command", () => {
+            const requests = [];
+            transport.on("sysex", data => {
+                requests.push(data);
+                transport.sendSysex([0x21].concat(data.slice(1)));
+            });
+            return board.sysexRequest(0x20, [0x81, 2], 0x21, 100, "twoByte", "twoByte")
+                .then(payload => {
+                    expect(payload).to.deep.equal([0x81, 2]);
+                    return board.sysexRequest(0x20, [5, 6], 0x21, 100, "raw", "raw");
+                })
+                .then(payload => {
+                    expect(payload).to.deep.equal([5, 6]);
+                    expect(requests).to.deep.equal([[0x20, 0x01, 0x01, 2, 0], [0x20, 5, 6]]);
+                });
+        });
+
+        it("should reject a response which is not in the encoding", () => {
+            transport.on("sysex", () => transport.sendSysex([0x21, 1, 2, 3]));
+            return board.sysexRequest(0x20, [], 0x21, 100, "raw", "twoByte")
+                .then(
+                    () => expect.fail("three bytes are not in two-byte encoding"),
+                    reason => {
+                        expect(reason.message).to.include("malformed");
+                    });
+        });
+    });
+
+    describe("steppers", () => {
+        let steppers;
+
+        beforeEach(() => {
+            steppers = emulateAccelStepper(transport, board);
+            return board.stepperConfig(0, "driver", [2, 3]);
+        });
+
+        it("should resolve the position when the move was completed", () => {
+            return board.stepperStep(0, 200)
+                .then(position => {
+                    expect(position).to.equal(200);
+                    return board.stepperStep(0, -250);
+                })
+                .then(position => {
+                    expect(position).to.equal(-50);
+                    steppers.positions[0] = 30;
+                    return board.stepperPosition(0);
+                })
+                .then(position => {
+                    expect(position).to.equal(30);
+                    expect(board.getStepper(0).position).to.equal(30);
+                });
+        });
+
+        it("should finish the move in progress when the next move started or it was stopped", () => {
+            steppers.holding = true;
+            const first = board.stepperStep(0, 100);
+            const second = board.stepperStep(0, 100);
+            return first
+                .then(position => {
+                    expect(position).to.equal(0);
+                    return Promise.all([second, board.stepperStop(0)]);
+                })
+                .then(([position]) => {
+                    expect(position).to.equal(0);
+                    expect(steppers.stopped).to.deep.equal([0]);
+                    expect(board.getStepper(0).finishMove).to.equal(null);
+                });
+        });
+
+        it("should finish the move in progress when the board was released", () => {
+            steppers.holding = true;
+            const moving = board.stepperStep(0, 100);
+            board.releaseBoard();
+            return moving
+                .then(position => {
+                    expect(position).to.equal(0);
+                    expect(board.steppers.size).to.equal(0);
+                });
+        });
+
+        it("should reject the move which was not completed in the estimated time", () => {
+            steppers.holding = true;
+            board.stepperMoveMarginTime = 20;
+            const started = Date.now();
+            return board.stepperSpeed(0, 1000)
+                .then(() => board.stepperAcceleration(0, 10000))
+                .then(() => board.stepperStep(0, -100))
+                .then(
+                    () => expect.fail("the move was not completed"),
+                    reason => {
+                        expect(reason.message).to.include("stepper 0 did not complete the move");
+                        // 100 steps take 200ms with the acceleration.
+                        expect(Date.now() - started).to.be.within(200, 400);
+                        expect(board.getStepper(0).finishMove).to.equal(null);
+                        expect(board.firmata.listenerCount("stepper-done-0")).to.equal(0);
+                    });
+        });
+
+        it("should reject the config on the firmware without AccelStepperFirmata", () => {
+            return board.stepperConfig(1, "driver", [2, 1])
+                .then(
+                    () => expect.fail("pin 1 does not support STEPPER"),
+                    reason => {
+                        expect(reason.message).to.include("pin 1,");
+                        expect(board.steppers.has(1)).to.equal(false);
+                    });
+        });
+
+        it("should reject the moves of the stepper which is not configured", () => {
+            return board.stepperStep(1, 100)
+                .then(
+                    () => expect.fail("stepper 1 is not configured"),
+                    reason => {
+                        expect(reason.message).to.include("stepper 1");
+                    });
+        });
+    });
+
+    describe("resetting outputs", () => {
+        it("should reset the outputs which have no owner", () => {
+            board.pinMode(3, board.MODES.OUTPUT);
+            return board.digitalWrite(3, board.HIGH)
+                .then(() => wait(20))
+                .then(() => {
+                    expect(transport.getOutput(3)).to.equal(1);
+                    expect(board.pinOwners.has(3)).to.equal(false);
+                    return board.resetOutputs();
+                })
+                .then(() => wait(20))
+                .then(() => {
+                    expect(transport.getOutput(3)).to.equal(0);
+                });
+        });
+
+        it("should stop the steppers, clear the shift registers and turn off the pixels", () => {
+            const steppers = emulateAccelStepper(transport, board);
+            const sysex = [];
+            const outputs = [];
+            transport.on("sysex", data => sysex.push(data));
+            let moving;
+            return Promise.all([
+                board.stepperConfig(0, "driver", [2, 3]),
+                board.shiftRegisterConfig(4, 5, 6, 2),
+                board.pixelConfig(7, 8, COLOR_ORDERS.GRB)
+            ])
+                .then(() => {
+                    steppers.holding = true;
+                    moving = board.stepperStep(0, 100);
+                    board.getPixelStrip(7).setPixel(0, 0xFF0000);
+                    return Promise.all([board.shiftRegisterWrite(4, 12, 1), board.pixelShow()]);
+                })
+                .then(() => {
+                    transport.on("output", output => outputs.push(output));
+                    return Promise.all([moving, board.resetOutputs()]);
+                })
+                .then(([position]) => {
+                    expect(position).to.equal(0);
+                    expect(steppers.stopped).to.deep.equal([0]);
+
+                    // The outputs are emitted for all the pins in the port, so only the changes are traced.
+                    const levels = {4: transport.getOutput(4), 5: 0, 6: 1};
+                    const shifted = [];
+                    const latched = [];
+                    outputs.forEach(output => {
+                        if (levels[output.pin] === output.value) return;
+                        levels[output.pin] = output.value;
+                        if (output.pin === 5 && output.value === 1) shifted.push(levels[4]);
+                        if (output.pin === 6) latched.push(output.value);
+                    });
+                    expect(shifted).to.deep.equal(new Array(16).fill(0));
+                    expect(latched).to.deep.equal([0, 1]);
+                    expect(board.shiftRegisters.get(4).registers).to.deep.equal([0, 0]);
+
+                    expect(sysex).to.deep.include([PIXEL_COMMAND, PIXEL_COMMANDS.OFF]);
+                    const strip = board.getPixelStrip(7);
+                    expect(strip.pixels[0]).to.equal(0);
+                    expect(strip.changedPixels()).to.deep.equal([]);
+                });
+        });
+    });
+
+    describe("reconnecting", () => {
+        let hadNavigator;
+        let ports;
+        let attempts;
+
+        before(() => {
+            hadNavigator = (typeof global.navigator !== "undefined");
+            if (!hadNavigator) {
+                global.navigator = {serial: {getPorts: () => Promise.resolve([])}};
+            }
+        });
+
+        after(() => {
+            if (!hadNavigator) delete global.navigator;
+        });
+
+        beforeEach(() => {
+            // Treat the virtual transport as a serial port which can be lost and found again.
+            board.virtualTransport = null;
+            board.nativePort = {};
+            board.reconnectingDelays = [0, 20, 40];
+            board.reconnectingWaitingTime = 500;
+            ports = [];
+            attempts = [];
+            board.findPermittedPort = () => {
+                attempts.push(Date.now());
+                return Promise.resolve(ports.shift());
+            };
+            board.openNativePort = () => {
+                transport = new VirtualTransport();
+                return Promise.resolve(transport);
+            };
+        });
+
+        it("should retry with the backoff and restore the pins", () => {
+            ports = [null, board.nativePort];
+            board.pinMode(13, board.MODES.OUTPUT);
+            board.digitalWrite(13, board.HIGH);
+            board.pinMode(9, board.MODES.PWM);
+            board.pwmWrite(9, 100);
+            return board.subscribeDigitalInput(2)
+                .then(() => wait(20))
+                .then(() => {
+                    const reconnected = new Promise(resolve => board.once(ArduinoBoard.RECONNECTED, resolve));
+                    transport.close();
+                    expect(board.state).to.equal("reconnecting");
+                    return reconnected;
+                })
+                .then(() => wait(20))
+                .then(() => {
+                    expect(attempts).to.have.lengthOf(2);
+                    expect(attempts[1] - attempts[0]).to.be.at.least(15);
+                    expect(board.isReady()).to.equal(true);
+                    expect(transport.getOutput(13)).to.equal(1);
+                    expect(transport.getOutput(9)).to.equal(100);
+                    expect(transport.pins[9].mode).to.equal(board.MODES.PWM);
+                    expect(transport.digitalReports[0]).to.equal(true);
+                    expect(board.digitalInputSubscriptions.has(2)).to.equal(true);
+                });
+        });
+
+        it("should finish the move of the stepper which was lost", () => {
+            ports = [board.nativePort];
+            const reconnected = new Promise(resolve => board.once(ArduinoBoard.RECONNECTED, resolve));
+            emulateAccelStepper(transport, board).holding = true;
+            return board.stepperConfig(0, "driver", [2, 3])
+                .then(() => {
+                    const moving = board.stepperStep(0, 100);
+                    transport.close();
+                    return moving;
+                })
+                .then(position => {
+                    expect(position).to.equal(0);
+                    expect(board.getStepper(0).finishMove).to.equal(null);
+                    return reconnected;
+                });
+        });
+
+        it("should release the board when all the attempts failed", () => {
+            const lost = new Promise(resolve =>
+                board.runtime.once(FakeRuntime.PERIPHERAL_CONNECTION_LOST_ERROR, resolve));
+            const released = new Promise(resolve => board.once(ArduinoBoard.RELEASED, resolve));
+            transport.close();
+            return Promise.all([lost, released])
+                .then(() => {
+                    expect(attempts).to.have.lengthOf(3);
+                    expect(board.isConnected()).to.equal(false);
+                });
+        });
+
+        it("should stop reconnecting when the board was disconnected", () => {
+            transport.close();
+            board.disconnect();
+            return wait(100)
+                .then(() => {
+                    expect(attempts).to.have.lengthOf(0);
+                    expect(board.state).to.equal("disconnect");
+                });
+        });
+    });
+});
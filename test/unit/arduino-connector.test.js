@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { FakeRuntime, releaseBoards } from "../fake-runtime.js";
+import { ArduinoConnector, getArduinoConnector } from "../../src/vm/extensions/block/arduino-connector.js";
+
+describe("ArduinoConnector", () => {
+    let runtime;
+    let connector;
+
+    beforeEach(() => {
+        runtime = new FakeRuntime();
+        connector = getArduinoConnector(runtime);
+    });
+
+    afterEach(() => {
+        releaseBoards(runtime);
+    });
+
+    describe("board numbers", () => {
+        it("should number the boards with the smallest unused number", () => {
+            const holder = new ArduinoConnector(runtime);
+            const boards = [{}, {}, {}].map(board => {
+                holder.addBoard(board);
+                return board;
+            });
+            expect(boards.map(board => board.number)).to.deep.equal([1, 2, 3]);
+            holder.removeBoard(boards[0]);
+            const added = {};
+            holder.addBoard(added);
+            expect(added.number).to.equal(1);
+            expect(holder.findBoardByNumber(1)).to.equal(added);
+            expect(holder.findBoardByNumber(3)).to.equal(boards[2]);
+            expect(holder.findBoardByNumber(4)).to.equal(undefined);
+        });
+
+        it("should emit the events when the boards were added and removed", () => {
+            const holder = new ArduinoConnector(runtime);
+            const events = [];
+            holder.on(ArduinoConnector.BOARD_ADDED, board => events.push(["added", board.number]));
+            holder.on(ArduinoConnector.BOARD_REMOVED, board => events.push(["removed", board.number]));
+            const board = {};
+            holder.addBoard(board);
+            holder.removeBoard(board);
+            holder.removeBoard(board);
+            expect(events).to.deep.equal([["added", 1], ["removed", 1]]);
+        });
+
+        it("should reuse the number of the virtual board which was released", () => {
+            const connected = [];
+            return connector.connectVirtual("test")
+                .then(board => connected.push(board))
+                .then(() => connector.connectVirtual("test"))
+                .then(board => connected.push(board))
+                .then(() => {
+                    expect(connected.map(board => board.number)).to.deep.equal([1, 2]);
+                    const disconnected = new Promise(resolve =>
+                        runtime.once(FakeRuntime.PERIPHERAL_DISCONNECTED, resolve));
+                    connected[0].releaseBoard();
+                    expect(connector.boards).to.deep.equal([connected[1]]);
+                    return disconnected;
+                })
+                .then(() => connector.connectVirtual("test"))
+                .then(board => {
+                    expect(board.number).to.equal(1);
+                    expect(board.extensionId).to.equal("test");
+                    expect(connector.findBoardByNumber(2)).to.equal(connected[1]);
+                });
+        });
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    CONNECTION_ERRORS,
+    ConnectionError,
+    toOpenPortError,
+    toRequestPortError
+} from "../../src/vm/extensions/block/connection-error.js";
+
+const domException = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+describe("ConnectionError", () => {
+    it("should tell user cancelled when no port was selected", () => {
+        const error = toRequestPortError(domException("NotFoundError", "No port selected by the user."));
+        expect(error).to.be.instanceOf(ConnectionError);
+        expect(error.code).to.equal(CONNECTION_ERRORS.USER_CANCELLED);
+    });
+
+    it("should keep unknown reasons of requesting port", () => {
+        const reason = domException("SecurityError", "not allowed");
+        expect(toRequestPortError(reason)).to.equal(reason);
+    });
+
+    it("should tell port busy when the port could not be opened", () => {
+        const error = toOpenPortError(domException("NetworkError", "Failed to open serial port."));
+        expect(error.code).to.equal(CONNECTION_ERRORS.PORT_BUSY);
+        expect(error.message).to.equal("Failed to open serial port.");
+    });
+
+    it("should pass through ConnectionError", () => {
+        const error = new ConnectionError(CONNECTION_ERRORS.WRONG_BAUD_RATE, "garbage");
+        expect(toOpenPortError(error)).to.equal(error);
+        expect(toRequestPortError(error)).to.equal(error);
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    EASINGS,
+    interpolate
+} from "../../src/vm/extensions/block/easing.js";
+
+describe("Easing", () => {
+    it("every easing should start at 0 and end at 1", () => {
+        Object.keys(EASINGS).forEach(name => {
+            expect(EASINGS[name](0)).to.equal(0);
+            expect(EASINGS[name](1)).to.equal(1);
+        });
+    });
+
+    it("interpolate() should ease between the values", () => {
+        expect(interpolate(0, 100, 0.5, "linear")).to.equal(50);
+        expect(interpolate(0, 100, 0.5, "easeIn")).to.equal(25);
+        expect(interpolate(0, 100, 0.5, "easeOut")).to.equal(75);
+        expect(interpolate(100, 0, 0.25, "easeInOut")).to.equal(87.5);
+        expect(interpolate(0, 100, 2, "unknown")).to.equal(100);
+    });
+});
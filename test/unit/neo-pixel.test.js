@@ -0,0 +1,50 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    COLOR_ORDERS,
+    PIXEL_COMMAND,
+    PixelStrip,
+    hsvToColor,
+    packColor,
+    pixelConfigMessage,
+    pixelSetMessage
+} from "../../src/vm/extensions/block/neo-pixel.js";
+
+describe("NeoPixel", () => {
+    it("should pack colors", () => {
+        expect(packColor(255, 0x80, 300)).to.equal(0xFF80FF);
+        expect(hsvToColor(0, 100, 100)).to.equal(0xFF0000);
+        expect(hsvToColor(120, 100, 100)).to.equal(0x00FF00);
+        expect(hsvToColor(-120, 100, 50)).to.equal(0x000080);
+        expect(hsvToColor(30, 0, 100)).to.equal(0xFFFFFF);
+    });
+
+    it("should send only the changed pixels", () => {
+        const strip = new PixelStrip(6, 4, COLOR_ORDERS.GRB);
+        expect(strip.changedPixels()).to.deep.equal([0, 1, 2, 3]);
+        [0, 1, 2, 3].forEach(index => strip.markSent(index));
+        expect(strip.setPixel(1, 0x0000FF)).to.equal(true);
+        expect(strip.setPixel(4, 0x0000FF)).to.equal(false);
+        expect(strip.changedPixels()).to.deep.equal([1]);
+        strip.markSent(1);
+        strip.fill(3, 2, 0x0000FF);
+        expect(strip.changedPixels()).to.deep.equal([2, 3]);
+    });
+
+    it("should shift and rotate the pixels", () => {
+        const strip = new PixelStrip(6, 4, COLOR_ORDERS.GRB);
+        strip.pixels = [1, 2, 3, 4];
+        strip.shift(1, true);
+        expect(strip.pixels).to.deep.equal([4, 1, 2, 3]);
+        strip.shift(-2, true);
+        expect(strip.pixels).to.deep.equal([2, 3, 4, 1]);
+        strip.shift(-1, false);
+        expect(strip.pixels).to.deep.equal([3, 4, 1, 0]);
+    });
+
+    it("should make the pixel messages in 7-bit bytes", () => {
+        const strips = [new PixelStrip(6, 200, COLOR_ORDERS.GRB), new PixelStrip(7, 8, COLOR_ORDERS.RGB)];
+        expect(pixelConfigMessage(strips)).to.deep.equal([PIXEL_COMMAND, 0x01, 0x06, 0x48, 0x01, 0x27, 0x08, 0x00]);
+        expect(pixelSetMessage(130, 0xFF0000)).to.deep.equal([PIXEL_COMMAND, 0x03, 0x02, 0x01, 0x00, 0x00, 0x7C, 0x07]);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    crc8,
+    isValidCRC,
+    decodeDS18B20Temperature
+} from "../../src/vm/extensions/block/one-wire.js";
+
+// ROM code in the example of Maxim application note 27 which ends with its CRC
+const romCode = [0x02, 0x1C, 0xB8, 0x01, 0x00, 0x00, 0x00, 0xA2];
+
+describe("OneWire", () => {
+    it("crc8() should calculate Maxim CRC", () => {
+        expect(crc8([])).to.equal(0);
+        expect(crc8(romCode.slice(0, 7))).to.equal(romCode[7]);
+    });
+
+    it("isValidCRC() should check the last byte", () => {
+        expect(isValidCRC(romCode)).to.equal(true);
+        expect(isValidCRC(romCode.slice(0, 7).concat([0x00]))).to.equal(false);
+        expect(isValidCRC([0x00])).to.equal(false);
+    });
+
+    it("should decode temperature of DS18B20", () => {
+        // Examples in the datasheet of DS18B20
+        expect(decodeDS18B20Temperature([0xD0, 0x07])).to.equal(125);
+        expect(decodeDS18B20Temperature([0x91, 0x01])).to.equal(25.0625);
+        expect(decodeDS18B20Temperature([0x00, 0x00])).to.equal(0);
+        expect(decodeDS18B20Temperature([0x5E, 0xFF])).to.equal(-10.125);
+        expect(decodeDS18B20Temperature([0x90, 0xFC])).to.equal(-55);
+    });
+});
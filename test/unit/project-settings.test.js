@@ -0,0 +1,51 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import { FakeRuntime, FakeStage } from "../fake-runtime.js";
+import { ProjectSettings } from "../../src/vm/extensions/block/project-settings.js";
+
+describe("ProjectSettings", () => {
+    it("should save the settings in the hidden block of the stage", () => {
+        const runtime = new FakeRuntime();
+        let changes = 0;
+        runtime.on("PROJECT_CHANGED", () => changes++);
+        const settings = new ProjectSettings(runtime, "test");
+        expect(settings.set("baudRate", 9600)).to.equal(true);
+        expect(settings.set("safeStop", false)).to.equal(true);
+        expect(changes).to.equal(2);
+        const holder = runtime.stage.blocks.getBlock("test.settings");
+        expect(holder.opcode).to.equal("test_settings");
+        expect(holder.topLevel).to.equal(false);
+        expect(JSON.parse(holder.fields.SETTINGS.value)).to.deep.equal({baudRate: 9600, safeStop: false});
+
+        const loaded = new ProjectSettings(runtime, "test");
+        expect(loaded.get("baudRate")).to.equal(undefined);
+        loaded.load();
+        expect(loaded.get("baudRate")).to.equal(9600);
+        expect(loaded.get("safeStop")).to.equal(false);
+    });
+
+    it("should clear the settings for the project which has no valid settings", () => {
+        const runtime = new FakeRuntime();
+        const settings = new ProjectSettings(runtime, "test");
+        settings.set("baudRate", 9600);
+        runtime.stage = new FakeStage();
+        expect(settings.load()).to.deep.equal({});
+        settings.set("baudRate", 9600);
+        const holder = runtime.stage.blocks.getBlock("test.settings");
+        ["{broken", "[9600]", "null", "9600"].forEach(value => {
+            holder.fields.SETTINGS.value = value;
+            expect(settings.load()).to.deep.equal({});
+        });
+        delete holder.fields.SETTINGS;
+        expect(settings.load()).to.deep.equal({});
+    });
+
+    it("should keep the settings in memory when the runtime has no stage", () => {
+        const runtime = new FakeRuntime();
+        runtime.stage = null;
+        const settings = new ProjectSettings(runtime, "test");
+        expect(settings.set("baudRate", 9600)).to.equal(false);
+        expect(settings.load()).to.deep.equal({baudRate: 9600});
+        expect(new ProjectSettings({}, "test").load()).to.deep.equal({});
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import SensorDriver, { toSigned } from "../../src/vm/extensions/block/sensor-drivers/sensor-driver.js";
+import VL53L0X from "../../src/vm/extensions/block/sensor-drivers/vl53l0x.js";
+import {
+    compensate,
+    decodeMeasurement,
+    decodeRange,
+    parseCalibration,
+    selectReferenceSpads
+} from "../../src/vm/extensions/block/sensor-drivers/decoders.js";
+
+const u16LE = value => [value & 0xFF, (value >> 8) & 0xFF];
+
+// Calibration values of the example in the datasheet of BMP280
+const calib00 = [
+    27504, 26435, 64536, 36477, 54851, 3024, 2855, 140, 65529, 15500, 50936, 6000
+].reduce((bytes, value) => bytes.concat(u16LE(value)), [])
+    .concat([0, 75]);
+const calib26 = [0x6A, 0x01, 0x00, 0x13, 0x2B, 0x03, 0x1E];
+
+describe("sensor drivers", () => {
+    describe("SensorDriver", () => {
+        it("toSigned() should convert unsigned values", () => {
+            expect(toSigned(0x7FFF, 16)).to.equal(32767);
+            expect(toSigned(0xFFFF, 16)).to.equal(-1);
+            expect(toSigned(0x800, 12)).to.equal(-2048);
+        });
+
+        it("read() should share an update within the interval", () => {
+            let count = 0;
+            const driver = new SensorDriver(null, 0x10);
+            driver.update = () => {
+                count++;
+                return Promise.resolve({a: 1, b: 2});
+            };
+            return Promise.all([driver.read("a"), driver.read("b")])
+                .then(values => {
+                    expect(values).to.deep.equal([1, 2]);
+                    return driver.read("a");
+                })
+                .then(value => {
+                    expect(value).to.equal(1);
+                    expect(count).to.equal(1);
+                });
+        });
+    });
+
+    describe("BME280", () => {
+        it("should decode calibration parameters", () => {
+            const calib = parseCalibration(calib00, calib26);
+            expect(calib.T1).to.equal(27504);
+            expect(calib.T3).to.equal(-1000);
+            expect(calib.P8).to.equal(-14600);
+            expect(calib.H1).to.equal(75);
+            expect(calib.H2).to.equal(362);
+            expect(calib.H4).to.equal(315);
+            expect(calib.H5).to.equal(50);
+        });
+
+        it("should compensate temperature and pressure", () => {
+            const calib = parseCalibration(calib00, calib26);
+            const adcP = 415148;
+            const adcT = 519888;
+            const data = [
+                adcP >> 12, (adcP >> 4) & 0xFF, (adcP & 0x0F) << 4,
+                adcT >> 12, (adcT >> 4) & 0xFF, (adcT & 0x0F) << 4,
+                0x80, 0x00
+            ];
+            const result = compensate(data, calib);
+            expect(result.temperature).to.be.closeTo(25.08, 0.01);
+            expect(result.pressure).to.be.closeTo(1006.53, 0.01);
+            expect(result.humidity).to.be.within(0, 100);
+        });
+    });
+
+    describe("MPU6050", () => {
+        it("should decode measurement registers", () => {
+            const data = [0x40, 0x00, 0xC0, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x83, 0xFF, 0x7D, 0x00, 0x00];
+            const result = decodeMeasurement(data);
+            expect(result.accelerationX).to.equal(1);
+            expect(result.accelerationY).to.equal(-1);
+            expect(result.accelerationZ).to.equal(0);
+            expect(result.temperature).to.be.closeTo(36.53, 0.001);
+            expect(result.gyroX).to.equal(1);
+            expect(result.gyroY).to.equal(-1);
+        });
+    });
+
+    describe("VL53L0X", () => {
+        it("should decode range", () => {
+            expect(decodeRange([0x01, 0x2C])).to.equal(300);
+            expect(decodeRange([0x1F, 0xFE])).to.equal(Infinity);
+        });
+
+        it("should enable the reference SPADs by the count from the first one of the type", () => {
+            const spadMap = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+            expect(selectReferenceSpads(spadMap, 5, false)).to.deep.equal([0x1F, 0, 0, 0, 0, 0]);
+            expect(selectReferenceSpads(spadMap, 5, true)).to.deep.equal([0, 0xF0, 0x01, 0, 0, 0]);
+            expect(selectReferenceSpads([0xAA, 0xFF, 0, 0, 0, 0], 3, false)).to.deep.equal([0x2A, 0, 0, 0, 0, 0]);
+        });
+
+        it("should tune, set the SPADs and calibrate the sensor in init()", () => {
+            const registers = {0xC0: 0xEE, 0x83: 0x00, 0x91: 0x3C, 0x92: 0x85, 0x13: 0x00};
+            const spadMap = [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF];
+            const writes = [];
+            const board = {
+                sendingInterval: 1,
+                i2cReadOnce: (address, register, length) => {
+                    if (register === 0xB0) return Promise.resolve(spadMap.slice(0, length));
+                    const value = registers[register] || 0;
+                    // The steps are finished after the first poll.
+                    if (register === 0x83) registers[0x83] = 0x10;
+                    if (register === 0x13) registers[0x13] = 0x01;
+                    return Promise.resolve([value]);
+                },
+                i2cWrite: (address, register, data) => {
+                    writes.push([register].concat(data));
+                    if (register === 0x0B) registers[0x13] = 0x00;
+                    return Promise.resolve();
+                }
+            };
+            const sensor = new VL53L0X(board, null);
+            return sensor.init()
+                .then(() => {
+                    expect(sensor.stopVariable).to.equal(0x3C);
+                    expect(writes).to.deep.include([0x44, 0x00, 0x20]);
+                    expect(writes).to.deep.include([0xB0, 0, 0xF0, 0x01, 0, 0, 0]);
+                    expect(writes).to.deep.include([0x72, 0xFE]);
+                    const vhv = writes.findIndex(([register, value]) => register === 0x00 && value === 0x41);
+                    expect(writes[vhv - 1]).to.deep.equal([0x01, 0x01]);
+                    const phase = writes.findIndex(([register, value]) => register === 0x01 && value === 0x02);
+                    expect(writes[phase + 1]).to.deep.equal([0x00, 0x01]);
+                    expect(writes[writes.length - 1]).to.deep.equal([0x00, 0x02]);
+                });
+        });
+
+        it("should reject init() when the sensor does not finish a step", () => {
+            const board = {
+                sendingInterval: 50,
+                i2cReadOnce: (address, register) => Promise.resolve([register === 0xC0 ? 0xEE : 0]),
+                i2cWrite: () => Promise.resolve()
+            };
+            return new VL53L0X(board, null).init()
+                .then(
+                    () => expect.fail("the SPAD info is never ready"),
+                    reason => {
+                        expect(reason.message).to.include("VL53L0X timed out");
+                    });
+        });
+    });
+});
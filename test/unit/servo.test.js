@@ -0,0 +1,31 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    DEFAULT_SERVO_CALIBRATION,
+    makeServoCalibration,
+    servoValueOf
+} from "../../src/vm/extensions/block/servo.js";
+
+describe("Servo", () => {
+    it("should map the angle as before by default", () => {
+        expect(servoValueOf(0, DEFAULT_SERVO_CALIBRATION)).to.equal(90);
+        expect(servoValueOf(90, DEFAULT_SERVO_CALIBRATION)).to.equal(0);
+        expect(servoValueOf(-90, DEFAULT_SERVO_CALIBRATION)).to.equal(180);
+        expect(servoValueOf(120, DEFAULT_SERVO_CALIBRATION)).to.equal(0);
+    });
+
+    it("should map the angle in the range of the calibration", () => {
+        const calibration = makeServoCalibration(500, 2500, 270);
+        expect(calibration.reversed).to.equal(false);
+        expect(servoValueOf(135, calibration)).to.equal(0);
+        expect(servoValueOf(45, calibration)).to.equal(60);
+    });
+
+    it("should reverse the direction when min is greater than max", () => {
+        const calibration = makeServoCalibration(2400, 544, 180);
+        expect(calibration.minPulse).to.equal(544);
+        expect(calibration.maxPulse).to.equal(2400);
+        expect(calibration.reversed).to.equal(true);
+        expect(servoValueOf(90, calibration)).to.equal(180);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    BIT_ORDERS,
+    byteToBits,
+    ShiftRegisterChain
+} from "../../src/vm/extensions/block/shift-register.js";
+
+describe("ShiftRegister", () => {
+    it("byteToBits() should order the bits", () => {
+        expect(byteToBits(0x81 | 0x02, BIT_ORDERS.MSB_FIRST)).to.deep.equal([1, 0, 0, 0, 0, 0, 1, 1]);
+        expect(byteToBits(0x81 | 0x02, BIT_ORDERS.LSB_FIRST)).to.deep.equal([1, 1, 0, 0, 0, 0, 0, 1]);
+    });
+
+    it("should keep the outputs of the chain", () => {
+        const chain = new ShiftRegisterChain(11, 12, 8, 2);
+        expect(chain.outputCount).to.equal(16);
+        expect(chain.setOutput(0, 1)).to.equal(true);
+        expect(chain.setOutput(15, 1)).to.equal(true);
+        expect(chain.setOutput(16, 1)).to.equal(false);
+        expect(chain.getOutput(15)).to.equal(1);
+        expect(chain.bytesToShift()).to.deep.equal([0x80, 0x01]);
+        chain.setOutput(0, 0);
+        expect(chain.getOutput(0)).to.equal(0);
+        expect(chain.bytesToShift()).to.deep.equal([0x80, 0x00]);
+    });
+});
@@ -0,0 +1,18 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    SONAR_CONFIG,
+    decodeSonarData,
+    sonarConfigMessage
+} from "../../src/vm/extensions/block/sonar.js";
+
+describe("Sonar", () => {
+    it("should make the config message with the max distance in 7-bit bytes", () => {
+        expect(sonarConfigMessage(7, 8, 400)).to.deep.equal([SONAR_CONFIG, 7, 8, 0x10, 0x03]);
+    });
+
+    it("should decode the distance of the trigger pin", () => {
+        expect(decodeSonarData([7, 0x2C, 0x01])).to.deep.equal({triggerPin: 7, distance: 172});
+        expect(decodeSonarData([12, 0, 0])).to.deep.equal({triggerPin: 12, distance: 0});
+    });
+});
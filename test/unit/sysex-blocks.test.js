@@ -0,0 +1,95 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    SYSEX_ENCODINGS,
+    SYSEX_VALUE_TYPES,
+    argumentNamesOf,
+    decodeSysexPayload,
+    decodeSysexValue,
+    encodeSysexPayload,
+    encodeSysexValue,
+    loadSysexBlocks,
+    normalizeSysexBlock,
+    sysexBlockTextOf,
+    sysexPayloadOf
+} from "../../src/vm/extensions/block/sysex-blocks.js";
+
+describe("SysexBlocks", () => {
+    it("argumentNamesOf() should list the arguments in the order of the text", () => {
+        expect(argumentNamesOf("set [B] and [A] of [BOARD] then [B]")).to.deep.equal(["B", "A", "BOARD"]);
+    });
+
+    it("should normalize a descriptor", () => {
+        const block = normalizeSysexBlock({
+            opcode: "matrixRow",
+            text: "set row [ROW] to [BITS]",
+            command: 0x01,
+            arguments: {BITS: {type: "bytes", defaultValue: "0xFF"}}
+        });
+        expect(block.opcode).to.equal("sysex_matrixRow");
+        expect(block.blockType).to.equal("command");
+        expect(block.response).to.equal(0x01);
+        expect(block.encoding).to.equal(SYSEX_ENCODINGS.TWO_BYTE);
+        expect(block.responseEncoding).to.equal(SYSEX_ENCODINGS.TWO_BYTE);
+        expect(block.arguments).to.deep.equal({
+            ROW: {type: "byte", defaultValue: ""},
+            BITS: {type: "bytes", defaultValue: "0xFF"}
+        });
+    });
+
+    it("should reject invalid descriptors", () => {
+        expect(() => normalizeSysexBlock({opcode: "a b", text: "x", command: 1})).to.throw();
+        expect(() => normalizeSysexBlock({opcode: "a", text: "x", command: 0x80})).to.throw();
+        expect(() => normalizeSysexBlock({opcode: "a", text: "[X]", command: 1, arguments: {X: {type: "float"}}}))
+            .to.throw();
+        expect(() => normalizeSysexBlock({opcode: "a", text: "x", command: 1, encoding: "base64"})).to.throw();
+        expect(() => normalizeSysexBlock({opcode: "a", text: "x", command: 1, responseEncoding: "8bit"})).to.throw();
+        const loaded = loadSysexBlocks({blocks: [
+            {opcode: "a", text: "x", command: 1},
+            {opcode: "a", text: "y", command: 2},
+            {opcode: "b", blockType: "hat", text: "z", command: 3}
+        ]});
+        expect(loaded.blocks.map(block => block.opcode)).to.deep.equal(["sysex_a"]);
+        expect(loaded.errors).to.have.lengthOf(2);
+    });
+
+    it("should select the text for the locale", () => {
+        const block = normalizeSysexBlock({opcode: "a", text: {en: "hello", ja: "こんにちは"}, command: 1});
+        expect(sysexBlockTextOf(block, "ja-Hira")).to.equal("こんにちは");
+        expect(sysexBlockTextOf(block, "fr")).to.equal("hello");
+    });
+
+    it("should pack the arguments into the payload", () => {
+        const block = normalizeSysexBlock({
+            opcode: "a",
+            text: "[N] [V] [D] [T]",
+            command: 1,
+            arguments: {
+                V: {type: "int16"},
+                D: {type: "bytes"},
+                T: {type: "text"}
+            }
+        });
+        expect(sysexPayloadOf(block, {N: 300, V: -2, D: "0x10, 2", T: "Hi"}))
+            .to.deep.equal([44, 0xFE, 0xFF, 0x10, 2, 0x48, 0x69]);
+        expect(encodeSysexValue("x", SYSEX_VALUE_TYPES.BYTE)).to.deep.equal([0]);
+    });
+
+    it("should decode the response", () => {
+        expect(decodeSysexValue([1, 2, 3], SYSEX_VALUE_TYPES.BYTES)).to.equal("1 2 3");
+        expect(decodeSysexValue([7, 2], SYSEX_VALUE_TYPES.BYTE)).to.equal(7);
+        expect(decodeSysexValue([0xFE, 0xFF], SYSEX_VALUE_TYPES.INT16)).to.equal(-2);
+        expect(decodeSysexValue([0x48, 0x69], SYSEX_VALUE_TYPES.TEXT)).to.equal("Hi");
+    });
+
+    it("should encode the payload in the encoding of the command", () => {
+        const block = normalizeSysexBlock({opcode: "a", text: "x", command: 1, encoding: "raw", responseEncoding: "twoByte"});
+        expect(block.encoding).to.equal(SYSEX_ENCODINGS.RAW);
+        expect(block.responseEncoding).to.equal(SYSEX_ENCODINGS.TWO_BYTE);
+        expect(encodeSysexPayload([0x81, 2], SYSEX_ENCODINGS.TWO_BYTE)).to.deep.equal([0x01, 0x01, 2, 0]);
+        expect(encodeSysexPayload([0x81, 2], SYSEX_ENCODINGS.RAW)).to.deep.equal([0x01, 2]);
+        expect(decodeSysexPayload([0x01, 0x01, 2, 0], SYSEX_ENCODINGS.TWO_BYTE)).to.deep.equal([0x81, 2]);
+        expect(decodeSysexPayload([1, 2, 3], SYSEX_ENCODINGS.RAW)).to.deep.equal([1, 2, 3]);
+        expect(() => decodeSysexPayload([1, 2, 3], SYSEX_ENCODINGS.TWO_BYTE)).to.throw();
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import {
+    TONE_DATA,
+    noToneMessage,
+    noteToFrequency,
+    squareWaveInterval,
+    toneMessage
+} from "../../src/vm/extensions/block/tone.js";
+
+describe("Tone", () => {
+    it("noteToFrequency() should convert MIDI notes", () => {
+        expect(noteToFrequency(69)).to.equal(440);
+        expect(noteToFrequency(81)).to.equal(880);
+        expect(noteToFrequency(60)).to.be.closeTo(261.63, 0.01);
+    });
+
+    it("should make the tone messages in 7-bit bytes", () => {
+        expect(toneMessage(8, 440, 500)).to.deep.equal([TONE_DATA, 0x00, 8, 0x38, 0x03, 0x74, 0x03]);
+        expect(toneMessage(8, 440, 20000).slice(5)).to.deep.equal([0, 0]);
+        expect(noToneMessage(8)).to.deep.equal([TONE_DATA, 0x01, 8]);
+    });
+
+    it("should bound the rate of the software square wave", () => {
+        expect(squareWaveInterval(10)).to.equal(50);
+        expect(squareWaveInterval(440)).to.equal(10);
+        expect(squareWaveInterval(0)).to.equal(500);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import { FakeRuntime, releaseBoards, setupWindow } from "../fake-runtime.js";
+import ArduinoBoard from "../../src/vm/extensions/block/arduino-board.js";
+import { blockClass } from "../../src/vm/extensions/block/index.js";
+
+/**
+ * Wait for the messages to be exchanged with the virtual board.
+ * @param {number} time - waiting time in milliseconds
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+describe("VirtualBoard", () => {
+    let runtime;
+
+    beforeEach(() => {
+        setupWindow();
+        runtime = new FakeRuntime();
+    });
+
+    afterEach(() => {
+        releaseBoards(runtime);
+    });
+
+    describe("ArduinoBoard", () => {
+        let board;
+
+        beforeEach(() => {
+            board = new ArduinoBoard(runtime);
+            return board.connectVirtual();
+        });
+
+        afterEach(() => {
+            board.releaseBoard();
+        });
+
+        it("should be ready with the firmware of the virtual board", () => {
+            expect(board.isReady()).to.equal(true);
+            expect(board.getFirmware().name).to.equal("VirtualFirmata");
+            expect(board.getAnalogPinIndex()).to.deep.equal([0, 1, 2, 3, 4, 5]);
+        });
+
+        it("should write the outputs", () => {
+            board.pinMode(13, board.MODES.OUTPUT);
+            board.digitalWrite(13, board.HIGH);
+            board.pinMode(9, board.MODES.PWM);
+            return board.pwmWrite(9, 128)
+                .then(() => wait(20))
+                .then(() => {
+                    expect(board.virtualTransport.getOutput(13)).to.equal(1);
+                    expect(board.virtualTransport.getOutput(9)).to.equal(128);
+                });
+        });
+
+        it("should read the inputs", () => {
+            board.virtualTransport.setDigitalInput(2, 1);
+            board.virtualTransport.setAnalogInput(1, 300);
+            return Promise.all([board.updateDigitalInput(2), board.updateAnalogInput(1)])
+                .then(values => {
+                    expect(values).to.deep.equal([1, 300]);
+                });
+        });
+
+        it("should stop the transport when it was released", () => {
+            const transport = board.virtualTransport;
+            board.releaseBoard();
+            expect(board.isConnected()).to.equal(false);
+            expect(board.virtualTransport).to.equal(null);
+            expect(transport.isOpen).to.equal(false);
+        });
+    });
+
+    describe("ArduinoBlocks", () => {
+        let blocks;
+
+        beforeEach(() => {
+            blocks = new blockClass(runtime);
+            return blocks.connectVirtualBoard()
+                .then(result => {
+                    expect(result).to.equal("connected board 1");
+                });
+        });
+
+        it("should connect the virtual board as the current board", () => {
+            expect(blocks.isConnected()).to.equal(true);
+            expect(blocks.boardOf({BOARD: "1"})).to.equal(blocks.board);
+            expect(blocks.board.virtualTransport).to.not.equal(null);
+        });
+
+        it("should run the output blocks", () => {
+            blocks.setDigitalLevel({PIN: "13", LEVEL: "1", BOARD: "1"});
+            return blocks.setAnalogLevel({PIN: "9", LEVEL: "50", BOARD: "1"})
+                .then(() => wait(20))
+                .then(() => {
+                    expect(blocks.board.virtualTransport.getOutput(13)).to.equal(1);
+                    expect(blocks.board.virtualTransport.getOutput(9)).to.equal(128);
+                });
+        });
+
+        it("should run the input blocks", () => {
+            blocks.setVirtualDigitalInput({PIN: "2", LEVEL: "1", BOARD: "1"});
+            blocks.setVirtualAnalogInput({PIN: "0", LEVEL: "50", BOARD: "1"});
+            return Promise.all([
+                blocks.getDigitalLevel({PIN: "2", BOARD: "1"}),
+                blocks.analogInput({PIN: "0", BOARD: "1"})
+            ])
+                .then(([level, analog]) => {
+                    expect(level).to.equal(true);
+                    expect(analog).to.be.closeTo(50, 0.1);
+                });
+        });
+
+        it("should report nothing when the board was released", () => {
+            blocks.board.releaseBoard();
+            expect(blocks.isConnected()).to.equal(false);
+            expect(blocks.setDigitalLevel({PIN: "13", LEVEL: "1", BOARD: "1"})).to.equal("not connected");
+            return blocks.getDigitalLevel({PIN: "2", BOARD: "1"})
+                .then(level => {
+                    expect(level).to.equal(false);
+                });
+        });
+    });
+});
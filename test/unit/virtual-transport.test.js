@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach } from "mocha";
+import { expect } from "chai";
+import bindTransport from "firmata-io";
+import VirtualTransport from "../../src/vm/extensions/block/virtual-transport.js";
+
+const Firmata = bindTransport.Firmata;
+
+describe("VirtualTransport", () => {
+    let transport;
+    let firmata;
+
+    beforeEach(done => {
+        transport = new VirtualTransport();
+        firmata = new Firmata(transport, {reportVersionTimeout: 0});
+        firmata.once("ready", () => done());
+    });
+
+    afterEach(() => {
+        transport.close();
+    });
+
+    it("should answer the handshake as an Uno", () => {
+        expect(firmata.firmware.name).to.equal("VirtualFirmata");
+        expect(firmata.pins).to.have.lengthOf(20);
+        expect(firmata.analogPins).to.deep.equal([14, 15, 16, 17, 18, 19]);
+        expect(firmata.RESOLUTION.ADC).to.equal(1023);
+        expect(firmata.RESOLUTION.PWM).to.equal(255);
+        expect(firmata.pins[3].supportedModes).to.include(firmata.MODES.PWM);
+        expect(firmata.pins[2].supportedModes).to.not.include(firmata.MODES.PWM);
+    });
+
+    it("should keep the outputs", done => {
+        firmata.pinMode(13, firmata.MODES.OUTPUT);
+        firmata.digitalWrite(13, firmata.HIGH);
+        firmata.pinMode(9, firmata.MODES.PWM);
+        firmata.pwmWrite(9, 128);
+        setTimeout(() => {
+            expect(transport.getOutput(13)).to.equal(1);
+            expect(transport.getOutput(9)).to.equal(128);
+            done();
+        }, 10);
+    });
+
+    it("should report the digital input which was set", done => {
+        firmata.pinMode(2, firmata.MODES.INPUT);
+        firmata.reportDigitalPin(2, 1);
+        firmata.once("digital-read-2", first => {
+            expect(first).to.equal(0);
+            firmata.once("digital-read-2", value => {
+                expect(value).to.equal(1);
+                done();
+            });
+            transport.setDigitalInput(2, 1);
+        });
+    });
+
+    it("should report the analog input which was set", done => {
+        transport.setAnalogInput(3, 512);
+        firmata.reportAnalogPin(3, 1);
+        firmata.once("analog-read-3", value => {
+            expect(value).to.equal(512);
+            done();
+        });
+    });
+
+    it("should read the registers of the virtual I2C device", done => {
+        transport.setI2CRegisters(0x68, 0x75, [0x68]);
+        firmata.i2cConfig();
+        firmata.i2cWrite(0x68, 0x6B, [0x01, 0x02]);
+        firmata.i2cReadOnce(0x68, 0x6B, 3, data => {
+            expect(data).to.deep.equal([0x01, 0x02, 0x00]);
+            firmata.i2cReadOnce(0x68, 0x75, 1, whoAmI => {
+                expect(whoAmI).to.deep.equal([0x68]);
+                done();
+            });
+        });
+    });
+
+    it("should exchange the sysex messages which StandardFirmata does not know", done => {
+        transport.once("sysex", data => {
+            expect(data).to.deep.equal([0x10, 7, 8]);
+            transport.sendSysex([0x11, 7, 0x2C, 0x01]);
+        });
+        firmata.sysexResponse(0x11, data => {
+            expect(data).to.deep.equal([7, 0x2C, 0x01]);
+            firmata.clearSysexResponse(0x11);
+            done();
+        });
+        firmata.sysexCommand([0x10, 7, 8]);
+    });
+});
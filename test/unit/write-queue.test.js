@@ -0,0 +1,62 @@
+import { describe, it } from "mocha";
+import { expect } from "chai";
+import WriteQueue from "../../src/vm/extensions/block/write-queue.js";
+
+describe("WriteQueue", () => {
+    it("should send the latest write for each key in a batch", () => {
+        const sent = [];
+        let drains = 0;
+        const queue = new WriteQueue(() => {
+            drains++;
+            return Promise.resolve();
+        });
+        queue.push("pin-3", () => sent.push("pin-3:10"));
+        queue.push("port-1", () => sent.push("port-1"));
+        const batch = queue.push("pin-3", () => sent.push("pin-3:20"));
+        expect(sent).to.deep.equal([]);
+        return batch.then(() => {
+            expect(sent).to.deep.equal(["port-1", "pin-3:20"]);
+            expect(drains).to.equal(1);
+        });
+    });
+
+    it("should wait for the drain before the next batch", () => {
+        const sent = [];
+        const drains = [];
+        const queue = new WriteQueue(() => new Promise(resolve => drains.push(resolve)));
+        const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+        queue.push("pin-3", () => sent.push(1));
+        let next;
+        return wait()
+            .then(() => {
+                expect(sent).to.deep.equal([1]);
+                next = queue.push("pin-3", () => sent.push(2));
+                queue.push("pin-3", () => sent.push(3));
+                return wait();
+            })
+            .then(() => {
+                expect(sent).to.deep.equal([1]);
+                drains[0]();
+                return wait();
+            })
+            .then(() => {
+                expect(sent).to.deep.equal([1, 3]);
+                drains[1]();
+                return next;
+            });
+    });
+
+    it("should send the writes for the keys now in the pushed order", () => {
+        const sent = [];
+        const queue = new WriteQueue(() => Promise.resolve());
+        queue.push("analog-9", () => sent.push("analog-9"));
+        queue.push("digital-0", () => sent.push("digital-0"));
+        queue.push("mode-9", () => sent.push("mode-9"));
+        const batch = queue.push("analog-10", () => sent.push("analog-10"));
+        queue.sendNow(["mode-9", "analog-9", "mode-3"]);
+        expect(sent).to.deep.equal(["analog-9", "mode-9"]);
+        return batch.then(() => {
+            expect(sent).to.deep.equal(["analog-9", "mode-9", "digital-0", "analog-10"]);
+        });
+    });
+});
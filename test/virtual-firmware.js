@@ -0,0 +1,70 @@
+/**
+ * Features of the firmwares other than StandardFirmata which are emulated on a VirtualTransport.
+ */
+
+const ACCELSTEPPER = 0x62;
+const STEPPER_STEP = 0x02;
+const STEPPER_STOP = 0x05;
+const STEPPER_REPORT_POSITION = 0x06;
+const STEPPER_MOVE_COMPLETE = 0x0A;
+
+/**
+ * Encode a value in the 32-bit signed integer of AccelStepperFirmata.
+ * @param {number} value - value to encode
+ * @returns {Array<number>} 5 bytes of the value
+ */
+export const encodeStepperValue = value => {
+    const magnitude = Math.abs(value);
+    const encoded = [0, 7, 14, 21].map(shift => (magnitude >> shift) & 0x7F);
+    encoded.push(((magnitude >> 28) & 0x07) | (value < 0 ? 0x08 : 0));
+    return encoded;
+};
+
+/**
+ * Decode a value in the 32-bit signed integer of AccelStepperFirmata.
+ * @param {Array<number>} bytes - 5 bytes of the value
+ * @returns {number} the value
+ */
+export const decodeStepperValue = bytes => {
+    const magnitude = bytes[0] | (bytes[1] << 7) | (bytes[2] << 14) | (bytes[3] << 21) | ((bytes[4] & 0x07) << 28);
+    return (bytes[4] & 0x08) ? -magnitude : magnitude;
+};
+
+/**
+ * Emulate AccelStepperFirmata which completes every move at once.
+ * The moves are not completed while 'holding' of the returned state is true.
+ * The digital pins of the board get STEPPER mode as ConfigurableFirmata reports.
+ * @param {VirtualTransport} transport - transport to emulate on
+ * @param {ArduinoBoard} board - board which is connected to the transport
+ * @returns {{positions: object<number, number>, holding: boolean, stopped: Array<number>}} state of the steppers
+ */
+export const emulateAccelStepper = (transport, board) => {
+    board.pins.forEach(pinState => {
+        if (pinState.supportedModes.includes(board.MODES.OUTPUT) &&
+            !pinState.supportedModes.includes(board.MODES.STEPPER)) {
+            pinState.supportedModes.push(board.MODES.STEPPER);
+        }
+    });
+    const state = {positions: {}, holding: false, stopped: []};
+    const report = (command, deviceNum) => transport.sendSysex(
+        [ACCELSTEPPER, command, deviceNum].concat(encodeStepperValue(state.positions[deviceNum] || 0)));
+    transport.on("sysex", data => {
+        if (data[0] !== ACCELSTEPPER) return;
+        const command = data[1];
+        const deviceNum = data[2];
+        switch (command) {
+        case STEPPER_STEP:
+            if (state.holding) return;
+            state.positions[deviceNum] = (state.positions[deviceNum] || 0) + decodeStepperValue(data.slice(3, 8));
+            report(STEPPER_MOVE_COMPLETE, deviceNum);
+            break;
+        case STEPPER_STOP:
+            state.stopped.push(deviceNum);
+            break;
+        case STEPPER_REPORT_POSITION:
+            report(STEPPER_REPORT_POSITION, deviceNum);
+            break;
+        }
+    });
+    return state;
+};